@@ -0,0 +1,91 @@
+const fs = require('fs');
+const { defaultLogger: log } = require('./logger');
+
+// Word filter for text players put in front of the whole lobby (topic proposals).
+// Entries are whole words or phrases; an entry ending in * also matches longer words that
+// start with it ("crap*" matches "crappy"). Text is lowercased and common look-alike
+// characters are mapped back to letters first, so "sh1t" and "$hit" match "shit".
+// TOPIC_BLOCKLIST_FILE adds entries from a file, one per line (# starts a comment).
+
+const DEFAULT_BLOCKLIST = [
+    'fuck*',
+    'shit*',
+    'bullshit*',
+    'cunt*',
+    'bitch*',
+    'asshole*',
+    'bastard*',
+    'dick',
+    'dickhead*',
+    'cock',
+    'cocksucker*',
+    'motherfuck*',
+    'piss',
+    'pissed',
+    'wank*',
+    'twat*',
+    'slut*',
+    'whore*',
+    'kill yourself',
+    'kys'
+];
+
+const LOOK_ALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Lowercase, map look-alikes and reduce everything else to single spaces between words
+function normalize(text) {
+    return ` ${text
+        .toLowerCase()
+        .replace(/[013457@$]/g, char => LOOK_ALIKES[char])
+        .replace(/[^a-z]+/g, ' ')
+        .trim()} `;
+}
+
+// Parse blocklist file content into entries
+function parseBlocklist(content) {
+    return content
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line.length > 0 && !line.startsWith('#'));
+}
+
+function createBlocklist(entries = DEFAULT_BLOCKLIST) {
+    const patterns = entries.map(entry => {
+        const prefix = entry.endsWith('*');
+        const words = normalize(prefix ? entry.slice(0, -1) : entry).trim();
+        return { entry, words, prefix };
+    }).filter(pattern => pattern.words.length > 0);
+
+    // The first entry the text contains, or null
+    function match(text) {
+        const normalized = normalize(text);
+        const found = patterns.find(({ words, prefix }) => (prefix
+            ? normalized.includes(` ${words}`)
+            : normalized.includes(` ${words} `)));
+        return found ? found.entry : null;
+    }
+
+    return { match };
+}
+
+// The default list plus the entries in file, when given. A file that can't be read is
+// logged and skipped.
+function loadBlocklist(file) {
+    if (!file) {
+        return createBlocklist();
+    }
+
+    try {
+        return createBlocklist([...DEFAULT_BLOCKLIST, ...parseBlocklist(fs.readFileSync(file, 'utf8'))]);
+    } catch (error) {
+        log.error(`Error reading topic blocklist from ${file}`, { error: error.message });
+        return createBlocklist();
+    }
+}
+
+module.exports = {
+    DEFAULT_BLOCKLIST,
+    parseBlocklist,
+    createBlocklist,
+    loadBlocklist
+};
@@ -0,0 +1,85 @@
+// In-game text chat: message validation, per-phase posting rules and rate limiting.
+
+const MAX_MESSAGE_LENGTH = 300;
+const HISTORY_LIMIT = 200;
+
+// Who may post in each phase. Phases not listed here are open to everyone.
+//   locked  - nobody (votes should be your own)
+//   speaker - only the current solo speaker
+const PHASE_RULES = {
+    'voting': 'locked',
+    'revoting': 'locked',
+    'solo': 'speaker'
+};
+
+// Returns null if the player may post right now, otherwise the reason they can't.
+// The host can always post so moderators can make announcements.
+function getChatRestriction(gameState, username, isHost) {
+    if (isHost || !gameState) return null;
+
+    const rule = PHASE_RULES[gameState.phase];
+    if (rule === 'locked') {
+        return 'Chat is locked while votes are being cast';
+    }
+    if (rule === 'speaker' && username !== gameState.currentSpeaker) {
+        return 'Only the current speaker can chat during the solo phase';
+    }
+    return null;
+}
+
+// Validate and normalize message text. Returns { text } or { error }.
+function validateMessage(text) {
+    if (typeof text !== 'string') {
+        return { error: 'Message must be text' };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length === 0) {
+        return { error: 'Message cannot be empty' };
+    }
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+        return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    return { text: trimmed };
+}
+
+// Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+// `now` can be swapped for a fake clock in tests.
+function createRateLimiter(limit, windowMs, now = Date.now) {
+    const hits = new Map();
+
+    return {
+        allow(key) {
+            const time = now();
+            const recent = (hits.get(key) || []).filter(hit => time - hit < windowMs);
+
+            if (recent.length >= limit) {
+                hits.set(key, recent);
+                return false;
+            }
+
+            recent.push(time);
+            hits.set(key, recent);
+            return true;
+        },
+        reset(key) {
+            hits.delete(key);
+        },
+        // Forget keys without a hit in the window, so one-off keys (IPs, sockets) don't pile up
+        prune() {
+            const time = now();
+            hits.forEach((recent, key) => {
+                if (recent.every(hit => time - hit >= windowMs)) {
+                    hits.delete(key);
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    HISTORY_LIMIT,
+    getChatRestriction,
+    validateMessage,
+    createRateLimiter
+};
@@ -0,0 +1,15 @@
+// Every timer in the game goes through a clock object so tests can swap in a fake one
+// and run whole games without waiting. The interface mirrors the timer globals:
+//   now(), setTimeout(fn, ms), clearTimeout(id), setInterval(fn, ms), clearInterval(id)
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: id => clearTimeout(id),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: id => clearInterval(id)
+};
+
+module.exports = {
+    systemClock
+};
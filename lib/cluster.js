@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Running several server instances against one shared store (lib/sharedstore.js):
+// - createClusterAdapter spans Socket.IO rooms across instances, so io.to(code).emit()
+//   reaches a lobby's players whichever instance their socket is connected to.
+// - Each lobby is owned by exactly one instance, recorded as a lease on "owner:<code>".
+//   The owner runs the lobby's phase timers and handles its socket events and REST calls;
+//   other instances forward those to it (send/request below). An owner renews its leases
+//   every third of the lease time. When it stops (crash, lost connection) its leases expire
+//   and another instance adopts each lobby from its last snapshot.
+
+const DEFAULT_LEASE_TTL = 15000;
+const REQUEST_TIMEOUT = 5000;
+
+// Socket.IO adapter class for io.adapter(); adapters on every instance exchange broadcasts,
+// room changes and fetchSockets() requests over the store's pub/sub
+function createClusterAdapter(store) {
+    return class SharedStoreAdapter extends ClusterAdapterWithHeartbeat {
+        // One channel per namespace: the heartbeat counts every adapter it hears from as a server
+        constructor(nsp) {
+            super(nsp, {});
+            this.channel = `socket.io#${nsp.name}`;
+            this.unsubscribers = [
+                store.subscribe(this.channel, message => this.onMessage(message)),
+                store.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response))
+            ];
+        }
+
+        doPublish(message) {
+            return store.publish(this.channel, message).then(() => '');
+        }
+
+        doPublishResponse(requesterUid, response) {
+            return store.publish(`${this.channel}#${requesterUid}`, response);
+        }
+
+        close() {
+            super.close();
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+    };
+}
+
+// Lobby ownership and messaging between instances. Options: store and leaseTtl (ms).
+function createCluster({ store, leaseTtl = DEFAULT_LEASE_TTL }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const pendingRequests = new Map(); // request id -> { resolve, reject, timer }
+    let messageHandler = () => {};
+    let requestHandler = async () => null;
+
+    function handleEnvelope(envelope) {
+        if (envelope.type === 'message') {
+            messageHandler(envelope.message);
+        } else if (envelope.type === 'request') {
+            Promise.resolve()
+                .then(() => requestHandler(envelope.payload))
+                .then(
+                    result => ({ result }),
+                    error => ({ error: error.message })
+                )
+                .then(response => store.publish(`instance:${envelope.from}`, { type: 'response', id: envelope.id, ...response }));
+        } else if (envelope.type === 'response') {
+            const request = pendingRequests.get(envelope.id);
+            if (!request) return;
+            pendingRequests.delete(envelope.id);
+            clearTimeout(request.timer);
+            if (envelope.error) {
+                request.reject(new Error(envelope.error));
+            } else {
+                request.resolve(envelope.result);
+            }
+        }
+    }
+
+    const unsubscribers = [
+        store.subscribe(`instance:${id}`, handleEnvelope),
+        store.subscribe('instances', handleEnvelope)
+    ];
+
+    // Take or renew the lease on a lobby; false when another instance holds it
+    function claim(code) {
+        return store.acquire(`owner:${code}`, id, leaseTtl);
+    }
+
+    function release(code) {
+        return store.release(`owner:${code}`, id);
+    }
+
+    // The instance id holding the lobby's lease, or null when nobody does
+    function ownerOf(code) {
+        return store.holder(`owner:${code}`);
+    }
+
+    // Fire-and-forget message to one instance, or to every instance (this one included)
+    function send(instanceId, message) {
+        return store.publish(`instance:${instanceId}`, { type: 'message', message });
+    }
+
+    function broadcast(message) {
+        return store.publish('instances', { type: 'message', message });
+    }
+
+    // Ask one instance and wait for its onRequest handler's answer
+    function request(instanceId, payload) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pendingRequests.delete(requestId);
+                reject(new Error('Instance did not answer in time'));
+            }, REQUEST_TIMEOUT);
+            pendingRequests.set(requestId, { resolve, reject, timer });
+            store.publish(`instance:${instanceId}`, { type: 'request', id: requestId, from: id, payload }).catch(error => {
+                pendingRequests.delete(requestId);
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    // Give up the given lobbies so other instances adopt them right away, and stop listening
+    async function close(codes) {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        pendingRequests.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Cluster closed'));
+        });
+        pendingRequests.clear();
+        await Promise.all(codes.map(code => release(code).catch(() => {})));
+    }
+
+    return {
+        id,
+        leaseTtl,
+        claim,
+        release,
+        ownerOf,
+        send,
+        broadcast,
+        request,
+        onMessage: handler => {
+            messageHandler = handler;
+        },
+        onRequest: handler => {
+            requestHandler = handler;
+        },
+        close
+    };
+}
+
+// Stand-in on the owning instance for a player socket connected to another instance. It has
+// the parts of the Socket.IO socket API the server uses; emits and room changes go through
+// the cluster adapter to the real socket, and dispatch() runs the handlers for a forwarded event.
+function createRemoteSocket(io, { id, token, username, lobbyCode }) {
+    const handlers = new Map();
+
+    return {
+        id,
+        token,
+        username,
+        lobbyCode,
+        remote: true,
+        on: (event, handler) => handlers.set(event, handler),
+        dispatch: (event, data) => {
+            const handler = handlers.get(event);
+            if (handler) {
+                handler(data);
+            }
+        },
+        emit: (event, data) => io.to(id).emit(event, data),
+        join: room => io.in(id).socketsJoin(room),
+        leave: room => io.in(id).socketsLeave(room),
+        disconnect: () => io.in(id).disconnectSockets(true)
+    };
+}
+
+module.exports = {
+    DEFAULT_LEASE_TTL,
+    createClusterAdapter,
+    createCluster,
+    createRemoteSocket
+};
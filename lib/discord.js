@@ -0,0 +1,234 @@
+// Optional Discord bot for running events from a server channel. A /debate create
+// slash command opens a lobby and posts the join link; the channel then gets every
+// new topic, each round's points breakdown and the final scoreboard.
+//
+// startDiscordBot loads discord.js (an optional dependency) and logs in. The bot itself
+// only uses a small part of the discord.js client (on, login, destroy,
+// application.commands.set, channels.fetch), so tests drive createDiscordBot with a
+// mocked gateway instead.
+
+const { defaultLogger: log } = require('./logger');
+const { MAX_USERNAME_LENGTH, normalizeUsername, validate } = require('./validation');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Discord API constants (application command option types, message flags)
+const OPTION_SUBCOMMAND = 1;
+const OPTION_STRING = 3;
+const OPTION_BOOLEAN = 5;
+const EPHEMERAL = 64;
+
+// Used when none of the caller's Discord names can be made into a username
+const FALLBACK_USERNAME = 'Discord host';
+
+const COMMANDS = [{
+    name: 'debate',
+    description: 'Run an Agree to Disagree game in this channel',
+    options: [{
+        type: OPTION_SUBCOMMAND,
+        name: 'create',
+        description: 'Open a lobby hosted by you and post the join link here',
+        options: [
+            {
+                type: OPTION_STRING,
+                name: 'preset',
+                description: 'Game length',
+                choices: [
+                    { name: 'Quick (~15 min)', value: 'quick' },
+                    { name: 'Standard (~1 hour)', value: 'standard' },
+                    { name: 'Marathon', value: 'marathon' }
+                ]
+            },
+            { type: OPTION_STRING, name: 'pack', description: 'Topic pack, e.g. general or tech' },
+            { type: OPTION_BOOLEAN, name: 'public', description: 'Also list the lobby in the public lobby browser' }
+        ]
+    }]
+}];
+
+const SIDE_ICONS = { agree: '👍', disagree: '👎' };
+
+// A Discord name made to fit the username rules: emoji and other symbols dropped, no
+// punctuation at either end, cut to MAX_USERNAME_LENGTH. null when nothing valid is left.
+function toUsername(name) {
+    if (typeof name !== 'string') return null;
+
+    const cleaned = normalizeUsername(name)
+        .replace(/[^\p{L}\p{N} _.'-]/gu, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[^\p{L}\p{N}]+/u, '')
+        .slice(0, MAX_USERNAME_LENGTH)
+        .replace(/[^\p{L}\p{N}]+$/u, '');
+    const { value, error } = validate({ username: { type: 'username', required: true } }, { username: cleaned });
+    return error ? null : value.username;
+}
+
+// The caller's server nickname, else their global name, else their account name
+function hostUsername(interaction) {
+    const names = [
+        interaction.member && interaction.member.displayName,
+        interaction.user.globalName,
+        interaction.user.username
+    ];
+    return names.map(toUsername).find(Boolean) || FALLBACK_USERNAME;
+}
+
+function truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+function formatScoreboard(scores) {
+    return Object.entries(scores)
+        .sort((a, b) => b[1] - a[1])
+        .map(([username, score], index) => `${index + 1}. ${username} - ${score} point${score === 1 ? '' : 's'}`)
+        .join('\n');
+}
+
+function formatRoundResults(data, roundNumber) {
+    const lines = [
+        `**Round ${roundNumber} results**`,
+        `Before: ${data.initialVotes.agree} agree / ${data.initialVotes.disagree} disagree · After: ${data.finalVotes.agree} agree / ${data.finalVotes.disagree} disagree`
+    ];
+
+    if (data.winningTeam.length > 0) {
+        lines.push(`${SIDE_ICONS[data.winningTeam[0]]} ${data.winningTeam[0]} wins the round`);
+    } else {
+        lines.push('No side gained ground this round');
+    }
+
+    Object.entries(data.pointsBreakdown).forEach(([username, entries]) => {
+        entries.forEach(entry => {
+            lines.push(`• ${username} ${entry.points > 0 ? '+' : ''}${entry.points}: ${entry.reason}`);
+        });
+    });
+
+    return lines.join('\n');
+}
+
+function formatGameEnded(data) {
+    const lines = [`🏁 **Game over** after ${data.roundsPlayed} round${data.roundsPlayed === 1 ? '' : 's'}`, formatScoreboard(data.finalScores)];
+
+    const speaker = data.highlights && data.highlights.mostPersuasiveSpeaker;
+    if (speaker) {
+        lines.push(`🎤 Most persuasive speaker: ${speaker.username} (${speaker.votesWon} vote${speaker.votesWon === 1 ? '' : 's'} won)`);
+    }
+
+    return lines.join('\n');
+}
+
+// Options:
+//   client     - a discord.js Client (or a mock with the same surface)
+//   lobbies, gameStates - the server's lobby and game state maps
+//   gameEvents - EventEmitter that gets ('game-event', code, event, data) for every engine event
+//   createLobby(body) - the /api/lobby/create logic; returns { code, lobby, token } or { error }
+//   persist(code)     - snapshot a lobby after the bot tags it with its channel
+//   baseUrl    - public address of the web client, used in join links
+//   guildId    - register commands in one server only (instant) instead of globally
+function createDiscordBot({ client, lobbies, gameStates, gameEvents, createLobby, persist, baseUrl, guildId }) {
+    function post(channelId, content) {
+        return client.channels.fetch(channelId)
+            .then(channel => channel.send(truncate(content)))
+            .catch(error => log.error(`Discord: could not post to channel ${channelId}`, { error: error.message }));
+    }
+
+    function registerCommands() {
+        const registered = guildId
+            ? client.application.commands.set(COMMANDS, guildId)
+            : client.application.commands.set(COMMANDS);
+
+        return registered.catch(error => log.error('Discord: could not register slash commands', { error: error.message }));
+    }
+
+    async function handleCreate(interaction) {
+        const username = hostUsername(interaction);
+        const pack = interaction.options.getString('pack');
+        const preset = interaction.options.getString('preset');
+
+        const result = createLobby({
+            username,
+            settings: preset ? { preset } : undefined,
+            topics: pack ? { packs: [pack] } : undefined,
+            listing: { public: interaction.options.getBoolean('public') === true }
+        });
+        if (result.error) {
+            await interaction.reply({ content: `Could not create a lobby: ${result.error}`, flags: EPHEMERAL });
+            return;
+        }
+        // The name as the lobby knows it (normalized when the lobby was created)
+        const host = result.lobby.host;
+
+        result.lobby.discord = { channelId: interaction.channelId, guildId: interaction.guildId };
+        persist(result.code);
+
+        // Players get the plain code; the host link carries the host's session token
+        const joinUrl = `${baseUrl}/?code=${result.code}`;
+        const hostUrl = `${joinUrl}&username=${encodeURIComponent(host)}&token=${encodeURIComponent(result.token)}`;
+
+        await interaction.reply(`🎙️ ${host} opened lobby **${result.code}**. Join at ${joinUrl}`);
+        await interaction.followUp({ content: `You're the host. Open the lobby with ${hostUrl} (don't share this link).`, flags: EPHEMERAL });
+    }
+
+    async function handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'debate') return;
+
+        try {
+            if (interaction.options.getSubcommand() === 'create') {
+                await handleCreate(interaction);
+            }
+        } catch (error) {
+            log.error('Discord: command failed', { error: error.message });
+        }
+    }
+
+    // Announce game events for lobbies that were opened from a Discord channel
+    function handleGameEvent(code, event, data) {
+        const lobby = lobbies.get(code);
+        if (!lobby || !lobby.discord) return;
+
+        const gameState = gameStates.get(code);
+        const round = gameState ? gameState.roundNumber : 0;
+
+        if (event === 'topic-selected') {
+            post(lobby.discord.channelId, `🗳️ **Round ${round}/${lobby.settings.maxRounds}** (${code}): ${data.topic}`);
+        } else if (event === 'round-results') {
+            post(lobby.discord.channelId, formatRoundResults(data, round));
+        } else if (event === 'game-ended') {
+            post(lobby.discord.channelId, formatGameEnded(data));
+        }
+    }
+
+    client.on('clientReady', registerCommands);
+    client.on('interactionCreate', handleInteraction);
+    gameEvents.on('game-event', handleGameEvent);
+
+    function close() {
+        gameEvents.off('game-event', handleGameEvent);
+        client.off('clientReady', registerCommands);
+        client.off('interactionCreate', handleInteraction);
+        return client.destroy();
+    }
+
+    return { close };
+}
+
+// Log in with a real discord.js client. Returns the bot, or null when discord.js isn't installed.
+function startDiscordBot({ token, ...options }) {
+    let discord;
+    try {
+        discord = require('discord.js');
+    } catch (error) {
+        log.error('DISCORD_TOKEN is set but discord.js is not installed (npm install discord.js)');
+        return null;
+    }
+
+    const client = new discord.Client({ intents: [discord.GatewayIntentBits.Guilds] });
+    const bot = createDiscordBot({ client, ...options });
+
+    client.login(token).catch(error => log.error('Discord login failed', { error: error.message }));
+    return bot;
+}
+
+module.exports = {
+    COMMANDS,
+    createDiscordBot,
+    startDiscordBot
+};
@@ -0,0 +1,1360 @@
+const { systemClock } = require('./clock');
+const { getScoringStrategy } = require('./scoring');
+const { buildHighlights } = require('./report');
+const { defaultLogger } = require('./logger');
+const { topicKey, validateTopicText } = require('./topics');
+const { createBlocklist } = require('./blocklist');
+
+// The game engine: phase chain, votes, timers and scoring for every lobby.
+// It knows nothing about Express or Socket.IO; server.js passes in:
+//   lobbies, gameStates - the shared Maps of lobby and game state, keyed by lobby code
+//   emit(code, event, data) - broadcast to a lobby's room
+//   persist(code) - snapshot a lobby to storage
+//   getTopics(lobby) - the list of topic strings a lobby draws from
+//   clock - timer functions (see lib/clock.js), random - returns a number in [0, 1)
+//   log - structured logger (see lib/logger.js)
+//   blocklist - word filter for proposed topics (see lib/blocklist.js)
+
+// Solo phase turns in debate mode. Openings use soloTime, rebuttals use rebuttalTime.
+const DEBATE_TURNS = [
+    { type: 'opening', side: 'agree' },
+    { type: 'opening', side: 'disagree' },
+    { type: 'rebuttal', side: 'agree' },
+    { type: 'rebuttal', side: 'disagree' }
+];
+
+// The three-way votes; castVote and friends ignore anything else
+const VOTES = ['agree', 'disagree', 'abstain'];
+
+// Phases in which players can raise a hand to speak this round
+const QUEUE_PHASES = ['voting', 'vote-results', 'solo'];
+
+// Opinion meter (opinionMeter setting): during solo and discussion players move a private
+// slider from -100 (disagree) to 100 (agree). The room only gets the average, at most every
+// METER_INTERVAL seconds of phase time and only once METER_MIN_READINGS players have moved
+// their slider, so a single reading can't be traced back to its player.
+const METER_PHASES = ['solo', 'discussion'];
+const METER_INTERVAL = 2;
+const METER_MIN_READINGS = 2;
+
+// Topic submissions (topicSubmission setting): in the topic-submission phase players propose
+// topics and upvote each other's. Each round takes the most upvoted proposal left, the
+// earliest on a tie, before drawing from the topic packs; unused proposals carry over.
+const MAX_PROPOSALS_PER_PLAYER = 3;
+const MAX_PROPOSALS = 30;
+
+// Ballot modes (ballot setting): anonymous rooms only see the vote counts; public rooms also
+// see each player's first and final vote; sealed rooms see no counts until the round is over,
+// so the first vote can't sway the debate.
+const SEALED_PHASES = ['vote-results', 'solo', 'discussion', 'revoting'];
+
+// Graded stances (voteScale setting): on likert-5 players vote a stance from -2 (strongly
+// disagree) to 2 (strongly agree), on likert-7 from -3 to 3. The stance's sign is the vote's
+// side, so speaker picks, ballots and side-based scoring work as with three-way votes. A round
+// is skipped when the stances spread over fewer than MIN_STANCE_SPREAD steps, and the side the
+// players' stances moved toward wins a point for every step.
+const STANCE_RANGES = { 'likert-5': 2, 'likert-7': 3 };
+const MIN_STANCE_SPREAD = 2;
+
+// Helper function to get the debating players in a lobby (everyone except spectators)
+function getPlayers(lobby) {
+    return lobby.participants.filter(p => !p.spectator);
+}
+
+// Helper function to map each connected player to their vote ({ username: { initial } }),
+// adding the final vote and whether they switched sides after the revote. Graded votes
+// also carry the stances (null when the player gave none).
+function collectBallots(lobby, gameState, revoted) {
+    const graded = Boolean(STANCE_RANGES[lobby.settings.voteScale]);
+    const stanceOf = (stances, username) => (stances[username] !== undefined ? stances[username] : null);
+    const ballots = {};
+    getPlayers(lobby).forEach(({ username, connected }) => {
+        if (!connected) return;
+        const ballot = { initial: gameState.votes[username] || 'abstain' };
+        if (graded) {
+            ballot.initialStance = stanceOf(gameState.stances, username);
+        }
+        if (revoted) {
+            ballot.final = gameState.revotes[username] || 'abstain';
+            ballot.switched = ballot.initial !== ballot.final;
+            if (graded) {
+                ballot.finalStance = stanceOf(gameState.restances, username);
+            }
+        }
+        ballots[username] = ballot;
+    });
+    return ballots;
+}
+
+// Helper function to get the side a stance counts for
+function sideOf(stance) {
+    if (stance > 0) return 'agree';
+    if (stance < 0) return 'disagree';
+    return 'abstain';
+}
+
+// Helper function to summarize the connected players' stances on a scale of -range..range:
+// a histogram from strongly disagree to strongly agree, the average and the spread
+function summarizeStances(lobby, stances, range) {
+    const values = getPlayers(lobby)
+        .filter(p => p.connected && stances[p.username] !== undefined)
+        .map(p => stances[p.username]);
+    const histogram = new Array(range * 2 + 1).fill(0);
+    values.forEach(stance => {
+        histogram[stance + range]++;
+    });
+    const total = values.reduce((sum, stance) => sum + stance, 0);
+    return {
+        histogram,
+        average: values.length > 0 ? Math.round((total / values.length) * 100) / 100 : null,
+        spread: values.length > 0 ? Math.max(...values) - Math.min(...values) : 0
+    };
+}
+
+// Helper function to tally audience poll votes
+function countAudienceVotes(votes) {
+    const results = { agree: 0, disagree: 0, abstain: 0 };
+    Object.values(votes).forEach(vote => {
+        if (results[vote] !== undefined) {
+            results[vote]++;
+        }
+    });
+    return results;
+}
+
+// Helper function to aggregate the players' opinion meter readings
+function aggregateOpinions(opinions) {
+    const values = Object.values(opinions);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return {
+        average: values.length >= METER_MIN_READINGS ? Math.round(total / values.length) : null,
+        readings: values.length
+    };
+}
+
+// Helper function to order topic proposals: most upvotes first, then in submission order
+function rankProposals(proposals) {
+    return [...proposals].sort((a, b) => b.upvotes.length - a.upvotes.length);
+}
+
+function createGameEngine({ lobbies, gameStates, emit, persist, getTopics, clock = systemClock, random = Math.random, log = defaultLogger, blocklist = createBlocklist() }) {
+    // Start the lobby's first game. A game already going is left alone (restartGame starts it
+    // over); returns false then.
+    function startGame(code) {
+        const lobby = lobbies.get(code);
+        if (!lobby || lobby.gameStarted) return false;
+
+        lobby.gameStarted = true;
+
+        // Initialize game state
+        const gameState = {
+            phase: 'voting',
+            roundNumber: 1,
+            currentTopic: '',
+            votes: {},
+            revotes: {},
+            stances: {},
+            restances: {},
+            convincedBy: {},
+            audienceVotes: {},
+            audienceRevotes: {},
+            scores: {},
+            usedTopics: [],
+            usedSpeakers: [],
+            usedSpeakersBySide: { agree: [], disagree: [] },
+            speakerQueue: [],
+            speakers: [],
+            soloTurn: -1,
+            opinions: {},
+            opinionSeries: [],
+            meterSeconds: 0,
+            meterSentAt: null,
+            meterDirty: false,
+            proposals: [],
+            vetoedTopics: [],
+            nextProposalId: 1,
+            currentProposer: null,
+            ballots: null,
+            history: [],
+            timer: lobby.settings.votingTime,
+            timerInterval: null,
+            transitionTimeout: null,
+            paused: false,
+            initialVoteResults: { agree: 0, disagree: 0, abstain: 0 },
+            finalVoteResults: { agree: 0, disagree: 0, abstain: 0 },
+            initialStances: null,
+            finalStances: null,
+            currentSpeaker: null,
+            speakerPosition: null
+        };
+
+        // Initialize scores
+        getPlayers(lobby).forEach(participant => {
+            gameState.scores[participant.username] = 0;
+        });
+
+        gameStates.set(code, gameState);
+        persist(code);
+
+        // Start the game
+        emit(code, 'game-started', { lobby, gameState: publicState(gameState) });
+
+        // Start the first round
+        scheduleTransition(code, 2000, () => {
+            startRound(code);
+        });
+        return true;
+    }
+
+    function restartGame(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby) return;
+
+        // Reset game state
+        gameState.phase = 'voting';
+        gameState.roundNumber = 1;
+        gameState.currentTopic = '';
+        gameState.votes = {};
+        gameState.revotes = {};
+        gameState.stances = {};
+        gameState.restances = {};
+        gameState.convincedBy = {};
+        gameState.audienceVotes = {};
+        gameState.audienceRevotes = {};
+        gameState.usedTopics = [];
+        gameState.usedSpeakers = [];
+        gameState.usedSpeakersBySide = { agree: [], disagree: [] };
+        gameState.speakerQueue = [];
+        gameState.speakers = [];
+        gameState.soloTurn = -1;
+        resetOpinionMeter(gameState);
+        gameState.proposals = [];
+        gameState.vetoedTopics = [];
+        gameState.nextProposalId = 1;
+        gameState.currentProposer = null;
+        gameState.ballots = null;
+        gameState.history = [];
+        gameState.timer = lobby.settings.votingTime;
+        gameState.initialVoteResults = { agree: 0, disagree: 0, abstain: 0 };
+        gameState.finalVoteResults = { agree: 0, disagree: 0, abstain: 0 };
+        gameState.initialStances = null;
+        gameState.finalStances = null;
+        gameState.currentSpeaker = null;
+        gameState.speakerPosition = null;
+        gameState.paused = false;
+        gameState.pendingTransition = null;
+
+        // Reset scores
+        getPlayers(lobby).forEach(participant => {
+            gameState.scores[participant.username] = 0;
+        });
+
+        stopTimers(code);
+        persist(code);
+
+        // Restart the game
+        emit(code, 'game-started', { lobby, gameState: publicState(gameState) });
+
+        scheduleTransition(code, 2000, () => {
+            startRound(code);
+        });
+    }
+
+    // Game state without the timer handles, which can't be serialized
+    function publicState(gameState) {
+        const { timerInterval, transitionTimeout, pendingTransition, ...state } = gameState;
+        return state;
+    }
+
+    // The votes the room may see right now in the lobby's ballot mode: the counts (the first
+    // vote's stay hidden while a sealed round runs) and, for public ballots, each player's votes
+    function visibleVotes(gameState, lobby) {
+        const sealed = lobby.settings.ballot === 'sealed' && SEALED_PHASES.includes(gameState.phase);
+        return {
+            initialVotes: sealed ? null : gameState.initialVoteResults,
+            finalVotes: gameState.finalVoteResults,
+            initialStances: sealed ? null : gameState.initialStances || null,
+            finalStances: gameState.finalStances || null,
+            ballots: lobby.settings.ballot === 'public' ? gameState.ballots || null : null
+        };
+    }
+
+    // Round results as the lobby's ballot mode shows them: public ballots add each player's votes
+    function withBallots(lobby, gameState, data) {
+        return lobby.settings.ballot === 'public' ? { ...data, ballots: gameState.ballots } : data;
+    }
+
+    // The vote-results payload: the counts (and the stance summary for graded votes), or
+    // only { sealed: true } for sealed ballots
+    function voteResultsPayload(lobby, gameState, voteResults) {
+        if (lobby.settings.ballot === 'sealed') {
+            return { sealed: true };
+        }
+        const data = gameState.initialStances ? { ...voteResults, stances: gameState.initialStances } : voteResults;
+        return withBallots(lobby, gameState, data);
+    }
+
+    function castVote(code, username, vote) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        // Until the first topic is picked, just after the game starts, there's nothing to vote on
+        if (!gameState || !lobby || gameState.phase !== 'voting' || !gameState.currentTopic) return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator) return;
+
+        const range = STANCE_RANGES[lobby.settings.voteScale];
+        if (range) {
+            if (!Number.isInteger(vote) || Math.abs(vote) > range) return;
+            gameState.stances[username] = vote;
+            vote = sideOf(vote);
+        } else if (!VOTES.includes(vote)) {
+            return;
+        }
+
+        gameState.votes[username] = vote;
+
+        // Check if all connected players have voted
+        const connectedPlayers = getPlayers(lobby).filter(p => p.connected);
+
+        if (connectedPlayers.every(p => gameState.votes[p.username] !== undefined)) {
+            // All connected players voted, move to next phase
+            stopTimer(gameState);
+            scheduleTransition(code, 1000, () => {
+                processVoteResults(code);
+            });
+        }
+    }
+
+    function castRevote(code, username, vote, convincedBy) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || gameState.phase !== 'revoting') return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator) return;
+
+        const range = STANCE_RANGES[lobby.settings.voteScale];
+        if (range) {
+            if (!Number.isInteger(vote) || Math.abs(vote) > range) return;
+            gameState.restances[username] = vote;
+            vote = sideOf(vote);
+        } else if (!VOTES.includes(vote)) {
+            return;
+        }
+
+        gameState.revotes[username] = vote;
+
+        // Optional credit for whoever changed their mind (used by the persuasion scoring)
+        if (convincedBy && convincedBy !== username && getPlayers(lobby).some(p => p.username === convincedBy)) {
+            gameState.convincedBy[username] = convincedBy;
+        } else {
+            delete gameState.convincedBy[username];
+        }
+
+        // Check if all connected players have revoted
+        const connectedPlayers = getPlayers(lobby).filter(p => p.connected);
+
+        if (connectedPlayers.every(p => gameState.revotes[p.username] !== undefined)) {
+            // All connected players revoted, move to results
+            stopTimer(gameState);
+            scheduleTransition(code, 1000, () => {
+                calculateResults(code);
+            });
+        }
+    }
+
+    // Spectators' poll votes are shown separately and never affect scoring or phase timing
+    function castAudienceVote(code, username, vote) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby) return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || !participant.spectator) return;
+
+        // The audience poll keeps three-way counts; a graded vote counts for its side
+        if (STANCE_RANGES[lobby.settings.voteScale] && Number.isInteger(vote)) {
+            vote = sideOf(vote);
+        }
+        if (!VOTES.includes(vote) || !gameState.currentTopic) return;
+
+        if (gameState.phase === 'voting') {
+            gameState.audienceVotes[username] = vote;
+        } else if (gameState.phase === 'revoting') {
+            gameState.audienceRevotes[username] = vote;
+        }
+    }
+
+    // Forget a player removed from the lobby (kick or ban): their score, this round's votes and
+    // any persuasion credit they were given
+    function removePlayer(code, username) {
+        const gameState = gameStates.get(code);
+        if (!gameState) return;
+
+        delete gameState.scores[username];
+        ['votes', 'revotes', 'stances', 'restances', 'convincedBy', 'audienceVotes', 'audienceRevotes'].forEach(key => {
+            if (gameState[key]) {
+                delete gameState[key][username];
+            }
+        });
+        Object.keys(gameState.convincedBy || {}).forEach(voter => {
+            if (gameState.convincedBy[voter] === username) {
+                delete gameState.convincedBy[voter];
+            }
+        });
+    }
+
+    // Volunteer to speak this round. Raised hands are picked before the rotation,
+    // but only among players whose turn it is on their side.
+    function raiseHand(code, username) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || !QUEUE_PHASES.includes(gameState.phase)) return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator || gameState.speakerQueue.includes(username)) return;
+
+        gameState.speakerQueue.push(username);
+        emit(code, 'speaker-queue-updated', { queue: gameState.speakerQueue });
+    }
+
+    function lowerHand(code, username) {
+        const gameState = gameStates.get(code);
+        if (!gameState || !gameState.speakerQueue.includes(username)) return;
+
+        gameState.speakerQueue = gameState.speakerQueue.filter(name => name !== username);
+        emit(code, 'speaker-queue-updated', { queue: gameState.speakerQueue });
+    }
+
+    // Move a player's opinion meter slider; value runs from -100 (disagree) to 100 (agree).
+    // Readings stay private and only reach the room through the throttled average.
+    function setOpinion(code, username, value) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || lobby.settings.opinionMeter !== 'on' || !METER_PHASES.includes(gameState.phase)) return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator) return;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+        gameState.opinions[username] = Math.round(Math.max(-100, Math.min(100, value)));
+        gameState.meterDirty = true;
+    }
+
+    function resetOpinionMeter(gameState) {
+        gameState.opinions = {};
+        gameState.opinionSeries = [];
+        gameState.meterSeconds = 0;
+        gameState.meterSentAt = null;
+        gameState.meterDirty = false;
+    }
+
+    // Send the room a new meter reading if sliders moved since the last one and the interval
+    // has passed (force skips the interval). Each reading is kept in the round's series.
+    function updateOpinionMeter(code, force = false) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || lobby.settings.opinionMeter !== 'on' || !gameState.meterDirty) return;
+        if (!force && gameState.meterSentAt !== null && gameState.meterSeconds - gameState.meterSentAt < METER_INTERVAL) return;
+
+        gameState.meterDirty = false;
+        gameState.meterSentAt = gameState.meterSeconds;
+
+        const reading = {
+            elapsed: gameState.meterSeconds,
+            phase: gameState.phase,
+            speaker: gameState.phase === 'solo' ? gameState.currentSpeaker : null,
+            ...aggregateOpinions(gameState.opinions)
+        };
+        gameState.opinionSeries.push(reading);
+        emit(code, 'opinion-meter', reading);
+    }
+
+    // Proposals as the room sees them, most upvoted first
+    function listProposals(gameState) {
+        return rankProposals(gameState.proposals || []).map(({ id, text, author, upvotes }) => ({ id, text, author, upvotes: [...upvotes] }));
+    }
+
+    function emitProposals(code) {
+        emit(code, 'topic-proposals-updated', { proposals: listProposals(gameStates.get(code)) });
+    }
+
+    // Propose a topic during topic submission. Returns { proposal } or { error } for the player.
+    function submitTopic(code, username, text) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || gameState.phase !== 'topic-submission') {
+            return { error: 'Topics can only be proposed during topic submission' };
+        }
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator) {
+            return { error: 'Only players can propose topics' };
+        }
+
+        const { text: topic, error } = validateTopicText(text);
+        if (error) {
+            return { error };
+        }
+        if (blocklist.match(topic)) {
+            return { error: 'That topic contains language that isn\'t allowed' };
+        }
+
+        const key = topicKey(topic);
+        if (gameState.vetoedTopics.includes(key)) {
+            return { error: 'The host has ruled that topic out' };
+        }
+        if (gameState.proposals.some(proposal => topicKey(proposal.text) === key) || gameState.usedTopics.some(used => topicKey(used) === key)) {
+            return { error: 'That topic has already been proposed' };
+        }
+        if (gameState.proposals.filter(proposal => proposal.author === username).length >= MAX_PROPOSALS_PER_PLAYER) {
+            return { error: `You can have at most ${MAX_PROPOSALS_PER_PLAYER} topics waiting` };
+        }
+        if (gameState.proposals.length >= MAX_PROPOSALS) {
+            return { error: 'The topic list is full' };
+        }
+
+        const proposal = { id: `p${gameState.nextProposalId++}`, text: topic, author: username, upvotes: [] };
+        gameState.proposals.push(proposal);
+        persist(code);
+        emitProposals(code);
+        return { proposal };
+    }
+
+    // Upvote someone else's proposal during topic submission; a second upvote takes it back
+    function upvoteTopic(code, username, id) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby || gameState.phase !== 'topic-submission') return;
+
+        const participant = lobby.participants.find(p => p.username === username);
+        if (!participant || participant.spectator) return;
+
+        const proposal = gameState.proposals.find(candidate => candidate.id === id);
+        if (!proposal || proposal.author === username) return;
+
+        if (proposal.upvotes.includes(username)) {
+            proposal.upvotes = proposal.upvotes.filter(name => name !== username);
+        } else {
+            proposal.upvotes.push(username);
+        }
+        emitProposals(code);
+    }
+
+    // Host veto: drop a proposal that hasn't been played, and refuse the same topic again
+    function vetoTopic(code, id) {
+        const gameState = gameStates.get(code);
+        if (!gameState || !gameState.proposals) return false;
+
+        const proposal = gameState.proposals.find(candidate => candidate.id === id);
+        if (!proposal) return false;
+
+        gameState.proposals = gameState.proposals.filter(candidate => candidate !== proposal);
+        gameState.vetoedTopics.push(topicKey(proposal.text));
+        persist(code);
+
+        emit(code, 'topic-vetoed', { id, text: proposal.text, author: proposal.author });
+        emitProposals(code);
+        return true;
+    }
+
+    // Start the next round; with topic submissions on, players propose topics first
+    function startRound(code) {
+        const lobby = lobbies.get(code);
+        const gameState = gameStates.get(code);
+        if (!gameState || !lobby) return;
+
+        const mode = lobby.settings.topicSubmission;
+        if (mode === 'every-round' || (mode === 'before-game' && gameState.roundNumber === 1)) {
+            startSubmissionPhase(code);
+        } else {
+            startVotingPhase(code);
+        }
+    }
+
+    function startSubmissionPhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        if (!gameState || !lobby) return;
+
+        gameState.phase = 'topic-submission';
+        gameState.currentTopic = '';
+        gameState.timer = lobby.settings.submissionTime;
+        stopTimer(gameState);
+        persist(code);
+
+        emit(code, 'game-phase-update', {
+            phase: 'topic-submission',
+            roundNumber: gameState.roundNumber
+        });
+        emitProposals(code);
+
+        startTimer(code, lobby.settings.submissionTime, () => {
+            startVotingPhase(code);
+        });
+    }
+
+    function startVotingPhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        // Players' proposals go first, then a random unused topic from this lobby's pool
+        const [proposal] = rankProposals(gameState.proposals || []);
+        let selectedTopic;
+        if (proposal) {
+            gameState.proposals = gameState.proposals.filter(candidate => candidate !== proposal);
+            selectedTopic = proposal.text;
+            gameState.currentProposer = proposal.author;
+        } else {
+            const availableTopics = getTopics(lobby).filter(topic => !gameState.usedTopics.includes(topic));
+
+            if (availableTopics.length === 0) {
+                // All topics used, end game
+                endGame(code);
+                return;
+            }
+
+            selectedTopic = availableTopics[Math.floor(random() * availableTopics.length)];
+            gameState.currentProposer = null;
+        }
+
+        gameState.currentTopic = selectedTopic;
+        gameState.usedTopics.push(selectedTopic);
+
+        gameState.phase = 'voting';
+        gameState.votes = {};
+        gameState.stances = {};
+        gameState.audienceVotes = {};
+        gameState.ballots = null;
+        gameState.currentSpeaker = null;
+        gameState.speakerPosition = null;
+        gameState.speakerQueue = [];
+        gameState.speakers = [];
+        gameState.soloTurn = -1;
+        resetOpinionMeter(gameState);
+        gameState.timer = lobby.settings.votingTime;
+
+        // Clear any existing timer
+        stopTimer(gameState);
+
+        persist(code);
+
+        emit(code, 'topic-selected', { topic: selectedTopic, proposedBy: gameState.currentProposer });
+        if (proposal) {
+            emitProposals(code);
+        }
+        emit(code, 'speaker-queue-updated', { queue: gameState.speakerQueue });
+        emit(code, 'game-phase-update', {
+            phase: 'voting',
+            roundNumber: gameState.roundNumber
+        });
+
+        startTimer(code, lobby.settings.votingTime, () => {
+            processVoteResults(code);
+        });
+    }
+
+    function processVoteResults(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        // Count votes (only from connected players)
+        const voteResults = { agree: 0, disagree: 0, abstain: 0 };
+
+        getPlayers(lobby).forEach(participant => {
+            if (participant.connected) {
+                const vote = gameState.votes[participant.username] || 'abstain';
+                voteResults[vote]++;
+            }
+        });
+
+        gameState.initialVoteResults = { ...voteResults };
+        gameState.ballots = collectBallots(lobby, gameState, false);
+
+        const range = STANCE_RANGES[lobby.settings.voteScale];
+        gameState.initialStances = range ? summarizeStances(lobby, gameState.stances, range) : null;
+        gameState.finalStances = null;
+
+        // Check if either agree OR disagree has 0 votes (graded votes: if the stances barely differ)
+        const unanimous = range
+            ? gameState.initialStances.spread < MIN_STANCE_SPREAD
+            : voteResults.agree === 0 || voteResults.disagree === 0;
+        if (unanimous) {
+            // Skip the round immediately
+            gameState.phase = 'round-skipped';
+            gameState.history.push({
+                round: gameState.roundNumber,
+                topic: gameState.currentTopic,
+                proposedBy: gameState.currentProposer || null,
+                skipped: true,
+                speaker: null,
+                speakerPosition: null,
+                speakers: [],
+                initialVotes: { ...voteResults },
+                finalVotes: null,
+                stances: range ? { initial: gameState.initialStances, final: null, shift: null } : null,
+                switches: [],
+                winningTeam: null,
+                pointsPerWinner: 0,
+                pointsAwarded: {},
+                audienceVotes: {
+                    initial: countAudienceVotes(gameState.audienceVotes),
+                    final: null
+                },
+                opinionMeter: []
+            });
+            persist(code);
+
+            emit(code, 'game-phase-update', { phase: 'vote-results' });
+            emit(code, 'vote-results', voteResultsPayload(lobby, gameState, voteResults));
+
+            // A skipped round's votes get a shorter look (skippedResultsTime) before the skip message
+            scheduleTransition(code, lobby.settings.skippedResultsTime * 1000, () => {
+                emit(code, 'game-phase-update', { phase: 'round-skipped' });
+                emit(code, 'round-skipped', withBallots(lobby, gameState, {
+                    message: range
+                        ? 'Round skipped - everyone stood about the same!'
+                        : 'Round skipped - everyone voted the same way!',
+                    initialVotes: voteResults,
+                    finalVotes: null,
+                    stances: range ? { initial: gameState.initialStances, final: null, shift: null } : null,
+                    audienceVotes: {
+                        initial: countAudienceVotes(gameState.audienceVotes),
+                        final: null
+                    }
+                }));
+
+                scheduleTransition(code, lobby.settings.scoreboardTime * 1000, () => {
+                    showScoreboard(code);
+                });
+            }); // Show vote results before showing skip message
+
+            return;
+        }
+
+        gameState.phase = 'vote-results';
+        persist(code);
+        emit(code, 'game-phase-update', { phase: 'vote-results' });
+        emit(code, 'vote-results', voteResultsPayload(lobby, gameState, voteResults));
+
+        scheduleTransition(code, lobby.settings.voteResultsTime * 1000, () => {
+            startSoloPhase(code);
+        });
+    }
+
+    function startSoloPhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        gameState.phase = 'solo';
+        gameState.timer = lobby.settings.soloTime;
+        gameState.speakers = [];
+        gameState.soloTurn = -1;
+
+        if (lobby.settings.soloFormat === 'debate') {
+            nextSoloTurn(code);
+            return;
+        }
+
+        // Get connected players who were present at game start
+        const gameStartParticipants = Object.keys(gameState.scores);
+        const connectedPlayers = getPlayers(lobby).filter(p => p.connected).map(p => p.username);
+
+        // Filter to only players who voted agree or disagree (have an opinion)
+        const playersWithOpinion = gameStartParticipants
+            .filter(username => connectedPlayers.includes(username))
+            .filter(username => {
+                const vote = gameState.votes[username];
+                return vote === 'agree' || vote === 'disagree';
+            });
+
+        // First try to select from players with opinions who haven't spoken
+        let availableSpeakers = playersWithOpinion
+            .filter(username => !gameState.usedSpeakers.includes(username));
+
+        // If all opinion holders have spoken, reset the speaker list but still only use opinion holders
+        if (availableSpeakers.length === 0 && playersWithOpinion.length > 0) {
+            // Reset speakers list
+            gameState.usedSpeakers = [];
+            availableSpeakers = playersWithOpinion;
+        }
+
+        // If no one has an opinion (everyone voted abstain), skip to discussion
+        if (availableSpeakers.length === 0) {
+            log.info('No players with opinions available for solo phase, skipping to discussion', { lobby: code });
+            startDiscussionPhase(code);
+            return;
+        }
+
+        // Raised hands go first, otherwise pick at random
+        const volunteer = gameState.speakerQueue.find(username => availableSpeakers.includes(username));
+        const selectedSpeaker = volunteer || availableSpeakers[Math.floor(random() * availableSpeakers.length)];
+        gameState.usedSpeakers.push(selectedSpeaker);
+
+        // Get speaker's vote position
+        const speakerVote = gameState.votes[selectedSpeaker] || 'abstain';
+        giveFloor(code, selectedSpeaker, speakerVote, null, lobby.settings.soloTime);
+    }
+
+    // Pick the next speaker for one side in debate mode. Each side has its own rotation,
+    // so everyone on a side speaks before anyone on it speaks twice. A rebuttal goes to
+    // someone other than the side's opener when the side has more than one player.
+    function pickSideSpeaker(code, side, opener) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        const candidates = getPlayers(lobby)
+            .filter(p => p.connected && gameState.scores[p.username] !== undefined && gameState.votes[p.username] === side)
+            .map(p => p.username);
+        if (candidates.length === 0) return null;
+
+        const used = gameState.usedSpeakersBySide[side];
+        let available = candidates.filter(username => !used.includes(username));
+        if (available.length === 0) {
+            gameState.usedSpeakersBySide[side] = [];
+            available = candidates;
+        }
+        if (opener && available.length > 1) {
+            available = available.filter(username => username !== opener);
+        }
+
+        const volunteer = gameState.speakerQueue.find(username => available.includes(username));
+        const speaker = volunteer || available[Math.floor(random() * available.length)];
+        if (!gameState.usedSpeakersBySide[side].includes(speaker)) {
+            gameState.usedSpeakersBySide[side].push(speaker);
+        }
+        return speaker;
+    }
+
+    // Move to the next solo turn, or on to discussion once every turn is done.
+    // Single format has one turn; debate format walks through DEBATE_TURNS.
+    function nextSoloTurn(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        if (lobby.settings.soloFormat !== 'debate') {
+            startDiscussionPhase(code);
+            return;
+        }
+
+        // A side with nobody connected loses its turn
+        while (gameState.soloTurn + 1 < DEBATE_TURNS.length) {
+            gameState.soloTurn++;
+            const turn = DEBATE_TURNS[gameState.soloTurn];
+
+            const opening = gameState.speakers.find(entry => entry.position === turn.side);
+            const speaker = pickSideSpeaker(code, turn.side, turn.type === 'rebuttal' && opening ? opening.username : null);
+            if (speaker) {
+                const seconds = turn.type === 'opening' ? lobby.settings.soloTime : lobby.settings.rebuttalTime;
+                giveFloor(code, speaker, turn.side, {
+                    type: turn.type,
+                    number: gameState.soloTurn + 1,
+                    total: DEBATE_TURNS.length
+                }, seconds);
+                return;
+            }
+        }
+
+        startDiscussionPhase(code);
+    }
+
+    // Hand the solo floor to a speaker for one turn (turn is null in single format)
+    function giveFloor(code, speaker, position, turn, seconds) {
+        const gameState = gameStates.get(code);
+
+        gameState.phase = 'solo';
+        gameState.currentSpeaker = speaker;
+        gameState.speakerPosition = position;
+        gameState.speakers.push({ username: speaker, position, turn: turn ? turn.type : 'solo' });
+        gameState.speakerQueue = gameState.speakerQueue.filter(username => username !== speaker);
+        persist(code);
+
+        emit(code, 'game-phase-update', {
+            phase: 'solo',
+            speaker,
+            turn
+        });
+
+        emit(code, 'speaker-selected', {
+            speaker,
+            position,
+            turn
+        });
+        emit(code, 'speaker-queue-updated', { queue: gameState.speakerQueue });
+
+        startTimer(code, seconds, () => {
+            nextSoloTurn(code);
+        });
+    }
+
+    // The debate turn currently being spoken, for syncing clients
+    function currentTurn(gameState) {
+        const turn = DEBATE_TURNS[gameState.soloTurn];
+        if (gameState.phase !== 'solo' || !turn) return null;
+        return { type: turn.type, number: gameState.soloTurn + 1, total: DEBATE_TURNS.length };
+    }
+
+    function startDiscussionPhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        gameState.phase = 'discussion';
+        gameState.timer = lobby.settings.discussionTime;
+        persist(code);
+
+        emit(code, 'game-phase-update', { phase: 'discussion' });
+
+        startTimer(code, lobby.settings.discussionTime, () => {
+            startRevotingPhase(code);
+        });
+    }
+
+    function startRevotingPhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        // The last slider moves of the discussion still make it into the series
+        updateOpinionMeter(code, true);
+
+        gameState.phase = 'revoting';
+        gameState.revotes = {};
+        gameState.restances = {};
+        gameState.convincedBy = {};
+        gameState.audienceRevotes = {};
+        gameState.timer = lobby.settings.revotingTime;
+        persist(code);
+
+        emit(code, 'game-phase-update', { phase: 'revoting' });
+
+        startTimer(code, lobby.settings.revotingTime, () => {
+            calculateResults(code);
+        });
+    }
+
+    function calculateResults(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        // Count final votes (only from connected players)
+        const finalVoteResults = { agree: 0, disagree: 0, abstain: 0 };
+
+        getPlayers(lobby).forEach(participant => {
+            if (participant.connected) {
+                const vote = gameState.revotes[participant.username] || 'abstain';
+                finalVoteResults[vote]++;
+            }
+        });
+
+        gameState.finalVoteResults = { ...finalVoteResults };
+        gameState.ballots = collectBallots(lobby, gameState, true);
+
+        // Calculate vote changes
+        const agreeChange = finalVoteResults.agree - gameState.initialVoteResults.agree;
+        const disagreeChange = finalVoteResults.disagree - gameState.initialVoteResults.disagree;
+
+        log.info('Vote changes', { lobby: code, agree: agreeChange, disagree: disagreeChange });
+
+        // Graded votes: how far the stances of the players who voted both times moved
+        const range = STANCE_RANGES[lobby.settings.voteScale];
+        let stances = null;
+        if (range) {
+            gameState.finalStances = summarizeStances(lobby, gameState.restances, range);
+            const moves = getPlayers(lobby)
+                .filter(p => p.connected && gameState.stances[p.username] !== undefined && gameState.restances[p.username] !== undefined)
+                .map(p => gameState.restances[p.username] - gameState.stances[p.username]);
+            const stanceSteps = moves.reduce((sum, move) => sum + move, 0);
+            stances = {
+                initial: gameState.initialStances,
+                final: gameState.finalStances,
+                shift: moves.length > 0 ? Math.round((stanceSteps / moves.length) * 100) / 100 : 0
+            };
+        }
+
+        // Determine winning team based on which side gained more votes
+        let winningTeam = [];
+        let pointsPerWinner = 0;
+
+        if (stances) {
+            // The side the average stance moved toward wins a point per step it moved, part
+            // steps rounded up, however many players there are
+            if (stances.shift !== 0) {
+                winningTeam = [stances.shift > 0 ? 'agree' : 'disagree'];
+                pointsPerWinner = Math.ceil(Math.abs(stances.shift));
+            }
+        } else if (agreeChange > disagreeChange) {
+            // Agree team wins
+            winningTeam = ['agree'];
+            pointsPerWinner = agreeChange; // Points = number of votes gained
+        } else if (disagreeChange > agreeChange) {
+            // Disagree team wins
+            winningTeam = ['disagree'];
+            pointsPerWinner = disagreeChange; // Points = number of votes gained
+        }
+        // If agreeChange === disagreeChange, no one wins (including if both are 0)
+
+        log.info('Round scored', { lobby: code, winningTeam: winningTeam[0] || null, pointsPerWinner });
+
+        const scoresBefore = { ...gameState.scores };
+
+        // Award points with the lobby's scoring strategy
+        const scoring = getScoringStrategy(lobby.settings.scoring);
+        const pointsBreakdown = scoring.score({
+            players: getPlayers(lobby).map(({ username, connected }) => ({ username, connected })),
+            votes: gameState.votes,
+            revotes: gameState.revotes,
+            convincedBy: gameState.convincedBy || {},
+            initialVotes: gameState.initialVoteResults,
+            finalVotes: finalVoteResults,
+            stances,
+            winningTeam: winningTeam[0] || null,
+            pointsPerWinner,
+            speakers: gameState.speakers || [],
+            showSides: lobby.settings.ballot === 'public'
+        });
+
+        Object.entries(pointsBreakdown).forEach(([username, entries]) => {
+            entries.forEach(entry => {
+                gameState.scores[username] = (gameState.scores[username] || 0) + entry.points;
+            });
+        });
+
+        // Record the round before the next one overwrites votes and speaker
+        const switches = [];
+        getPlayers(lobby).forEach(participant => {
+            const from = gameState.votes[participant.username] || 'abstain';
+            const to = gameState.revotes[participant.username] || 'abstain';
+            if (from !== to) {
+                switches.push({ username: participant.username, from, to });
+            }
+        });
+
+        const pointsAwarded = {};
+        Object.keys(gameState.scores).forEach(username => {
+            const change = gameState.scores[username] - (scoresBefore[username] || 0);
+            if (change !== 0) {
+                pointsAwarded[username] = change;
+            }
+        });
+
+        // The first speaker stands for the round in reports; debates list everyone in speakers
+        const speakers = gameState.speakers || [];
+        gameState.history.push({
+            round: gameState.roundNumber,
+            topic: gameState.currentTopic,
+            proposedBy: gameState.currentProposer || null,
+            skipped: false,
+            speaker: speakers.length > 0 ? speakers[0].username : null,
+            speakerPosition: speakers.length > 0 ? speakers[0].position : null,
+            speakers,
+            initialVotes: { ...gameState.initialVoteResults },
+            finalVotes: { ...finalVoteResults },
+            stances,
+            switches,
+            winningTeam: winningTeam[0] || null,
+            pointsPerWinner,
+            scoring: lobby.settings.scoring,
+            pointsAwarded,
+            pointsBreakdown,
+            audienceVotes: {
+                initial: countAudienceVotes(gameState.audienceVotes),
+                final: countAudienceVotes(gameState.audienceRevotes)
+            },
+            opinionMeter: gameState.opinionSeries || []
+        });
+
+        gameState.phase = 'round-results';
+        persist(code);
+
+        emit(code, 'game-phase-update', { phase: 'round-results' });
+        emit(code, 'round-results', withBallots(lobby, gameState, {
+            initialVotes: gameState.initialVoteResults,
+            finalVotes: finalVoteResults,
+            stances,
+            winningTeam: winningTeam,
+            pointsPerWinner: pointsPerWinner,
+            agreeChange,
+            disagreeChange,
+            scoring: lobby.settings.scoring,
+            pointsBreakdown,
+            audienceVotes: {
+                initial: countAudienceVotes(gameState.audienceVotes),
+                final: countAudienceVotes(gameState.audienceRevotes)
+            },
+            opinionMeter: gameState.opinionSeries || []
+        }));
+
+        scheduleTransition(code, lobby.settings.roundResultsTime * 1000, () => {
+            showScoreboard(code);
+        });
+    }
+
+    function showScoreboard(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        gameState.phase = 'scoreboard';
+        persist(code);
+
+        emit(code, 'game-phase-update', { phase: 'scoreboard' });
+        emit(code, 'scoreboard-update', { scores: gameState.scores });
+
+        scheduleTransition(code, lobby.settings.scoreboardTime * 1000, () => {
+            advanceRound(code);
+        });
+    }
+
+    function advanceRound(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        gameState.roundNumber++;
+
+        // Check if we should continue or end game. Topics can run out unless players
+        // get to propose more before the next round.
+        const outOfTopics = lobby.settings.topicSubmission !== 'every-round'
+            && (gameState.proposals || []).length === 0
+            && getTopics(lobby).every(topic => gameState.usedTopics.includes(topic));
+        if (gameState.roundNumber > lobby.settings.maxRounds || outOfTopics) {
+            endGame(code);
+        } else {
+            gameState.phase = 'waiting';
+            persist(code);
+            emit(code, 'game-phase-update', { phase: 'waiting' });
+
+            scheduleTransition(code, lobby.settings.waitingTime * 1000, () => {
+                startRound(code);
+            });
+        }
+    }
+
+    function endGame(code) {
+        const gameState = gameStates.get(code);
+
+        if (!gameState) return;
+
+        stopTimers(code);
+
+        gameState.phase = 'game-ended';
+        persist(code);
+
+        emit(code, 'game-ended', {
+            finalScores: gameState.scores,
+            roundsPlayed: gameState.history.length,
+            highlights: buildHighlights(gameState.history)
+        });
+    }
+
+    function stopTimer(gameState) {
+        if (gameState.timerInterval) {
+            clock.clearInterval(gameState.timerInterval);
+            gameState.timerInterval = null;
+        }
+    }
+
+    // Stop a lobby's phase timer and any pending transition
+    function stopTimers(code) {
+        const gameState = gameStates.get(code);
+        if (!gameState) return;
+
+        stopTimer(gameState);
+        clock.clearTimeout(gameState.transitionTimeout);
+        gameState.transitionTimeout = null;
+    }
+
+    function startTimer(code, seconds, callback) {
+        const gameState = gameStates.get(code);
+        if (!gameState) return;
+
+        gameState.timer = seconds;
+
+        // Clear any existing timer
+        stopTimer(gameState);
+
+        gameState.timerInterval = clock.setInterval(() => {
+            // A paused game keeps its remaining time until the host resumes
+            if (gameState.paused) return;
+
+            gameState.timer--;
+            emit(code, 'game-timer', { timeRemaining: gameState.timer });
+
+            if (METER_PHASES.includes(gameState.phase)) {
+                gameState.meterSeconds = (gameState.meterSeconds || 0) + 1;
+                updateOpinionMeter(code);
+            }
+
+            // Keep the stored remaining time roughly current in case the server goes down mid-phase
+            if (gameState.timer % 5 === 0) {
+                persist(code);
+            }
+
+            if (gameState.timer <= 0) {
+                stopTimer(gameState);
+                callback();
+            }
+        }, 1000);
+    }
+
+    // Run the next step of a lobby's phase chain after a delay. Only one transition is pending
+    // per lobby, so skipping or restarting replaces it; while paused it waits for resume.
+    function scheduleTransition(code, delay, next) {
+        const gameState = gameStates.get(code);
+        if (!gameState) return;
+
+        clock.clearTimeout(gameState.transitionTimeout);
+        gameState.transitionTimeout = clock.setTimeout(() => {
+            gameState.transitionTimeout = null;
+
+            if (gameState.paused) {
+                gameState.pendingTransition = next;
+                return;
+            }
+            next();
+        }, delay);
+    }
+
+    // The phase function that follows each phase, used by skip and by restore
+    const NEXT_PHASE = {
+        'topic-submission': startVotingPhase,
+        'voting': processVoteResults,
+        'vote-results': startSoloPhase,
+        'round-skipped': showScoreboard,
+        'solo': nextSoloTurn,
+        'discussion': startRevotingPhase,
+        'revoting': calculateResults,
+        'round-results': showScoreboard,
+        'scoreboard': advanceRound,
+        'waiting': startRound
+    };
+
+    function pauseGame(code) {
+        const gameState = gameStates.get(code);
+        if (!gameState || gameState.paused || !NEXT_PHASE[gameState.phase]) return false;
+
+        gameState.paused = true;
+        persist(code);
+
+        emit(code, 'game-paused', { phase: gameState.phase, timeRemaining: gameState.timer });
+        return true;
+    }
+
+    function resumeGame(code) {
+        const gameState = gameStates.get(code);
+        if (!gameState || !gameState.paused) return false;
+
+        gameState.paused = false;
+        persist(code);
+
+        emit(code, 'game-resumed', { phase: gameState.phase, timeRemaining: gameState.timer });
+
+        // A delayed transition that came due while paused runs now
+        const pending = gameState.pendingTransition;
+        gameState.pendingTransition = null;
+        if (pending) {
+            pending();
+        }
+        return true;
+    }
+
+    // Cut the current phase short and move straight to the next phase function
+    function skipPhase(code) {
+        const gameState = gameStates.get(code);
+        if (!gameState) return false;
+
+        const next = NEXT_PHASE[gameState.phase];
+        if (!next) return false;
+        // Nothing to skip yet during the short delay before the first topic is drawn
+        if (gameState.phase === 'voting' && !gameState.currentTopic) return false;
+
+        const skippedPhase = gameState.phase;
+
+        stopTimers(code);
+        gameState.pendingTransition = null;
+        gameState.paused = false;
+
+        emit(code, 'phase-skipped', { phase: skippedPhase });
+        next(code);
+        return true;
+    }
+
+    // Continue a restored lobby's phase chain from where it was saved
+    function resumePhase(code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+
+        if (!gameState || !lobby) return;
+
+        const next = NEXT_PHASE[gameState.phase];
+        if (!next) return;
+
+        // Saved between game start and the first topic being drawn
+        if (gameState.phase === 'voting' && !gameState.currentTopic) {
+            startRound(code);
+            return;
+        }
+
+        // Timed phases pick up their remaining time; the short display phases start over
+        const displayTimes = {
+            'vote-results': lobby.settings.voteResultsTime,
+            'round-skipped': lobby.settings.scoreboardTime,
+            'round-results': lobby.settings.roundResultsTime,
+            'scoreboard': lobby.settings.scoreboardTime,
+            'waiting': lobby.settings.waitingTime
+        };
+
+        if (displayTimes[gameState.phase]) {
+            scheduleTransition(code, displayTimes[gameState.phase] * 1000, () => next(code));
+        } else {
+            startTimer(code, Math.max(gameState.timer, 1), () => next(code));
+        }
+    }
+
+    return {
+        startGame,
+        restartGame,
+        castVote,
+        castRevote,
+        castAudienceVote,
+        removePlayer,
+        raiseHand,
+        lowerHand,
+        setOpinion,
+        submitTopic,
+        upvoteTopic,
+        vetoTopic,
+        listProposals,
+        visibleVotes,
+        currentTurn,
+        pauseGame,
+        resumeGame,
+        skipPhase,
+        resumePhase,
+        stopTimers,
+        publicState
+    };
+}
+
+module.exports = {
+    createGameEngine,
+    getPlayers,
+    countAudienceVotes
+};
@@ -0,0 +1,122 @@
+const { sameUsername } = require('./validation');
+
+// Public lobby listings for the lobby browser and quick join. A lobby is private
+// (code only) unless its host lists it with lobby.listing = { public, title, language }.
+
+const MIN_TITLE_LENGTH = 3;
+const MAX_TITLE_LENGTH = 60;
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
+// Quick join stops filling a lobby once it has this many players, or fewer when lobbies are
+// capped lower (maxPlayers)
+const QUICK_JOIN_MAX_PLAYERS = 12;
+
+function defaultListing(host) {
+    return { public: false, title: `${host}'s lobby`, language: DEFAULT_LANGUAGE };
+}
+
+// Validate a listing update against the lobby's current listing. Fields that are
+// left out keep their current value. Returns { listing } or { error }.
+function resolveListing(input, base) {
+    if (input === undefined || input === null) {
+        return { listing: { ...base } };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Listing must be an object' };
+    }
+
+    const listing = { ...base };
+
+    if (input.public !== undefined) {
+        if (typeof input.public !== 'boolean') {
+            return { error: 'public must be true or false' };
+        }
+        listing.public = input.public;
+    }
+
+    if (input.title !== undefined) {
+        const title = typeof input.title === 'string' ? input.title.trim() : '';
+        if (title.length < MIN_TITLE_LENGTH || title.length > MAX_TITLE_LENGTH) {
+            return { error: `Title must be between ${MIN_TITLE_LENGTH} and ${MAX_TITLE_LENGTH} characters` };
+        }
+        listing.title = title;
+    }
+
+    if (input.language !== undefined) {
+        const language = typeof input.language === 'string' ? input.language.trim().toLowerCase() : '';
+        if (!LANGUAGE_PATTERN.test(language)) {
+            return { error: 'Language must be a two-letter code such as "en"' };
+        }
+        listing.language = language;
+    }
+
+    return { listing };
+}
+
+// Public lobbies that haven't finished their game and still have someone connected
+function isListed(lobby, gameState) {
+    return Boolean(lobby.listing && lobby.listing.public)
+        && !(gameState && gameState.phase === 'game-ended')
+        && lobby.participants.some(p => p.connected);
+}
+
+// What the lobby browser shows for one lobby
+function summarizeLobby(lobby, gameState) {
+    return {
+        code: lobby.code,
+        title: lobby.listing.title,
+        language: lobby.listing.language,
+        host: lobby.host,
+        packs: lobby.topics.packs,
+        players: lobby.participants.filter(p => !p.spectator).length,
+        spectators: lobby.participants.filter(p => p.spectator).length,
+        inProgress: lobby.gameStarted,
+        round: gameState ? gameState.roundNumber : 0,
+        maxRounds: lobby.settings.maxRounds
+    };
+}
+
+function matchesFilters(summary, filters) {
+    return (!filters.language || summary.language === filters.language)
+        && (!filters.pack || summary.packs.includes(filters.pack));
+}
+
+// Listed lobbies matching the optional { language, pack } filters, lobbies that
+// haven't started first, then the busiest
+function listPublicLobbies(lobbies, gameStates, filters = {}) {
+    const summaries = [];
+    lobbies.forEach((lobby, code) => {
+        const gameState = gameStates.get(code);
+        if (!isListed(lobby, gameState)) return;
+
+        const summary = summarizeLobby(lobby, gameState);
+        if (matchesFilters(summary, filters)) {
+            summaries.push(summary);
+        }
+    });
+
+    return summaries.sort((a, b) => (a.inProgress - b.inProgress) || (b.players - a.players));
+}
+
+// The best public lobby for a quick join: matching filters, with fewer than maxPlayers
+// players, and one the player can enter under their name. Returns the lobby code or null.
+function findQuickJoinLobby(lobbies, gameStates, { username, language, pack, maxPlayers = QUICK_JOIN_MAX_PLAYERS }) {
+    const candidate = listPublicLobbies(lobbies, gameStates, { language, pack }).find(summary => {
+        const lobby = lobbies.get(summary.code);
+        return summary.players < maxPlayers
+            && !lobby.bannedUsernames.some(name => sameUsername(name, username))
+            && !lobby.participants.some(p => sameUsername(p.username, username));
+    });
+
+    return candidate ? candidate.code : null;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    QUICK_JOIN_MAX_PLAYERS,
+    defaultListing,
+    resolveListing,
+    listPublicLobbies,
+    findQuickJoinLobby
+};
@@ -0,0 +1,44 @@
+const { systemClock } = require('./clock');
+
+// Structured logging: one JSON object per line, so log collectors can filter by lobby or phase
+// without parsing messages. Every line has the same leading fields:
+//   {"time":"2024-05-01T18:00:00.000Z","level":"info","lobby":"ABC123","phase":"voting","msg":"..."}
+// lobby and phase are null for lines that aren't about one lobby. Any other fields passed
+// with the message follow them. Errors go to stderr, everything else to stdout.
+
+const LEVELS = ['info', 'warn', 'error'];
+
+// Options: clock (lib/clock.js), phaseOf(code) for the lobby's current phase, and
+// write(line, level) to send the lines somewhere other than stdout/stderr
+function createLogger({ clock = systemClock, phaseOf = () => null, write } = {}) {
+    const output = write || ((line, level) => {
+        (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+
+    function log(level, msg, fields = {}) {
+        const { lobby = null, phase, ...rest } = fields;
+        const entry = {
+            time: new Date(clock.now()).toISOString(),
+            level,
+            lobby,
+            phase: phase !== undefined ? phase : (lobby ? phaseOf(lobby) || null : null),
+            msg,
+            ...rest
+        };
+        output(JSON.stringify(entry), level);
+    }
+
+    const logger = {};
+    LEVELS.forEach(level => {
+        logger[level] = (msg, fields) => log(level, msg, fields);
+    });
+    return logger;
+}
+
+// For modules that log outside any lobby (storage, topic packs, the Discord bot)
+const defaultLogger = createLogger();
+
+module.exports = {
+    createLogger,
+    defaultLogger
+};
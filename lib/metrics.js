@@ -0,0 +1,67 @@
+// Counters and gauges for the /metrics endpoint, in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Counters live here and
+// only go up; gauges are read from the server's state when the endpoint is scraped.
+// Every metric is per instance: in a cluster each instance is scraped on its own.
+
+const PREFIX = 'debate_';
+
+const COUNTERS = {
+    rounds_played_total: 'Rounds that reached their results',
+    rounds_skipped_total: 'Rounds skipped because one side got no votes',
+    reconnects_total: 'Players who came back to a game after their connection dropped',
+    lobbies_created_total: 'Lobbies opened',
+    lobbies_force_closed_total: 'Lobbies closed from the admin API'
+};
+
+// Label values are quoted; backslashes, quotes and newlines are escaped
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function createMetrics() {
+    const counters = {};
+    Object.keys(COUNTERS).forEach(name => {
+        counters[name] = 0;
+    });
+
+    function increment(name, by = 1) {
+        if (!(name in counters)) {
+            throw new Error(`Unknown counter "${name}"`);
+        }
+        counters[name] += by;
+    }
+
+    function get(name) {
+        return counters[name];
+    }
+
+    // Text exposition of the counters followed by the given gauges:
+    // [{ name, help, samples: [{ labels, value }] }]
+    function render(gauges = []) {
+        const lines = [];
+        Object.entries(COUNTERS).forEach(([name, help]) => {
+            lines.push(`# HELP ${PREFIX}${name} ${help}`);
+            lines.push(`# TYPE ${PREFIX}${name} counter`);
+            lines.push(`${PREFIX}${name} ${counters[name]}`);
+        });
+        gauges.forEach(({ name, help, samples }) => {
+            lines.push(`# HELP ${PREFIX}${name} ${help}`);
+            lines.push(`# TYPE ${PREFIX}${name} gauge`);
+            samples.forEach(({ labels, value }) => lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        increment,
+        get,
+        render
+    };
+}
+
+module.exports = {
+    createMetrics
+};
@@ -0,0 +1,146 @@
+const { systemClock } = require('./clock');
+
+// Players whose connection dropped during a game, per lobby and by stable player id (so the
+// same display name in two lobbies never collides). A player has gracePeriod milliseconds to
+// come back before expired() hands them to the server for removal.
+//
+// While anyone in a lobby is away, the events sent to its room are kept, so a returning player
+// gets what they missed replayed in order before the state snapshot. Only the last
+// MAX_MISSED_EVENTS are kept; a player who missed more only gets the snapshot.
+
+const DEFAULT_GRACE_PERIOD = 5 * 60 * 1000;
+const MAX_MISSED_EVENTS = 200;
+
+// Sent every second or so and fully covered by the snapshot; not worth replaying
+const TRANSIENT_EVENTS = ['game-timer', 'opinion-meter'];
+
+// Options: clock (lib/clock.js), gracePeriod in milliseconds
+function createReconnectionRegistry({ clock = systemClock, gracePeriod = DEFAULT_GRACE_PERIOD } = {}) {
+    // code -> { away: Map(playerId -> { username, timestamp, seq }), events: [{ seq, event, data }], nextSeq }
+    const lobbies = new Map();
+
+    function getLobby(code) {
+        if (!lobbies.has(code)) {
+            lobbies.set(code, { away: new Map(), events: [], nextSeq: 1 });
+        }
+        return lobbies.get(code);
+    }
+
+    // Drop events no away player still needs, and the lobby once nobody is away
+    function trim(code) {
+        const lobby = lobbies.get(code);
+        if (!lobby) return;
+        if (lobby.away.size === 0) {
+            lobbies.delete(code);
+            return;
+        }
+        const oldest = Math.min(...[...lobby.away.values()].map(entry => entry.seq));
+        lobby.events = lobby.events.filter(entry => entry.seq >= oldest);
+    }
+
+    // Keep an event sent to a lobby's room for its away players
+    function record(code, event, data) {
+        const lobby = lobbies.get(code);
+        if (!lobby || TRANSIENT_EVENTS.includes(event)) return;
+
+        lobby.events.push({ seq: lobby.nextSeq++, event, data });
+        if (lobby.events.length > MAX_MISSED_EVENTS) {
+            lobby.events.shift();
+        }
+    }
+
+    // Returns the time the player has to come back by
+    function disconnect(code, playerId, username, timestamp = clock.now()) {
+        const lobby = getLobby(code);
+        const existing = lobby.away.get(playerId);
+        lobby.away.set(playerId, existing || { username, timestamp, seq: lobby.nextSeq });
+        return lobby.away.get(playerId).timestamp + gracePeriod;
+    }
+
+    // Mark a player as back. Returns null if they weren't away, otherwise
+    // { username, missed: [{ event, data }], complete } where complete is false when older
+    // events were already dropped.
+    function reconnect(code, playerId) {
+        const lobby = lobbies.get(code);
+        const entry = lobby && lobby.away.get(playerId);
+        if (!entry) return null;
+
+        const missed = lobby.events.filter(({ seq }) => seq >= entry.seq);
+        const complete = entry.seq >= lobby.nextSeq || (missed.length > 0 && missed[0].seq === entry.seq);
+        lobby.away.delete(playerId);
+        trim(code);
+
+        return { username: entry.username, missed: missed.map(({ event, data }) => ({ event, data })), complete };
+    }
+
+    function isAway(code, playerId) {
+        const lobby = lobbies.get(code);
+        return Boolean(lobby && lobby.away.has(playerId));
+    }
+
+    // Forget a player without a replay (kicked, or removed for good)
+    function forget(code, playerId) {
+        const lobby = lobbies.get(code);
+        if (!lobby) return;
+        lobby.away.delete(playerId);
+        trim(code);
+    }
+
+    function removeLobby(code) {
+        lobbies.delete(code);
+    }
+
+    // Players whose grace period is over: [{ code, playerId, username }]
+    function expired(now = clock.now()) {
+        const result = [];
+        lobbies.forEach((lobby, code) => {
+            lobby.away.forEach((entry, playerId) => {
+                if (now - entry.timestamp > gracePeriod) {
+                    result.push({ code, playerId, username: entry.username });
+                }
+            });
+        });
+        return result;
+    }
+
+    function count() {
+        let total = 0;
+        lobbies.forEach(lobby => {
+            total += lobby.away.size;
+        });
+        return total;
+    }
+
+    // Away players of one lobby ([{ playerId, username, timestamp }]), for persisting across restarts.
+    // Missed events aren't kept; restored players get the snapshot.
+    function exportLobby(code) {
+        const lobby = lobbies.get(code);
+        if (!lobby) return [];
+        return [...lobby.away.entries()].map(([playerId, { username, timestamp }]) => ({ playerId, username, timestamp }));
+    }
+
+    function importLobby(code, exported) {
+        (exported || []).forEach(({ playerId, username, timestamp }) => {
+            disconnect(code, playerId, username, timestamp);
+        });
+    }
+
+    return {
+        gracePeriod,
+        record,
+        disconnect,
+        reconnect,
+        isAway,
+        forget,
+        removeLobby,
+        expired,
+        count,
+        exportLobby,
+        importLobby
+    };
+}
+
+module.exports = {
+    DEFAULT_GRACE_PERIOD,
+    createReconnectionRegistry
+};
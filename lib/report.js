@@ -0,0 +1,122 @@
+// End-of-game report: per-round history, highlights and CSV export.
+
+// Highlights shown when a game ends, computed from the round history
+function buildHighlights(history) {
+    const playedRounds = history.filter(round => !round.skipped);
+
+    // Speaker who pulled the most voters over to their side (each debate speaker counts
+    // once per round for their own side)
+    const votesWonBySpeaker = {};
+    playedRounds.forEach(round => {
+        const speakers = round.speakers || (round.speaker ? [{ username: round.speaker, position: round.speakerPosition }] : []);
+        const credited = new Set();
+        speakers.forEach(({ username, position }) => {
+            if (credited.has(username)) return;
+            credited.add(username);
+            const won = round.switches.filter(change => change.to === position).length;
+            votesWonBySpeaker[username] = (votesWonBySpeaker[username] || 0) + won;
+        });
+    });
+    const [persuasiveName, votesWon] = Object.entries(votesWonBySpeaker)
+        .sort((a, b) => b[1] - a[1])[0] || [];
+
+    // Topic with the closest agree/disagree split in the initial vote
+    let mostDivisive = null;
+    history.forEach(round => {
+        const { agree, disagree } = round.initialVotes;
+        if (agree === 0 || disagree === 0) return;
+
+        const balance = Math.min(agree, disagree) / Math.max(agree, disagree);
+        const total = agree + disagree;
+        if (!mostDivisive || balance > mostDivisive.balance || (balance === mostDivisive.balance && total > mostDivisive.total)) {
+            mostDivisive = { round: round.round, topic: round.topic, agree, disagree, balance, total };
+        }
+    });
+
+    // Round where the most voters moved to one side
+    let biggestSwing = null;
+    playedRounds.forEach(round => {
+        const agreeChange = round.finalVotes.agree - round.initialVotes.agree;
+        const disagreeChange = round.finalVotes.disagree - round.initialVotes.disagree;
+        const side = agreeChange >= disagreeChange ? 'agree' : 'disagree';
+        const swing = Math.max(agreeChange, disagreeChange);
+        if (swing > 0 && (!biggestSwing || swing > biggestSwing.swing)) {
+            biggestSwing = { round: round.round, topic: round.topic, side, swing };
+        }
+    });
+
+    return {
+        mostPersuasiveSpeaker: persuasiveName && votesWon > 0 ? { username: persuasiveName, votesWon } : null,
+        mostDivisiveTopic: mostDivisive
+            ? { round: mostDivisive.round, topic: mostDivisive.topic, agree: mostDivisive.agree, disagree: mostDivisive.disagree }
+            : null,
+        biggestSwing
+    };
+}
+
+// Rounds as the lobby's ballot mode lets players see them: unless ballots are public, who
+// switched sides is left out and only the number of players who switched is kept
+function visibleRounds(lobby, history) {
+    if (lobby.settings.ballot === 'public') return history;
+    return history.map(({ switches, ...round }) => ({ ...round, switched: switches.length }));
+}
+
+function buildReport(lobby, gameState) {
+    return {
+        lobbyCode: lobby.code,
+        host: lobby.host,
+        settings: lobby.settings,
+        generatedAt: new Date().toISOString(),
+        finished: gameState.phase === 'game-ended',
+        roundsPlayed: gameState.history.length,
+        finalScores: gameState.scores,
+        highlights: buildHighlights(gameState.history),
+        rounds: visibleRounds(lobby, gameState.history)
+    };
+}
+
+// Text starting with = + - @ (or a tab or carriage return) would run as a formula when the file is
+// opened in a spreadsheet, so it's prefixed with ' to be shown as text
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per round
+function reportToCsv(report) {
+    const header = [
+        'round', 'topic', 'skipped', 'speaker', 'speaker_position',
+        'initial_agree', 'initial_disagree', 'initial_abstain',
+        'final_agree', 'final_disagree', 'final_abstain',
+        'winning_team', 'points_per_winner', 'switched_sides', 'points_awarded'
+    ];
+
+    const rows = report.rounds.map(round => [
+        round.round,
+        round.topic,
+        round.skipped,
+        round.speaker,
+        round.speakerPosition,
+        round.initialVotes.agree,
+        round.initialVotes.disagree,
+        round.initialVotes.abstain,
+        round.finalVotes ? round.finalVotes.agree : '',
+        round.finalVotes ? round.finalVotes.disagree : '',
+        round.finalVotes ? round.finalVotes.abstain : '',
+        round.winningTeam,
+        round.pointsPerWinner,
+        round.switches ? round.switches.map(change => `${change.username}: ${change.from}->${change.to}`).join('; ') : round.switched,
+        Object.entries(round.pointsAwarded).map(([username, points]) => `${username}: ${points > 0 ? '+' : ''}${points}`).join('; ')
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    buildHighlights,
+    buildReport,
+    reportToCsv
+};
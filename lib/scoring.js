@@ -0,0 +1,137 @@
+// Scoring strategies. Every strategy has the same interface:
+//   score(round) -> { [username]: [{ points, reason }] }
+// where round is built by calculateResults in lib/engine.js:
+//   { players, votes, revotes, convincedBy, initialVotes, finalVotes, stances,
+//     winningTeam, pointsPerWinner, speakers, showSides }
+// players are the non-spectators still in the lobby ({ username, connected }) and
+// speakers are the round's solo turns ({ username, position }), several in debate mode.
+// The breakdown goes to the whole room, so reasons only name a player's side when
+// showSides is set (public ballots).
+// stances is null for three-way votes; with graded votes pointsPerWinner counts the whole
+// steps the average stance moved toward the winning side, and votes/revotes hold the stances' sides.
+// Every player gets an entry, even with no points, so clients can explain the result.
+
+const DEFAULT_SCORING = 'team';
+const SPEAKER_POINTS_PER_VOTE = 2;
+const SWITCH_POINTS = 1;
+const PERSUADER_POINTS = 1;
+
+function emptyBreakdown(players) {
+    const breakdown = {};
+    players.forEach(player => {
+        breakdown[player.username] = [];
+    });
+    return breakdown;
+}
+
+// Players who ended the round on a different side than they started
+function getSwitchers(round) {
+    return round.players.filter(player => {
+        const from = round.votes[player.username] || 'abstain';
+        const to = round.revotes[player.username];
+        return to && to !== 'abstain' && to !== from;
+    });
+}
+
+// The original rules: everyone on the side that gained the most votes earns the
+// net swing, and connected players who didn't vote again lose a point
+function scoreTeamSwing(round) {
+    const breakdown = emptyBreakdown(round.players);
+
+    round.players.forEach(player => {
+        const revote = round.revotes[player.username];
+        if (round.winningTeam && round.pointsPerWinner > 0 && revote === round.winningTeam) {
+            const gained = round.stances
+                ? `moved the average stance ${round.pointsPerWinner} step${round.pointsPerWinner === 1 ? '' : 's'}`
+                : `gained ${round.pointsPerWinner} vote${round.pointsPerWinner === 1 ? '' : 's'}`;
+            breakdown[player.username].push({
+                points: round.pointsPerWinner,
+                reason: round.showSides ? `Your side (${round.winningTeam}) ${gained}` : `Your side ${gained}`
+            });
+        }
+        if (player.connected && !revote) {
+            breakdown[player.username].push({ points: -1, reason: 'Did not vote in the revote' });
+        }
+    });
+
+    return breakdown;
+}
+
+// Only solo speakers score: a bonus for every vote that flipped to their side.
+// Someone who spoke twice in a debate is only credited once.
+function scoreSpeakerBonus(round) {
+    const breakdown = emptyBreakdown(round.players);
+    const credited = new Set();
+
+    round.speakers.forEach(({ username, position }) => {
+        if (!breakdown[username] || credited.has(username)) return;
+        credited.add(username);
+
+        const flipped = getSwitchers(round).filter(player => round.revotes[player.username] === position);
+        if (flipped.length > 0) {
+            breakdown[username].push({
+                points: flipped.length * SPEAKER_POINTS_PER_VOTE,
+                reason: `Won over ${flipped.length} vote${flipped.length === 1 ? '' : 's'} as a solo speaker`
+            });
+        }
+    });
+
+    return breakdown;
+}
+
+// Rewards changing your mind: switchers earn a point, and the player they say
+// convinced them earns one too (only if that player ended on the side they switched to)
+function scorePersuasion(round) {
+    const breakdown = emptyBreakdown(round.players);
+
+    getSwitchers(round).forEach(player => {
+        const side = round.revotes[player.username];
+        const change = round.showSides ? ` to ${side}` : ' sides';
+        breakdown[player.username].push({ points: SWITCH_POINTS, reason: `Switched${change}` });
+
+        const persuader = round.convincedBy[player.username];
+        if (persuader && breakdown[persuader] && round.revotes[persuader] === side) {
+            breakdown[persuader].push({ points: PERSUADER_POINTS, reason: `Convinced ${player.username} to switch${change}` });
+        }
+    });
+
+    return breakdown;
+}
+
+const SCORING_STRATEGIES = {
+    team: {
+        name: 'Team swing',
+        description: 'Everyone on the side that gained the most votes earns the net swing; skipping the revote costs a point',
+        score: scoreTeamSwing
+    },
+    speaker: {
+        name: 'Speaker bonus',
+        description: `Solo speakers earn ${SPEAKER_POINTS_PER_VOTE} points for each vote that flips to their side`,
+        score: scoreSpeakerBonus
+    },
+    persuasion: {
+        name: 'Open minds',
+        description: 'Switching sides earns a point, and so does the player you say convinced you',
+        score: scorePersuasion
+    }
+};
+
+function getScoringStrategy(name) {
+    return SCORING_STRATEGIES[name] || SCORING_STRATEGIES[DEFAULT_SCORING];
+}
+
+// Strategy names and descriptions for clients
+function listScoringStrategies() {
+    return Object.entries(SCORING_STRATEGIES).map(([id, strategy]) => ({
+        id,
+        name: strategy.name,
+        description: strategy.description
+    }));
+}
+
+module.exports = {
+    DEFAULT_SCORING,
+    SCORING_STRATEGIES,
+    getScoringStrategy,
+    listScoringStrategies
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Signed per-player session tokens.
+// A token is "<payload>.<signature>" where the payload is base64url JSON
+// { code, playerId, username, sid } and the signature is an HMAC of the payload. Sessions
+// belong to the player's stable id rather than their display name. Only the latest sid issued
+// for a player in a lobby is accepted, so issuing a new token or revoking a player invalidates
+// older tokens. Tokens from before player ids have no playerId; their username stands in.
+
+function createSessionManager(secret) {
+    const key = secret || crypto.randomBytes(32).toString('hex');
+    const activeSessions = new Map(); // "code:playerId" -> sid
+
+    function sessionKey(code, playerId) {
+        return `${code}:${playerId}`;
+    }
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+    }
+
+    function issue(code, playerId, username) {
+        const sid = crypto.randomBytes(16).toString('hex');
+        activeSessions.set(sessionKey(code, playerId), sid);
+
+        const payload = Buffer.from(JSON.stringify({ code, playerId, username, sid })).toString('base64url');
+        return `${payload}.${sign(payload)}`;
+    }
+
+    // Returns { code, playerId, username, sid } for a correctly signed token, current or not, otherwise null.
+    // Instances sharing a secret can check tokens for lobbies they don't run this way.
+    function decode(token) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return { ...session, playerId: session.playerId || session.username };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Returns { code, playerId, username } for a valid, current token, otherwise null
+    function verify(token) {
+        const session = decode(token);
+        if (!session) return null;
+
+        if (activeSessions.get(sessionKey(session.code, session.playerId)) !== session.sid) {
+            return null;
+        }
+
+        return { code: session.code, playerId: session.playerId, username: session.username };
+    }
+
+    function revoke(code, playerId) {
+        activeSessions.delete(sessionKey(code, playerId));
+    }
+
+    function revokeLobby(code) {
+        activeSessions.forEach((sid, id) => {
+            if (id.startsWith(`${code}:`)) {
+                activeSessions.delete(id);
+            }
+        });
+    }
+
+    // Session ids for one lobby ({ playerId: sid }), for persisting across restarts
+    function exportLobby(code) {
+        const exported = {};
+        activeSessions.forEach((sid, id) => {
+            if (id.startsWith(`${code}:`)) {
+                exported[id.slice(code.length + 1)] = sid;
+            }
+        });
+        return exported;
+    }
+
+    function importLobby(code, exported) {
+        Object.entries(exported || {}).forEach(([playerId, sid]) => {
+            activeSessions.set(sessionKey(code, playerId), sid);
+        });
+    }
+
+    // Read-only key for a lobby's stream overlay. It is derived from the lobby code, so it
+    // stays the same across restarts, and it is not a session token: it can't join or vote.
+    function viewerKey(code) {
+        return sign(`viewer:${code}`);
+    }
+
+    function verifyViewerKey(code, key) {
+        if (typeof code !== 'string' || typeof key !== 'string') return false;
+
+        const expected = Buffer.from(viewerKey(code));
+        const actual = Buffer.from(key);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    return {
+        issue,
+        decode,
+        verify,
+        revoke,
+        revokeLobby,
+        exportLobby,
+        importLobby,
+        viewerKey,
+        verifyViewerKey
+    };
+}
+
+module.exports = {
+    createSessionManager
+};
@@ -0,0 +1,164 @@
+// Per-lobby game settings: phase durations (in seconds), round count, scoring strategy,
+// solo format, opinion meter, topic submissions, ballot mode and vote scale. Hosts pick a preset and may override individual values within the limits below.
+
+const { DEFAULT_SCORING, SCORING_STRATEGIES } = require('./scoring');
+
+const SETTING_LIMITS = {
+    votingTime: { min: 10, max: 120 },
+    voteResultsTime: { min: 2, max: 30 },
+    skippedResultsTime: { min: 2, max: 30 },
+    soloTime: { min: 15, max: 300 },
+    rebuttalTime: { min: 10, max: 180 },
+    discussionTime: { min: 30, max: 900 },
+    revotingTime: { min: 10, max: 120 },
+    roundResultsTime: { min: 3, max: 60 },
+    scoreboardTime: { min: 2, max: 30 },
+    waitingTime: { min: 1, max: 30 },
+    submissionTime: { min: 15, max: 180 },
+    maxRounds: { min: 1, max: 30 }
+};
+
+// Settings picked from a fixed list rather than a number range. Presets only cover
+// timings, so these carry over when the host switches preset.
+//   scoring      - see lib/scoring.js
+//   soloFormat   - single: one speaker per round; debate: agree and disagree openings, then rebuttals
+//   opinionMeter - on: players can move a private slider during solo and discussion (see lib/engine.js)
+//   topicSubmission - before-game: players propose and upvote topics once, before the first round;
+//                     every-round: before each round. Proposals are drawn before the topic packs.
+//   ballot       - anonymous: only vote counts are shown; public: also who voted what and who switched;
+//                  sealed: no counts until the round's results
+//   voteScale    - three-way: agree, disagree or no opinion; likert-5 / likert-7: a graded stance (see lib/engine.js)
+const CHOICE_SETTINGS = {
+    scoring: Object.keys(SCORING_STRATEGIES),
+    soloFormat: ['single', 'debate'],
+    opinionMeter: ['off', 'on'],
+    topicSubmission: ['off', 'before-game', 'every-round'],
+    ballot: ['anonymous', 'public', 'sealed'],
+    voteScale: ['three-way', 'likert-5', 'likert-7']
+};
+
+const CHOICE_DEFAULTS = {
+    scoring: DEFAULT_SCORING,
+    soloFormat: 'single',
+    opinionMeter: 'off',
+    topicSubmission: 'off',
+    ballot: 'anonymous',
+    voteScale: 'three-way'
+};
+
+const PRESETS = {
+    // ~15 minute lightning session
+    quick: {
+        votingTime: 20,
+        voteResultsTime: 4,
+        skippedResultsTime: 2,
+        soloTime: 30,
+        rebuttalTime: 15,
+        discussionTime: 90,
+        revotingTime: 20,
+        roundResultsTime: 6,
+        scoreboardTime: 4,
+        waitingTime: 3,
+        submissionTime: 30,
+        maxRounds: 5
+    },
+    // ~1 hour event (the original hard-coded values)
+    standard: {
+        votingTime: 30,
+        voteResultsTime: 5,
+        skippedResultsTime: 3,
+        soloTime: 60,
+        rebuttalTime: 30,
+        discussionTime: 240,
+        revotingTime: 30,
+        roundResultsTime: 8,
+        scoreboardTime: 5,
+        waitingTime: 3,
+        submissionTime: 60,
+        maxRounds: 10
+    },
+    // Long-form evening event with room for deeper discussion
+    marathon: {
+        votingTime: 30,
+        voteResultsTime: 6,
+        skippedResultsTime: 4,
+        soloTime: 90,
+        rebuttalTime: 45,
+        discussionTime: 360,
+        revotingTime: 30,
+        roundResultsTime: 10,
+        scoreboardTime: 8,
+        waitingTime: 5,
+        submissionTime: 90,
+        maxRounds: 12
+    }
+};
+
+const DEFAULT_PRESET = 'standard';
+
+// Validate a settings object from the client and merge it over its preset.
+// Returns { settings } on success or { error } with a message for the client.
+function resolveSettings(input, base) {
+    if (input === undefined || input === null) {
+        return { settings: { ...(base || defaultSettings()) } };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Settings must be an object' };
+    }
+
+    const presetName = input.preset || (base ? base.preset : DEFAULT_PRESET);
+    if (!Object.hasOwn(PRESETS, presetName)) {
+        return { error: `Unknown preset "${presetName}". Choose one of: ${Object.keys(PRESETS).join(', ')}` };
+    }
+
+    // Switching preset starts from that preset's timings; otherwise keep the current values
+    const settings = input.preset || !base
+        ? { preset: presetName, ...PRESETS[presetName], ...currentChoices(base) }
+        : { ...base };
+
+    for (const [key, value] of Object.entries(input)) {
+        if (key === 'preset') continue;
+
+        if (Object.hasOwn(CHOICE_SETTINGS, key)) {
+            if (!CHOICE_SETTINGS[key].includes(value)) {
+                return { error: `Unknown ${key} "${value}". Choose one of: ${CHOICE_SETTINGS[key].join(', ')}` };
+            }
+            settings[key] = value;
+            continue;
+        }
+
+        if (!Object.hasOwn(SETTING_LIMITS, key)) {
+            return { error: `Unknown setting "${key}"` };
+        }
+        const limits = SETTING_LIMITS[key];
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            return { error: `${key} must be a whole number between ${limits.min} and ${limits.max}` };
+        }
+
+        settings[key] = value;
+    }
+
+    return { settings };
+}
+
+// The choice settings of an existing settings object, with defaults for any it lacks
+function currentChoices(base) {
+    const choices = {};
+    Object.keys(CHOICE_SETTINGS).forEach(key => {
+        choices[key] = (base && base[key]) || CHOICE_DEFAULTS[key];
+    });
+    return choices;
+}
+
+function defaultSettings() {
+    return { preset: DEFAULT_PRESET, ...PRESETS[DEFAULT_PRESET], ...currentChoices() };
+}
+
+module.exports = {
+    PRESETS,
+    SETTING_LIMITS,
+    CHOICE_SETTINGS,
+    resolveSettings,
+    defaultSettings
+};
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const net = require('net');
+const { systemClock } = require('./clock');
+const { defaultLogger: log } = require('./logger');
+
+// Shared state for running several server instances (see lib/cluster.js). Every store has
+// the same promise-based interface:
+//   get(key), set(key, value), delete(key), keys(prefix)
+//   acquire(key, owner, ttl) -> true when owner holds the lease on key for the next ttl ms
+//   release(key, owner)      -> drop the lease if owner still holds it
+//   holder(key)              -> the current lease holder, or null once the lease expired
+//   publish(channel, message) and subscribe(channel, handler) -> unsubscribe()
+//   close()
+// Values and messages must survive JSON; they are copied, never shared between instances.
+//
+// createMemorySharedStore keeps everything in this process, for tests and a single machine.
+// serveSharedStore exposes a store over TCP (newline-delimited JSON) and
+// createRemoteSharedStore talks to it, so separate Node processes can share one:
+//   SHARED_STORE_SECRET=... node lib/sharedstore.js
+//       (listens on STORE_HOST:STORE_PORT, default 127.0.0.1:7070)
+//   SHARED_STORE_URL=tcp://localhost:7070 SHARED_STORE_SECRET=... node server.js
+// A client's first request must be { op: 'auth', args: [secret] } with the store's secret;
+// any other first request, or a wrong secret, closes the connection.
+// A store backed by Redis or similar only needs to implement the interface above.
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 7070;
+const REQUEST_TIMEOUT = 5000;
+
+// Wait before each attempt to reconnect to a remote store; the last delay repeats
+const RECONNECT_DELAYS = [100, 500, 1000, 2000, 5000];
+
+const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Answer on a later tick, like a store across the network would
+const later = fn => new Promise(resolve => setImmediate(() => resolve(fn())));
+
+function createMemorySharedStore({ clock = systemClock } = {}) {
+    const values = new Map();
+    const leases = new Map(); // key -> { owner, expiresAt }
+    const channels = new Map(); // channel -> Set of handlers
+
+    function currentLease(key) {
+        const lease = leases.get(key);
+        if (lease && lease.expiresAt <= clock.now()) {
+            leases.delete(key);
+            return null;
+        }
+        return lease || null;
+    }
+
+    function subscribe(channel, handler) {
+        if (!channels.has(channel)) {
+            channels.set(channel, new Set());
+        }
+        channels.get(channel).add(handler);
+
+        return () => {
+            const handlers = channels.get(channel);
+            if (!handlers) return;
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                channels.delete(channel);
+            }
+        };
+    }
+
+    return {
+        get: key => later(() => copy(values.get(key))),
+        set: (key, value) => later(() => {
+            values.set(key, copy(value));
+        }),
+        delete: key => later(() => {
+            values.delete(key);
+        }),
+        keys: (prefix = '') => later(() => [...values.keys()].filter(key => key.startsWith(prefix))),
+
+        acquire: (key, owner, ttl) => later(() => {
+            const lease = currentLease(key);
+            if (lease && lease.owner !== owner) return false;
+            leases.set(key, { owner, expiresAt: clock.now() + ttl });
+            return true;
+        }),
+        release: (key, owner) => later(() => {
+            const lease = currentLease(key);
+            if (lease && lease.owner === owner) {
+                leases.delete(key);
+            }
+        }),
+        holder: key => later(() => {
+            const lease = currentLease(key);
+            return lease ? lease.owner : null;
+        }),
+
+        publish: (channel, message) => later(() => {
+            const handlers = channels.get(channel);
+            if (!handlers) return;
+            const serialized = JSON.stringify(message);
+            [...handlers].forEach(handler => handler(JSON.parse(serialized)));
+        }),
+        subscribe,
+
+        close: () => later(() => {
+            channels.clear();
+        })
+    };
+}
+
+const REMOTE_OPERATIONS = ['get', 'set', 'delete', 'keys', 'acquire', 'release', 'holder', 'publish'];
+
+// Split a socket's data into JSON lines; malformed lines are dropped
+function onLines(socket, handler) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let newline = buffer.indexOf('\n');
+        while (newline !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (line) {
+                let data;
+                try {
+                    data = JSON.parse(line);
+                } catch (error) {
+                    data = null;
+                }
+                if (data) {
+                    handler(data);
+                }
+            }
+            newline = buffer.indexOf('\n');
+        }
+    });
+}
+
+// Compared through their hashes, so the time taken says nothing about the secret
+function sameSecret(given, secret) {
+    if (typeof given !== 'string') return false;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(given), hash(secret));
+}
+
+// Serve a store to remote clients. Requests are { id, op, args } and get { id, result } or
+// { id, error }; published messages arrive as { channel, message }. Only clients that
+// authenticate with secret are served. Returns the net.Server.
+function serveSharedStore({ store = createMemorySharedStore(), port = DEFAULT_PORT, host = DEFAULT_HOST, secret } = {}) {
+    if (!secret) {
+        throw new Error('The shared store needs a secret for its clients to authenticate with');
+    }
+
+    const server = net.createServer(socket => {
+        const subscriptions = new Map(); // channel -> unsubscribe
+        let authenticated = false;
+        const send = data => {
+            if (socket.writable) {
+                socket.write(`${JSON.stringify(data)}\n`);
+            }
+        };
+
+        onLines(socket, ({ id, op, args = [] }) => {
+            if (!authenticated) {
+                if (op === 'auth' && sameSecret(args[0], secret)) {
+                    authenticated = true;
+                    return send({ id, result: null });
+                }
+                send({ id, error: 'Not authorized' });
+                return socket.end();
+            }
+
+            const [channel] = args;
+            if (op === 'subscribe') {
+                if (!subscriptions.has(channel)) {
+                    subscriptions.set(channel, store.subscribe(channel, message => send({ channel, message })));
+                }
+                return send({ id, result: null });
+            }
+            if (op === 'unsubscribe') {
+                if (subscriptions.has(channel)) {
+                    subscriptions.get(channel)();
+                    subscriptions.delete(channel);
+                }
+                return send({ id, result: null });
+            }
+            if (!REMOTE_OPERATIONS.includes(op)) {
+                return send({ id, error: `Unknown operation "${op}"` });
+            }
+
+            store[op](...args).then(
+                result => send({ id, result: result === undefined ? null : result }),
+                error => send({ id, error: error.message })
+            );
+        });
+
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            subscriptions.forEach(unsubscribe => unsubscribe());
+            subscriptions.clear();
+        });
+    });
+
+    server.listen(port, host);
+    return server;
+}
+
+// Client for serveSharedStore; url is tcp://host:port and secret the store's secret.
+// When the connection drops, requests fail until it is back: the client reconnects with
+// backoff (RECONNECT_DELAYS) and subscribes again to every channel it was listening on.
+function createRemoteSharedStore(url, { secret } = {}) {
+    const { hostname, port } = new URL(url);
+    const pending = new Map(); // request id -> { resolve, reject, timer }
+    const channels = new Map(); // channel -> Set of handlers
+    let nextId = 1;
+    let closing = false;
+    let socket = null;
+    let connected = false;
+    let failure = null;
+    let reconnects = 0;
+    let reconnectTimer = null;
+
+    function handleLine(data) {
+        if (data.channel !== undefined) {
+            const handlers = channels.get(data.channel);
+            if (handlers) {
+                [...handlers].forEach(handler => handler(data.message));
+            }
+            return;
+        }
+
+        const request = pending.get(data.id);
+        if (!request) return;
+        pending.delete(data.id);
+        clearTimeout(request.timer);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.result === null ? undefined : data.result);
+        }
+    }
+
+    function connect() {
+        failure = null;
+        socket = net.connect(Number(port) || DEFAULT_PORT, hostname || 'localhost');
+        onLines(socket, handleLine);
+
+        socket.on('error', error => {
+            failure = error;
+        });
+        socket.on('close', () => {
+            if (connected && !closing) {
+                log.error(`Lost connection to the shared store at ${url}`, { error: failure ? failure.message : null });
+            }
+            connected = false;
+            failure = failure || new Error('Shared store connection closed');
+            pending.forEach(request => {
+                clearTimeout(request.timer);
+                request.reject(failure);
+            });
+            pending.clear();
+
+            if (!closing) {
+                const delay = RECONNECT_DELAYS[Math.min(reconnects, RECONNECT_DELAYS.length - 1)];
+                reconnects += 1;
+                reconnectTimer = setTimeout(connect, delay);
+                reconnectTimer.unref();
+            }
+        });
+
+        // Sent before anything else; the store closes the connection if the secret is wrong
+        call('auth', secret).then(() => {
+            if (reconnects > 0) {
+                log.info(`Reconnected to the shared store at ${url}`);
+            }
+            connected = true;
+            reconnects = 0;
+        }, error => {
+            if (error.message === 'Not authorized') {
+                log.error(`The shared store at ${url} refused the connection`, { error: error.message });
+            }
+        });
+        // A new connection starts without subscriptions
+        channels.forEach((handlers, channel) => call('subscribe', channel).catch(ignore));
+    }
+
+    function call(op, ...args) {
+        if (closing || socket.destroyed) {
+            return Promise.reject(failure || new Error('Shared store connection closed'));
+        }
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                reject(new Error('Shared store did not answer in time'));
+            }, REQUEST_TIMEOUT);
+            pending.set(id, { resolve, reject, timer });
+            socket.write(`${JSON.stringify({ id, op, args })}\n`);
+        });
+    }
+
+    const ignore = () => {};
+
+    connect();
+
+    return {
+        get: key => call('get', key),
+        set: (key, value) => call('set', key, value),
+        delete: key => call('delete', key),
+        keys: (prefix = '') => call('keys', prefix),
+        acquire: (key, owner, ttl) => call('acquire', key, owner, ttl),
+        release: (key, owner) => call('release', key, owner),
+        holder: key => call('holder', key).then(holder => holder || null),
+        publish: (channel, message) => call('publish', channel, message),
+
+        subscribe(channel, handler) {
+            if (!channels.has(channel)) {
+                channels.set(channel, new Set());
+                call('subscribe', channel).catch(ignore);
+            }
+            channels.get(channel).add(handler);
+
+            return () => {
+                const handlers = channels.get(channel);
+                if (!handlers || !handlers.delete(handler) || handlers.size > 0) return;
+                channels.delete(channel);
+                call('unsubscribe', channel).catch(ignore);
+            };
+        },
+
+        // Pending writes are flushed before the connection ends
+        close() {
+            closing = true;
+            clearTimeout(reconnectTimer);
+            if (socket.destroyed) {
+                return Promise.resolve();
+            }
+            return new Promise(resolve => socket.end(resolve));
+        }
+    };
+}
+
+if (require.main === module) {
+    if (!process.env.SHARED_STORE_SECRET) {
+        log.error('SHARED_STORE_SECRET must be set; instances authenticate with it');
+        process.exit(1);
+    }
+
+    const port = Number(process.env.STORE_PORT) || DEFAULT_PORT;
+    const server = serveSharedStore({ port, host: process.env.STORE_HOST || DEFAULT_HOST, secret: process.env.SHARED_STORE_SECRET });
+    server.on('listening', () => {
+        log.info(`Shared store listening on port ${server.address().port}`);
+    });
+}
+
+module.exports = {
+    createMemorySharedStore,
+    createRemoteSharedStore,
+    serveSharedStore
+};
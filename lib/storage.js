@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultLogger: log } = require('./logger');
+
+// Storage adapters for lobby snapshots. Every adapter has the same interface:
+//   load()                       -> { secret, lobbies: { [code]: record }, tournaments: { [id]: tournament } }
+//   saveLobby(code, record)      -> store the latest snapshot of one lobby
+//   deleteLobby(code)            -> forget a lobby
+//   saveTournament(id, record)   -> store a tournament (see lib/tournaments.js)
+//   saveSecret(secret)           -> store the session signing secret so tokens survive restarts
+//   flush()                      -> write out anything still pending, e.g. before the process exits
+// A record is { lobby, gameState, sessions, disconnectedPlayers } as built by server.js.
+
+// Default: nothing survives a restart
+function createMemoryStorage() {
+    return {
+        name: 'memory',
+        load() {
+            return { secret: null, lobbies: {}, tournaments: {} };
+        },
+        saveLobby() {},
+        deleteLobby() {},
+        saveTournament() {},
+        saveSecret() {},
+        flush() {}
+    };
+}
+
+// How long saves are batched before the JSON file is rewritten
+const WRITE_DELAY = 1000;
+
+// Keeps every lobby in one JSON file. Each save serializes only its own record; the file is
+// rewritten at most once every writeDelay ms, in the background and atomically (temp file,
+// then rename), so a busy server never blocks on disk. flush() writes pending saves right
+// away and synchronously, for shutdown.
+function createJsonFileStorage(file, { writeDelay = WRITE_DELAY } = {}) {
+    let secret = null;
+    let lobbies = {}; // code -> serialized record
+    let tournaments = {}; // id -> serialized tournament
+    let timer = null;
+    let dirty = false;
+    let writing = false;
+    // Bumped by every write, so a background write finishing after a newer one is dropped
+    let generation = 0;
+
+    function serialize() {
+        const entries = records => `{${Object.entries(records).map(([key, json]) => `${JSON.stringify(key)}:${json}`).join(',')}}`;
+        return `{"secret":${JSON.stringify(secret)},"lobbies":${entries(lobbies)},"tournaments":${entries(tournaments)}}`;
+    }
+
+    function reportError(error) {
+        log.error(`Error writing game state to ${file}`, { error: error.message });
+    }
+
+    function scheduleWrite() {
+        dirty = true;
+        if (timer || writing) return;
+        timer = setTimeout(writeInBackground, writeDelay);
+        timer.unref();
+    }
+
+    function writeInBackground() {
+        timer = null;
+        dirty = false;
+        writing = true;
+        const current = ++generation;
+        const tempFile = `${file}.${current}.tmp`;
+
+        fs.promises.mkdir(path.dirname(file), { recursive: true })
+            .then(() => fs.promises.writeFile(tempFile, serialize()))
+            .then(() => {
+                if (current === generation) {
+                    fs.renameSync(tempFile, file);
+                } else {
+                    fs.promises.unlink(tempFile).catch(() => {});
+                }
+            })
+            .catch(reportError)
+            .then(() => {
+                writing = false;
+                if (dirty) {
+                    dirty = false;
+                    scheduleWrite();
+                }
+            });
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!dirty) return;
+
+        dirty = false;
+        generation++;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.tmp`;
+            fs.writeFileSync(tempFile, serialize());
+            fs.renameSync(tempFile, file);
+        } catch (error) {
+            reportError(error);
+        }
+    }
+
+    return {
+        name: 'json',
+        load() {
+            let state = { secret: null, lobbies: {}, tournaments: {} };
+            try {
+                state = JSON.parse(fs.readFileSync(file, 'utf8'));
+                state.lobbies = state.lobbies || {};
+                state.tournaments = state.tournaments || {};
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    log.error(`Error reading game state from ${file}`, { error: error.message });
+                }
+            }
+            secret = state.secret;
+            lobbies = {};
+            tournaments = {};
+            Object.entries(state.lobbies).forEach(([code, record]) => {
+                lobbies[code] = JSON.stringify(record);
+            });
+            Object.entries(state.tournaments).forEach(([id, record]) => {
+                tournaments[id] = JSON.stringify(record);
+            });
+            return state;
+        },
+        saveLobby(code, record) {
+            lobbies[code] = JSON.stringify(record);
+            scheduleWrite();
+        },
+        deleteLobby(code) {
+            if (!lobbies[code]) return;
+            delete lobbies[code];
+            scheduleWrite();
+        },
+        saveTournament(id, record) {
+            tournaments[id] = JSON.stringify(record);
+            scheduleWrite();
+        },
+        saveSecret(value) {
+            secret = value;
+            scheduleWrite();
+        },
+        flush
+    };
+}
+
+// Lobbies in a shared store (lib/sharedstore.js) under "lobby:<code>", for running several
+// instances. Saves go out without waiting; load() starts empty because lobbies are adopted
+// one by one through lib/cluster.js leases, with listLobbies() and loadLobby(code) (promises).
+// The session secret must come from SESSION_SECRET so every instance signs the same way.
+// Tournaments are kept by the instance that created them and are not saved here; match
+// results from other instances are sent to it (see server.js).
+function createSharedStoreStorage(store) {
+    const report = error => log.error('Error writing game state to the shared store', { error: error.message });
+
+    return {
+        name: 'shared',
+        load() {
+            return { secret: null, lobbies: {}, tournaments: {} };
+        },
+        saveLobby(code, record) {
+            store.set(`lobby:${code}`, record).catch(report);
+        },
+        deleteLobby(code) {
+            store.delete(`lobby:${code}`).catch(report);
+        },
+        saveTournament() {},
+        saveSecret() {},
+        flush() {},
+        listLobbies() {
+            return store.keys('lobby:').then(keys => keys.map(key => key.slice('lobby:'.length)));
+        },
+        loadLobby(code) {
+            return store.get(`lobby:${code}`);
+        }
+    };
+}
+
+// Pick an adapter from options (usually process.env): STORAGE=memory|json, STORAGE_FILE=path
+function createStorage(options) {
+    const type = options.STORAGE || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return createMemoryStorage();
+        case 'json':
+            return createJsonFileStorage(options.STORAGE_FILE || path.join(__dirname, '..', 'data', 'state.json'));
+        default:
+            throw new Error(`Unknown STORAGE "${type}". Use "memory" or "json".`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    createMemoryStorage,
+    createJsonFileStorage,
+    createSharedStoreStorage
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultLogger: log } = require('./logger');
+
+// Topic packs: every .txt file in the topics directory is a pack named after the file.
+// One topic per line, optionally prefixed with category tags: "[tech, society] Topic text".
+// Lines starting with # are comments.
+
+const DEFAULT_PACK = 'general';
+const MIN_TOPIC_LENGTH = 5;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_CUSTOM_TOPICS = 200;
+
+// Used when the topics directory is missing or empty
+const FALLBACK_TOPICS = [
+    "Social media has done more harm than good to society",
+    "Remote work is more productive than office work",
+    "Climate change is primarily caused by human activity",
+    "Universal basic income should be implemented globally",
+    "Artificial intelligence will eventually replace most human jobs",
+    "Video games cause violence in children",
+    "Private healthcare is better than public healthcare",
+    "Space exploration is a waste of money",
+    "Cryptocurrency will replace traditional currency",
+    "Online education is as effective as traditional classroom learning"
+];
+
+// Parse pack text into [{ text, categories }]
+function parseTopics(content) {
+    return content
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(line => {
+            const match = line.match(/^\[([^\]]*)\]\s*(.*)$/);
+            if (!match) {
+                return { text: line, categories: [] };
+            }
+            const categories = match[1]
+                .split(',')
+                .map(tag => tag.trim().toLowerCase())
+                .filter(tag => tag.length > 0);
+            return { text: match[2].trim(), categories };
+        })
+        .filter(topic => topic.text.length > 0);
+}
+
+// Validate a custom topic list pasted or uploaded by a host.
+// Accepts raw text (one topic per line) or an array of strings.
+// Returns { topics } or { error }.
+function parseCustomTopics(input) {
+    let topics;
+    if (typeof input === 'string') {
+        topics = parseTopics(input);
+    } else if (Array.isArray(input) && input.every(topic => typeof topic === 'string')) {
+        topics = parseTopics(input.join('\n'));
+    } else {
+        return { error: 'Topics must be text with one topic per line or an array of strings' };
+    }
+
+    if (topics.length === 0) {
+        return { error: 'No topics found' };
+    }
+    if (topics.length > MAX_CUSTOM_TOPICS) {
+        return { error: `A custom list can have at most ${MAX_CUSTOM_TOPICS} topics` };
+    }
+
+    const invalid = topics.find(topic => topic.text.length < MIN_TOPIC_LENGTH || topic.text.length > MAX_TOPIC_LENGTH);
+    if (invalid) {
+        return { error: `Topics must be between ${MIN_TOPIC_LENGTH} and ${MAX_TOPIC_LENGTH} characters: "${invalid.text.slice(0, 40)}"` };
+    }
+
+    // Drop duplicates, keeping the first occurrence
+    const seen = new Set();
+    topics = topics.filter(topic => {
+        const key = topic.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    return { topics };
+}
+
+// Key for spotting the same topic written twice: case and spacing don't count, nor does
+// trailing punctuation
+function topicKey(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+// Validate a single topic typed by a player. Returns { text } or { error }.
+function validateTopicText(input) {
+    if (typeof input !== 'string') {
+        return { error: 'Topic must be text' };
+    }
+
+    const text = input.replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_TOPIC_LENGTH || text.length > MAX_TOPIC_LENGTH) {
+        return { error: `Topics must be between ${MIN_TOPIC_LENGTH} and ${MAX_TOPIC_LENGTH} characters` };
+    }
+    return { text };
+}
+
+// Loads all packs from a directory and reloads them when files change
+function createTopicLibrary(dir) {
+    let packs = new Map();
+    let watcher = null;
+    let reloadTimeout = null;
+
+    function load() {
+        const loaded = new Map();
+        try {
+            fs.readdirSync(dir)
+                .filter(file => file.endsWith('.txt'))
+                .forEach(file => {
+                    const name = path.basename(file, '.txt');
+                    const topics = parseTopics(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    if (topics.length > 0) {
+                        loaded.set(name, topics);
+                    }
+                });
+        } catch (error) {
+            log.error(`Error loading topic packs from ${dir}`, { error: error.message });
+        }
+
+        if (loaded.size === 0) {
+            loaded.set(DEFAULT_PACK, FALLBACK_TOPICS.map(text => ({ text, categories: [] })));
+        }
+
+        packs = loaded;
+        const total = [...packs.values()].reduce((sum, topics) => sum + topics.length, 0);
+        log.info(`Loaded ${total} debate topics from ${packs.size} packs`);
+    }
+
+    function watch() {
+        try {
+            watcher = fs.watch(dir, () => {
+                // Editors fire several events per save, so reload once things settle
+                clearTimeout(reloadTimeout);
+                reloadTimeout = setTimeout(load, 200);
+            });
+        } catch (error) {
+            log.warn(`Not watching ${dir} for topic changes`, { error: error.message });
+        }
+    }
+
+    function close() {
+        clearTimeout(reloadTimeout);
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+    }
+
+    function listPacks() {
+        return [...packs.entries()].map(([name, topics]) => ({
+            name,
+            topicCount: topics.length,
+            categories: [...new Set(topics.flatMap(topic => topic.categories))].sort()
+        }));
+    }
+
+    function hasPack(name) {
+        return packs.has(name);
+    }
+
+    function defaultPacks() {
+        return packs.has(DEFAULT_PACK) ? [DEFAULT_PACK] : [...packs.keys()];
+    }
+
+    // Validate a lobby's topic selection: { packs, categories }.
+    // Returns { selection } or { error }.
+    function resolveSelection(input) {
+        if (input === undefined || input === null) {
+            return { selection: { packs: defaultPacks(), categories: [], custom: [] } };
+        }
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'Topic selection must be an object' };
+        }
+
+        const selectedPacks = input.packs === undefined ? defaultPacks() : input.packs;
+        const categories = input.categories === undefined ? [] : input.categories;
+
+        if (!Array.isArray(selectedPacks) || !selectedPacks.every(name => typeof name === 'string')) {
+            return { error: 'packs must be a list of pack names' };
+        }
+        if (!Array.isArray(categories) || !categories.every(tag => typeof tag === 'string')) {
+            return { error: 'categories must be a list of category names' };
+        }
+
+        const unknown = selectedPacks.find(name => !packs.has(name));
+        if (unknown) {
+            return { error: `Unknown topic pack "${unknown}"` };
+        }
+
+        return {
+            selection: {
+                packs: [...new Set(selectedPacks)],
+                categories: categories.map(tag => tag.trim().toLowerCase()),
+                custom: []
+            }
+        };
+    }
+
+    // Build the list of topic strings a lobby draws from. Pack contents are read at
+    // call time so edits to pack files apply to running lobbies on their next round.
+    // Category filters narrow the packs; a host's custom list is always included.
+    function getPool(selection) {
+        const packTopics = selection.packs
+            .filter(name => packs.has(name))
+            .flatMap(name => packs.get(name));
+
+        const filtered = selection.categories.length === 0
+            ? packTopics
+            : packTopics.filter(topic => topic.categories.some(tag => selection.categories.includes(tag)));
+
+        return [...new Set(filtered.concat(selection.custom).map(topic => topic.text))];
+    }
+
+    load();
+    watch();
+
+    return {
+        listPacks,
+        hasPack,
+        resolveSelection,
+        getPool,
+        reload: load,
+        close
+    };
+}
+
+module.exports = {
+    createTopicLibrary,
+    parseTopics,
+    parseCustomTopics,
+    topicKey,
+    validateTopicText
+};
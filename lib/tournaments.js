@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { validate, usernameKey } = require('./validation');
+
+// Team tournaments across several lobbies. A tournament has named teams with player rosters
+// and a schedule of matches; each match is one lobby where two teams play a full game, and
+// every player's final score counts for their team.
+//   round-robin - every team meets every other team once, at most one match per team a round
+//   bracket     - single elimination; the winners of one round meet in the next
+// A round starts when the admin advances the tournament; server.js opens a lobby for each
+// of its matches. A team without an opponent that round gets a bye.
+// Standings give 2 points for a win or a bye and 1 for a draw, then rank by total score.
+// A drawn bracket match goes to the better seed (the team listed first).
+
+const FORMATS = ['round-robin', 'bracket'];
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 16;
+const MAX_TEAM_SIZE = 6;
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 30;
+
+const POINTS = { win: 2, draw: 1, bye: 2 };
+
+// Pairings for every round of a round-robin (circle method); null stands for a bye
+function roundRobinRounds(teams) {
+    const slots = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+    const rounds = [];
+
+    for (let round = 0; round < slots.length - 1; round++) {
+        const pairs = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            pairs.push([slots[i], slots[slots.length - 1 - i]]);
+        }
+        rounds.push(pairs);
+
+        // The first team stays put, everyone else moves one place along
+        slots.splice(1, 0, slots.pop());
+    }
+    return rounds;
+}
+
+// First-round bracket pairings in seed order (1 v 8, 4 v 5, 2 v 7, 3 v 6 ...). The bracket
+// is padded to a power of two with byes, which go to the top seeds.
+function bracketPairs(teams) {
+    let seeds = [1];
+    while (seeds.length < teams.length) {
+        const sum = seeds.length * 2 + 1;
+        seeds = seeds.flatMap(seed => [seed, sum - seed]);
+    }
+
+    const pairs = [];
+    for (let i = 0; i < seeds.length; i += 2) {
+        pairs.push([teams[seeds[i] - 1] || null, teams[seeds[i + 1] - 1] || null]);
+    }
+    return pairs;
+}
+
+// A round's matches; a pair with one team is that team's bye
+function buildRound(number, pairs) {
+    return {
+        number,
+        matches: pairs.map((pair, index) => {
+            const teams = pair.filter(Boolean);
+            return {
+                id: `${number}-${index + 1}`,
+                teams,
+                lobbyCode: null,
+                status: teams.length === 1 ? 'bye' : 'scheduled',
+                scores: null,
+                winner: teams.length === 1 ? teams[0] : null
+            };
+        })
+    };
+}
+
+function validName(value) {
+    return typeof value === 'string' && value.trim().length >= MIN_NAME_LENGTH && value.trim().length <= MAX_NAME_LENGTH;
+}
+
+// Roster entries follow the same rules as the names players join with, so they can join
+const PLAYER_SCHEMA = { player: { type: 'username', required: true } };
+
+// Validate { name, format, teams: [{ name, players }] }. Returns { name, format, teams } or { error }.
+// Player names come back normalized, as they will be once those players join.
+function validateTournament(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Tournament must be an object with a name and teams' };
+    }
+    if (!validName(input.name)) {
+        return { error: `Tournament name must be between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH} characters` };
+    }
+
+    const format = input.format === undefined ? 'round-robin' : input.format;
+    if (!FORMATS.includes(format)) {
+        return { error: `Unknown format "${format}". Choose one of: ${FORMATS.join(', ')}` };
+    }
+
+    if (!Array.isArray(input.teams) || input.teams.length < MIN_TEAMS || input.teams.length > MAX_TEAMS) {
+        return { error: `teams must be a list of ${MIN_TEAMS} to ${MAX_TEAMS} teams` };
+    }
+
+    const teams = [];
+    const teamNames = new Set();
+    const players = new Set();
+    for (const team of input.teams) {
+        if (!team || !validName(team.name)) {
+            return { error: `Team names must be between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH} characters` };
+        }
+        const name = team.name.trim();
+        if (teamNames.has(name.toLowerCase())) {
+            return { error: `Team "${name}" is listed twice` };
+        }
+        teamNames.add(name.toLowerCase());
+
+        if (!Array.isArray(team.players) || team.players.length === 0 || team.players.length > MAX_TEAM_SIZE) {
+            return { error: `Team "${name}" needs 1 to ${MAX_TEAM_SIZE} players` };
+        }
+        const roster = [];
+        for (const given of team.players) {
+            const { value, error } = validate(PLAYER_SCHEMA, { player: given });
+            if (error) {
+                return { error: `Team "${name}": ${error}` };
+            }
+            if (players.has(usernameKey(value.player))) {
+                return { error: `${value.player} is on more than one team` };
+            }
+            players.add(usernameKey(value.player));
+            roster.push(value.player);
+        }
+
+        teams.push({ name, players: roster });
+    }
+
+    return { name: input.name.trim(), format, teams };
+}
+
+// Options: clock (lib/clock.js)
+function createTournamentManager({ clock }) {
+    const tournaments = new Map(); // id -> tournament
+    const matchLobbies = new Map(); // lobby code -> { tournamentId, matchId }
+
+    // Create a tournament from a validated request plus the settings and topic selection
+    // every match lobby uses. Returns { tournament } or { error }.
+    function create(input, settings, topics) {
+        const { name, format, teams, error } = validateTournament(input);
+        if (error) {
+            return { error };
+        }
+
+        const teamNames = teams.map(team => team.name);
+        const tournament = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name,
+            format,
+            teams,
+            settings,
+            topics,
+            rounds: format === 'round-robin'
+                ? roundRobinRounds(teamNames).map((pairs, index) => buildRound(index + 1, pairs))
+                : [buildRound(1, bracketPairs(teamNames))],
+            currentRound: 0,
+            status: 'created',
+            champion: null,
+            createdAt: clock.now()
+        };
+        tournaments.set(tournament.id, tournament);
+        return { tournament };
+    }
+
+    function get(id) {
+        return tournaments.get(id) || null;
+    }
+
+    function list() {
+        return [...tournaments.values()];
+    }
+
+    function currentRound(tournament) {
+        return tournament.rounds[tournament.currentRound - 1] || null;
+    }
+
+    // Start the next round. openMatch(tournament, match) opens the match lobby and returns its
+    // code. Every match of the current round must be finished first. Returns { tournament } or { error }.
+    function advance(id, openMatch) {
+        const tournament = tournaments.get(id);
+        if (!tournament) {
+            return { error: 'Tournament not found' };
+        }
+        if (tournament.status === 'finished') {
+            return { error: 'The tournament is over' };
+        }
+
+        const round = currentRound(tournament);
+        if (round && round.matches.some(match => match.status === 'playing')) {
+            return { error: `Round ${round.number} still has matches in progress` };
+        }
+
+        // The bracket's next round pairs the winners in order
+        if (tournament.format === 'bracket' && round) {
+            const winners = round.matches.map(match => match.winner);
+            const pairs = [];
+            for (let i = 0; i < winners.length; i += 2) {
+                pairs.push([winners[i], winners[i + 1] || null]);
+            }
+            tournament.rounds.push(buildRound(round.number + 1, pairs));
+        }
+
+        tournament.currentRound++;
+        tournament.status = 'running';
+        currentRound(tournament).matches
+            .filter(match => match.status === 'scheduled')
+            .forEach(match => {
+                match.lobbyCode = openMatch(tournament, match);
+                match.status = 'playing';
+                matchLobbies.set(match.lobbyCode, { tournamentId: tournament.id, matchId: match.id });
+            });
+
+        finishIfDone(tournament);
+        return { tournament };
+    }
+
+    // The tournament and match a lobby was opened for, or null
+    function findMatch(code) {
+        const entry = matchLobbies.get(code);
+        const tournament = entry && tournaments.get(entry.tournamentId);
+        if (!tournament) return null;
+
+        const match = tournament.rounds.flatMap(round => round.matches).find(candidate => candidate.id === entry.matchId);
+        return match ? { tournament, match } : null;
+    }
+
+    // Record a match lobby's final scores ({ username: points }) as team totals. Only matches
+    // of the current round take results; a game restarted and finished again replaces the
+    // earlier result. Returns the tournament, or null when the lobby isn't a current match.
+    function recordResult(code, scores) {
+        const found = findMatch(code);
+        if (!found) return null;
+
+        const { tournament, match } = found;
+        const round = currentRound(tournament);
+        if (tournament.status !== 'running' || !round.matches.includes(match)) return null;
+
+        // Players may have joined under another spelling of their roster name ("alice" for "Alice")
+        const scoresByKey = {};
+        Object.entries(scores).forEach(([username, points]) => {
+            scoresByKey[usernameKey(username)] = points;
+        });
+
+        match.scores = {};
+        match.teams.forEach(name => {
+            const team = tournament.teams.find(candidate => candidate.name === name);
+            match.scores[name] = team.players.reduce((sum, player) => sum + (scoresByKey[usernameKey(player)] || 0), 0);
+        });
+
+        const [first, second] = match.teams;
+        if (match.scores[first] !== match.scores[second]) {
+            match.winner = match.scores[first] > match.scores[second] ? first : second;
+        } else {
+            // Bracket matches need a winner; round-robin draws stay draws
+            match.winner = tournament.format === 'bracket' ? first : null;
+        }
+        match.status = 'finished';
+
+        finishIfDone(tournament);
+        return tournament;
+    }
+
+    // The tournament ends with its last round-robin round, or once the bracket is down to one team
+    function finishIfDone(tournament) {
+        const round = currentRound(tournament);
+        if (!round || round.matches.some(match => match.status === 'playing')) return;
+
+        const lastRound = tournament.format === 'round-robin'
+            ? tournament.currentRound === tournament.rounds.length
+            : round.matches.length === 1;
+        if (!lastRound) return;
+
+        tournament.status = 'finished';
+        tournament.champion = tournament.format === 'bracket' ? round.matches[0].winner : standings(tournament)[0].team;
+    }
+
+    // Team table: match record, standings points and the summed scores of every finished match
+    function standings(tournament) {
+        const rows = tournament.teams.map((team, seed) => ({
+            team: team.name,
+            seed: seed + 1,
+            played: 0,
+            won: 0,
+            drawn: 0,
+            lost: 0,
+            byes: 0,
+            points: 0,
+            score: 0
+        }));
+        const row = name => rows.find(entry => entry.team === name);
+
+        // Round-robin rounds are scheduled up front; only the ones started so far count
+        tournament.rounds.slice(0, tournament.currentRound).forEach(round => round.matches.forEach(match => {
+            if (match.status === 'bye') {
+                row(match.teams[0]).byes++;
+                row(match.teams[0]).points += POINTS.bye;
+                return;
+            }
+            if (match.status !== 'finished') return;
+
+            match.teams.forEach(name => {
+                const entry = row(name);
+                entry.played++;
+                entry.score += match.scores[name];
+                if (match.winner === name) {
+                    entry.won++;
+                    entry.points += POINTS.win;
+                } else if (match.winner === null) {
+                    entry.drawn++;
+                    entry.points += POINTS.draw;
+                } else {
+                    entry.lost++;
+                }
+            });
+        }));
+
+        return rows.sort((a, b) => b.points - a.points || b.score - a.score || a.seed - b.seed);
+    }
+
+    // Restore a persisted tournament
+    function importTournament(tournament) {
+        tournaments.set(tournament.id, tournament);
+        // Only rounds that have started have match lobbies
+        tournament.rounds.slice(0, tournament.currentRound).forEach(round => round.matches.forEach(match => {
+            if (match.lobbyCode) {
+                matchLobbies.set(match.lobbyCode, { tournamentId: tournament.id, matchId: match.id });
+            }
+        }));
+    }
+
+    return {
+        create,
+        get,
+        list,
+        advance,
+        findMatch,
+        recordResult,
+        standings,
+        importTournament
+    };
+}
+
+module.exports = {
+    FORMATS,
+    MAX_TEAMS,
+    MAX_TEAM_SIZE,
+    validateTournament,
+    createTournamentManager
+};
@@ -0,0 +1,244 @@
+// Payload validation for REST bodies and socket events.
+//
+// A schema maps each accepted field to a rule { type, required, nullable, min, max, values }:
+//   string   - text of min..max characters (after trimming)
+//   integer  - a whole number in min..max
+//   number   - any finite number in min..max
+//   boolean, array (at most max items)
+//   object   - any object, or with fields: only those keys, each checked against its own rule
+//   enum     - one of values
+//   username - a display name, normalized (see normalizeUsername)
+//   vote     - agree / disagree / abstain, or a stance on a graded scale
+// type can also be a list of types, e.g. ['string', 'array'].
+// validate() returns { value } holding only the schema's fields, or { error, field } for the
+// first field that failed. Anything beyond what the schema describes (settings, topics, ...)
+// is left to the code that already understands it.
+
+const { PRESETS, SETTING_LIMITS, CHOICE_SETTINGS } = require('./settings');
+
+const MIN_USERNAME_LENGTH = 2;
+const MAX_USERNAME_LENGTH = 20;
+// Letters and digits in any script, plus spaces and a little punctuation in between
+const USERNAME_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N} _.'-]*[\p{L}\p{N}])?$/u;
+const VOTES = ['agree', 'disagree', 'abstain'];
+const MAX_STANCE = 3;
+
+// Letters from other scripts that look like Latin ones, so "аlice" (Cyrillic а) can't pose as "alice"
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't',
+    'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x'
+};
+
+// Unicode compatibility forms folded (full-width letters, ligatures) and whitespace collapsed
+function normalizeUsername(username) {
+    return username.normalize('NFKC').trim().replace(/\s+/g, ' ');
+}
+
+// The form two names are compared in: no case, accents, separators or look-alike letters.
+// "Alice", "alice_" and "Аlicé" all give "alice".
+function usernameKey(username) {
+    return normalizeUsername(username)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '')
+        .replace(/./gu, char => CONFUSABLES[char] || char);
+}
+
+function sameUsername(a, b) {
+    return usernameKey(a) === usernameKey(b);
+}
+
+function describe(rule) {
+    const types = [].concat(rule.type);
+    return types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : types[0];
+}
+
+// Each checker returns { value } or { error } for one present, non-null field
+const CHECKERS = {
+    string(value, rule, field) {
+        if (typeof value !== 'string') return { error: `${field} must be text` };
+        const trimmed = value.trim();
+        const { min = 0, max = Infinity } = rule;
+        if (trimmed.length < min || trimmed.length > max) {
+            return { error: max === Infinity ? `${field} must be at least ${min} characters` : `${field} must be between ${min} and ${max} characters` };
+        }
+        return { value: trimmed };
+    },
+    integer(value, rule, field) {
+        if (!Number.isInteger(value)) return { error: `${field} must be a whole number` };
+        return CHECKERS.number(value, rule, field);
+    },
+    number(value, rule, field) {
+        const { min = -Infinity, max = Infinity } = rule;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${field} must be a number` };
+        if (value < min || value > max) return { error: `${field} must be between ${min} and ${max}` };
+        return { value };
+    },
+    boolean(value, rule, field) {
+        return typeof value === 'boolean' ? { value } : { error: `${field} must be true or false` };
+    },
+    object(value, rule, field) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: `${field} must be an object` };
+        if (!rule.fields) return { value };
+        const unknown = Object.keys(value).find(key => !Object.hasOwn(rule.fields, key));
+        if (unknown !== undefined) return { error: `Unknown ${field} field "${unknown}"` };
+        const checked = validate(rule.fields, value);
+        return 'error' in checked ? { error: checked.error } : { value: checked.value };
+    },
+    array(value, rule, field) {
+        if (!Array.isArray(value)) return { error: `${field} must be a list` };
+        if (rule.max !== undefined && value.length > rule.max) return { error: `${field} can have at most ${rule.max} items` };
+        return { value };
+    },
+    enum(value, rule, field) {
+        return rule.values.includes(value) ? { value } : { error: `${field} must be one of: ${rule.values.join(', ')}` };
+    },
+    username(value, rule, field) {
+        if (typeof value !== 'string') return { error: `${field} must be text` };
+        const normalized = normalizeUsername(value);
+        if (normalized.length < MIN_USERNAME_LENGTH || normalized.length > MAX_USERNAME_LENGTH) {
+            return { error: `Username must be between ${MIN_USERNAME_LENGTH} and ${MAX_USERNAME_LENGTH} characters` };
+        }
+        if (!USERNAME_PATTERN.test(normalized)) {
+            return { error: 'Username can only use letters, numbers, spaces and _ . \' -' };
+        }
+        return { value: normalized };
+    },
+    vote(value, rule, field) {
+        if (VOTES.includes(value) || (Number.isInteger(value) && Math.abs(value) <= MAX_STANCE)) {
+            return { value };
+        }
+        return { error: `${field} must be agree, disagree, abstain or a stance from -${MAX_STANCE} to ${MAX_STANCE}` };
+    }
+};
+
+function validate(schema, input) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Expected a JSON object', field: null };
+    }
+
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const given = input[field];
+        if (given === undefined) {
+            if (rule.required) {
+                return { error: `${field} is required`, field };
+            }
+            continue;
+        }
+        if (given === null && rule.nullable) {
+            value[field] = null;
+            continue;
+        }
+
+        const types = [].concat(rule.type);
+        const results = types.map(type => CHECKERS[type](given, rule, field));
+        const passed = results.find(result => !('error' in result));
+        if (!passed) {
+            return { error: types.length > 1 ? `${field} must be ${describe(rule)}` : results[0].error, field };
+        }
+        value[field] = passed.value;
+    }
+    return { value };
+}
+
+// Game settings: a known preset, choices from their lists and timings within their limits
+// (lib/settings.js merges them over the preset)
+const settings = {
+    type: 'object',
+    fields: {
+        preset: { type: 'enum', values: Object.keys(PRESETS) },
+        ...Object.fromEntries(Object.entries(CHOICE_SETTINGS).map(([key, values]) => [key, { type: 'enum', values }])),
+        ...Object.fromEntries(Object.entries(SETTING_LIMITS).map(([key, limits]) => [key, { type: 'integer', ...limits }]))
+    }
+};
+
+// Names of players already in the lobby, compared as they are
+const target = { type: 'string', required: true, max: 100 };
+const noPayload = {};
+
+// REST bodies, by route
+const REST_SCHEMAS = {
+    createLobby: {
+        username: { type: 'username', required: true },
+        settings,
+        topics: { type: 'object' },
+        listing: { type: 'object' },
+        webhooks: { type: 'array' }
+    },
+    joinLobby: {
+        code: { type: 'string', required: true, min: 1, max: 12 },
+        username: { type: 'username', required: true },
+        spectator: { type: 'boolean' },
+        token: { type: 'string', max: 1000 }
+    },
+    quickJoin: {
+        username: { type: 'username', required: true },
+        language: { type: 'string', max: 10 },
+        pack: { type: 'string', max: 50 }
+    },
+    listing: {
+        public: { type: 'boolean' },
+        title: { type: 'string', max: 200 },
+        language: { type: 'string', max: 10 }
+    },
+    webhook: {
+        url: { type: 'string', max: 2000 },
+        events: { type: 'array', max: 50 }
+    },
+    topics: {
+        packs: { type: 'array', max: 50 },
+        categories: { type: 'array', max: 100 },
+        custom: { type: ['string', 'array'] }
+    },
+    tournament: {
+        name: { type: 'string' },
+        format: { type: 'string' },
+        teams: { type: 'array' },
+        settings,
+        topics: { type: 'object' }
+    }
+};
+
+// Socket event payloads, by event. Events not listed take no payload.
+const SOCKET_SCHEMAS = {
+    'join-lobby': noPayload,
+    'leave-lobby': noPayload,
+    'update-settings': { settings: { ...settings, required: true } },
+    'start-game': { settings },
+    'cast-vote': { vote: { type: 'vote', required: true } },
+    'cast-revote': { vote: { type: 'vote', required: true }, convincedBy: { type: 'string', nullable: true, max: 100 } },
+    'cast-audience-vote': { vote: { type: 'vote', required: true } },
+    'set-opinion': { value: { type: 'number', required: true, min: -100, max: 100 } },
+    'submit-topic': { text: { type: 'string', required: true, max: 1000 } },
+    'upvote-topic': { id: { type: 'string', required: true, max: 64 } },
+    'veto-topic': { id: { type: 'string', required: true, max: 64 } },
+    'send-chat': { text: { type: 'string', required: true, max: 1000 } },
+    'delete-chat': { id: { type: 'string', required: true, max: 64 } },
+    'kick-player': { target },
+    'ban-player': { target },
+    'transfer-host': { target },
+    'set-co-host': { target: { ...target, nullable: true } }
+};
+
+function validateSocketPayload(event, data) {
+    return validate(SOCKET_SCHEMAS[event] || noPayload, data);
+}
+
+module.exports = {
+    MIN_USERNAME_LENGTH,
+    MAX_USERNAME_LENGTH,
+    REST_SCHEMAS,
+    SOCKET_SCHEMAS,
+    normalizeUsername,
+    usernameKey,
+    sameUsername,
+    validate,
+    validateSocketPayload
+};
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Outbound webhooks: hosts register URLs on their lobby and the server POSTs signed JSON
+// for game lifecycle events. Each delivery is retried with backoff and kept in a per-lobby
+// log the host can read.
+//
+// Every request carries:
+//   X-Webhook-Event      the event name
+//   X-Webhook-Delivery   the delivery id (the same across retries)
+//   X-Webhook-Timestamp  milliseconds since the epoch, fresh for every attempt
+//   X-Webhook-Signature  "sha256=" + HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+// Webhooks and their secrets are kept here rather than on the lobby object, which is sent
+// to every player.
+
+const WEBHOOK_EVENTS = [
+    'lobby-created',
+    'game-started',
+    'topic-selected',
+    'vote-results',
+    'round-results',
+    'scoreboard-update',
+    'game-ended'
+];
+
+const MAX_WEBHOOKS_PER_LOBBY = 5;
+const DELIVERY_LOG_LIMIT = 50;
+const REQUEST_TIMEOUT = 5000;
+
+// Wait before each retry; a delivery gets one attempt more than there are delays
+const RETRY_DELAYS = [1000, 5000, 30000, 120000];
+
+// Addresses that point back into the server's own network; allowed only with allowPrivate.
+// IPv4-mapped IPv6 addresses ([::ffff:7f00:1] is 127.0.0.1) match the IPv4 ranges too.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Options: clock (lib/clock.js), allowPrivate to accept localhost and private network URLs,
+// and lookup (dns.lookup by default) to resolve webhook hosts
+function createWebhookDispatcher({ clock, allowPrivate = false, lookup = dns.lookup }) {
+    const webhooks = new Map(); // code -> [{ id, url, events, secret, createdAt }]
+    const deliveryLogs = new Map(); // code -> [delivery], newest first
+    const retryTimers = new Set();
+
+    // Validate a registration ({ url, events }). Returns { url, events } or { error }.
+    function validate(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'Webhook must be an object with a url' };
+        }
+
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            return { error: 'Webhook url must be a valid http or https URL' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'Webhook url must be a valid http or https URL' };
+        }
+        if (!allowPrivate && isPrivateHost(url.hostname)) {
+            return { error: 'Webhook url must point to a public address' };
+        }
+
+        const events = input.events === undefined ? WEBHOOK_EVENTS : input.events;
+        if (!Array.isArray(events) || events.length === 0) {
+            return { error: 'events must be a non-empty list of event names' };
+        }
+        const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown) {
+            return { error: `Unknown webhook event "${unknown}". Choose from: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+
+        return { url: url.toString(), events: [...new Set(events)] };
+    }
+
+    // Register a webhook on a lobby. Returns { webhook } including its secret, or { error }.
+    function register(code, input) {
+        const hooks = webhooks.get(code) || [];
+        if (hooks.length >= MAX_WEBHOOKS_PER_LOBBY) {
+            return { error: `A lobby can have at most ${MAX_WEBHOOKS_PER_LOBBY} webhooks` };
+        }
+
+        const { url, events, error } = validate(input);
+        if (error) {
+            return { error };
+        }
+
+        const webhook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url,
+            events,
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdAt: clock.now()
+        };
+        webhooks.set(code, hooks.concat(webhook));
+        return { webhook };
+    }
+
+    function unregister(code, id) {
+        const hooks = webhooks.get(code) || [];
+        const remaining = hooks.filter(hook => hook.id !== id);
+        webhooks.set(code, remaining);
+        return remaining.length !== hooks.length;
+    }
+
+    // A lobby's webhooks without their secrets
+    function list(code) {
+        return (webhooks.get(code) || []).map(({ secret, ...hook }) => hook);
+    }
+
+    function deliveries(code) {
+        return deliveryLogs.get(code) || [];
+    }
+
+    function logDelivery(code, delivery) {
+        const log = [delivery].concat(deliveries(code)).slice(0, DELIVERY_LOG_LIMIT);
+        deliveryLogs.set(code, log);
+    }
+
+    // Resolve a webhook host, refusing private addresses. The request connects to the address
+    // checked here, so a host can't resolve to a public address for the check and a private one
+    // for the connection.
+    function publicLookup(hostname, options, callback) {
+        lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            if (addresses.some(entry => isPrivateAddress(entry.address))) {
+                return callback(new Error(`${hostname} resolves to a private address`));
+            }
+            callback(null, address, family);
+        });
+    }
+
+    // POST the body and resolve with the response status. Redirects aren't followed: a 3xx
+    // counts as a failed delivery, so a public URL can't bounce the request into the network.
+    function post(url, headers, body) {
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const request = (target.protocol === 'https:' ? https : http).request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: allowPrivate ? lookup : publicLookup,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+            }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    function attempt(delivery, secret, body) {
+        delivery.attempts += 1;
+        delivery.status = 'pending';
+
+        const timestamp = clock.now();
+        return post(delivery.url, {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(secret, timestamp, body)
+        }, body).then(status => {
+            delivery.lastResult = `HTTP ${status}`;
+            if (status < 200 || status > 299) {
+                throw new Error(delivery.lastResult);
+            }
+            delivery.status = 'delivered';
+            delivery.deliveredAt = clock.now();
+        }).catch(error => {
+            delivery.lastResult = error.message;
+            scheduleRetry(delivery, secret, body);
+        });
+    }
+
+    function scheduleRetry(delivery, secret, body) {
+        const delay = RETRY_DELAYS[delivery.attempts - 1];
+        if (delay === undefined) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            return;
+        }
+
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = clock.now() + delay;
+
+        const timer = clock.setTimeout(() => {
+            retryTimers.delete(timer);
+            attempt(delivery, secret, body);
+        }, delay);
+        retryTimers.add(timer);
+    }
+
+    // Send an event to every webhook on the lobby that subscribed to it
+    function dispatch(code, event, data) {
+        if (!WEBHOOK_EVENTS.includes(event)) return;
+
+        (webhooks.get(code) || []).filter(hook => hook.events.includes(event)).forEach(hook => {
+            const id = crypto.randomBytes(8).toString('hex');
+            const body = JSON.stringify({ id, event, lobby: code, createdAt: clock.now(), data });
+            const delivery = {
+                id,
+                webhookId: hook.id,
+                event,
+                url: hook.url,
+                status: 'pending',
+                attempts: 0,
+                lastResult: null,
+                createdAt: clock.now(),
+                deliveredAt: null,
+                nextAttemptAt: null
+            };
+
+            logDelivery(code, delivery);
+            attempt(delivery, hook.secret, body);
+        });
+    }
+
+    // Webhooks and delivery log for one lobby, for persisting across restarts
+    function exportLobby(code) {
+        return { webhooks: webhooks.get(code) || [], deliveries: deliveries(code) };
+    }
+
+    // Deliveries that were still under way are not resumed after a restart
+    function importLobby(code, exported) {
+        if (!exported) return;
+        webhooks.set(code, exported.webhooks || []);
+        deliveryLogs.set(code, (exported.deliveries || []).map(delivery => (
+            delivery.status === 'pending' || delivery.status === 'retrying'
+                ? { ...delivery, status: 'failed', lastResult: 'Server restarted', nextAttemptAt: null }
+                : delivery
+        )));
+    }
+
+    // Forget a closed lobby; deliveries already under way still run their retries
+    function removeLobby(code) {
+        webhooks.delete(code);
+        deliveryLogs.delete(code);
+    }
+
+    function close() {
+        retryTimers.forEach(timer => clock.clearTimeout(timer));
+        retryTimers.clear();
+    }
+
+    return {
+        validate,
+        register,
+        unregister,
+        list,
+        deliveries,
+        dispatch,
+        exportLobby,
+        importLobby,
+        removeLobby,
+        close
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_WEBHOOKS_PER_LOBBY,
+    RETRY_DELAYS,
+    signPayload,
+    createWebhookDispatcher
+};
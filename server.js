@@ -2,738 +2,1976 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { PRESETS, resolveSettings, defaultSettings } = require('./lib/settings');
+const { listScoringStrategies } = require('./lib/scoring');
+const { createTopicLibrary, parseCustomTopics } = require('./lib/topics');
+const { loadBlocklist } = require('./lib/blocklist');
+const { createSessionManager } = require('./lib/sessions');
+const { createStorage, createSharedStoreStorage } = require('./lib/storage');
+const { buildReport, buildHighlights, reportToCsv } = require('./lib/report');
+const { HISTORY_LIMIT, getChatRestriction, validateMessage, createRateLimiter } = require('./lib/chat');
+const { createGameEngine, getPlayers, countAudienceVotes } = require('./lib/engine');
+const { QUICK_JOIN_MAX_PLAYERS, defaultListing, resolveListing, listPublicLobbies, findQuickJoinLobby } = require('./lib/listings');
+const { systemClock } = require('./lib/clock');
+const { createDiscordBot, startDiscordBot } = require('./lib/discord');
+const { MAX_WEBHOOKS_PER_LOBBY, createWebhookDispatcher } = require('./lib/webhooks');
+const { createRemoteSharedStore } = require('./lib/sharedstore');
+const { DEFAULT_LEASE_TTL, createClusterAdapter, createCluster, createRemoteSocket } = require('./lib/cluster');
+const { createTournamentManager } = require('./lib/tournaments');
+const { createLogger, defaultLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { DEFAULT_GRACE_PERIOD, createReconnectionRegistry } = require('./lib/reconnection');
+const { REST_SCHEMAS, sameUsername, validate, validateSocketPayload } = require('./lib/validation');
 
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-    // Mobile optimization settings
-    pingTimeout: 60000,
-    pingInterval: 25000,
-    transports: ['websocket', 'polling'],
-    allowEIO3: true,
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
-});
-
-// Middleware
-app.use(express.json());
-app.use(express.static('public'));
-
-// Game state storage
-const lobbies = new Map();
-const gameStates = new Map();
-const disconnectedPlayers = new Map(); // Track disconnected players for reconnection
-
-// Load topics from file
-let debateTopics = [];
-try {
-    const topicsContent = fs.readFileSync('topics.txt', 'utf8');
-    debateTopics = topicsContent.split('\n').map(topic => topic.trim()).filter(topic => topic.length > 0);
-    console.log(`Loaded ${debateTopics.length} debate topics`);
-} catch (error) {
-    console.error('Error loading topics.txt:', error);
-    debateTopics = [
-        "Social media has done more harm than good to society",
-        "Remote work is more productive than office work",
-        "Climate change is primarily caused by human activity", 
-        "Universal basic income should be implemented globally",
-        "Artificial intelligence will eventually replace most human jobs",
-        "Video games cause violence in children",
-        "Private healthcare is better than public healthcare",
-        "Space exploration is a waste of money",
-        "Cryptocurrency will replace traditional currency",
-        "Online education is as effective as traditional classroom learning"
-    ];
-}
-
-// Helper function to generate lobby codes
-function generateLobbyCode() {
-    return Math.random().toString(36).substr(2, 6).toUpperCase();
-}
-
-// Helper function to sync game state to a player
-function syncGameStateToPlayer(socketId, code) {
-    const gameState = gameStates.get(code);
-    const lobby = lobbies.get(code);
-    
-    if (!gameState || !lobby) return;
-    
-    const socket = io.sockets.sockets.get(socketId);
-    if (!socket) return;
-    
-    // Send current game state
-    socket.emit('sync-game-state', {
-        gameState: {
-            phase: gameState.phase,
-            roundNumber: gameState.roundNumber,
-            currentTopic: gameState.currentTopic,
-            timer: gameState.timer,
-            scores: gameState.scores,
-            initialVoteResults: gameState.initialVoteResults,
-            finalVoteResults: gameState.finalVoteResults,
-            currentSpeaker: gameState.currentSpeaker,
-            speakerPosition: gameState.speakerPosition
-        },
-        lobby: lobby,
-        userVote: gameState.votes[socket.username],
-        userRevote: gameState.revotes[socket.username]
+// Build the Express app, Socket.IO server and game engine without listening.
+// Options (all optional): env (defaults to process.env), storage, topicsDir,
+// clock (see lib/clock.js) and random, so tests can drive games deterministically,
+// discordClient to run the Discord bot (lib/discord.js) on a given client, and sharedStore
+// (lib/sharedstore.js) to run as one of several instances without SHARED_STORE_URL,
+// and writeLog(line, level) to collect the JSON log lines instead of printing them.
+function createGameServer(options = {}) {
+    const env = options.env || process.env;
+    const clock = options.clock || systemClock;
+    const random = options.random || Math.random;
+    const startedAt = clock.now();
+    
+    // JSON log lines, each tagged with the lobby it is about and that lobby's current phase
+    const log = createLogger({
+        clock,
+        phaseOf: code => (gameStates.has(code) ? gameStates.get(code).phase : null),
+        write: options.writeLog
     });
-}
-
-// API Routes
-app.post('/api/lobby/create', (req, res) => {
-    const { username } = req.body;
+    const metrics = createMetrics();
     
-    if (!username || username.length < 2) {
-        return res.status(400).json({ error: 'Username must be at least 2 characters' });
+    // Several instances can run side by side on one shared store (SHARED_STORE_URL=tcp://host:port
+    // and SHARED_STORE_SECRET, see lib/sharedstore.js); lib/cluster.js decides which instance
+    // runs each lobby
+    if (env.SHARED_STORE_URL && !env.SHARED_STORE_SECRET) {
+        throw new Error('SHARED_STORE_SECRET must be set to connect to the shared store');
+    }
+    const sharedStore = options.sharedStore || (env.SHARED_STORE_URL
+        ? createRemoteSharedStore(env.SHARED_STORE_URL, { secret: env.SHARED_STORE_SECRET })
+        : null);
+    const cluster = sharedStore
+        ? createCluster({ store: sharedStore, leaseTtl: Number(env.CLUSTER_LEASE_TTL) || DEFAULT_LEASE_TTL })
+        : null;
+    if (cluster && !env.SESSION_SECRET) {
+        throw new Error('SESSION_SECRET must be set when instances share a store, so they accept each other\'s tokens');
     }
     
-    const code = generateLobbyCode();
-    const lobby = {
-        code,
-        host: username,
-        participants: [{ username, isHost: true, connected: true }],
-        createdAt: new Date(),
-        gameStarted: false
-    };
+    // Marks HTTP requests relayed from another instance, so they are never relayed again
+    const RELAYED_HEADER = 'X-Relayed-By';
+    
+    const app = express();
+    const server = http.createServer(app);
+    const io = socketIo(server, {
+        // Mobile optimization settings
+        pingTimeout: 60000,
+        pingInterval: 25000,
+        transports: ['websocket', 'polling'],
+        allowEIO3: true,
+        cors: {
+            origin: "*",
+            methods: ["GET", "POST"]
+        },
+        // Rooms span every instance when they share a store
+        adapter: cluster ? createClusterAdapter(sharedStore) : undefined
+    });
     
-    lobbies.set(code, lobby);
+    // Middleware. Behind a reverse proxy, TRUST_PROXY is the number of proxies in front of the
+    // server, so rate limits apply to the client's IP rather than the proxy's.
+    if (env.TRUST_PROXY) {
+        app.set('trust proxy', Number(env.TRUST_PROXY));
+    }
+    app.use(express.json());
+    app.use(express.text({ limit: '100kb' }));
+    app.use(express.static(path.join(__dirname, 'public')));
+    
+    // Game state storage
+    const lobbies = new Map();
+    const gameStates = new Map();
+    // Players whose connection dropped mid-game, per lobby; RECONNECT_GRACE_SECONDS is how
+    // long they have to come back (default 5 minutes)
+    const reconnection = createReconnectionRegistry({
+        clock,
+        gracePeriod: Number(env.RECONNECT_GRACE_SECONDS) * 1000 || DEFAULT_GRACE_PERIOD
+    });
+    // Pending host migrations per lobby; a host whose connection dropped has HOST_GRACE_SECONDS
+    // to come back before the role moves on (default 30 seconds)
+    const hostTimers = new Map();
+    const hostGracePeriod = Number(env.HOST_GRACE_SECONDS) * 1000 || 30000;
+    const chatLogs = new Map(); // Chat history per lobby
+    const remoteSockets = new Map(); // Stand-ins for sockets on other instances whose lobby runs here
+    const leaseRenewals = new Map(); // In a cluster, when the lease on each lobby here was last renewed
+    
+    // At most 5 chat messages per player every 10 seconds
+    const chatLimiter = createRateLimiter(5, 10000, clock.now);
+    
+    // Abuse protection: at most 300 API requests and LOBBY_CREATE_LIMIT new lobbies (default 10)
+    // per IP each minute, 30 socket events per socket every 5 seconds, and caps on open lobbies
+    // (MAX_LOBBIES, default 1000), players per lobby (MAX_PLAYERS_PER_LOBBY, default 50) and
+    // spectators per lobby (MAX_SPECTATORS_PER_LOBBY, default 100)
+    const apiLimiter = createRateLimiter(300, 60000, clock.now);
+    const createLimiter = createRateLimiter(Number(env.LOBBY_CREATE_LIMIT) || 10, 60000, clock.now);
+    const eventLimiter = createRateLimiter(30, 5000, clock.now);
+    const maxLobbies = Number(env.MAX_LOBBIES) || 1000;
+    const maxPlayersPerLobby = Number(env.MAX_PLAYERS_PER_LOBBY) || 50;
+    const maxSpectatorsPerLobby = Number(env.MAX_SPECTATORS_PER_LOBBY) || 100;
+    
+    // Lobby browser namespace; no session needed to watch the public lobby list
+    const lobbyBrowser = io.of('/lobbies');
+    const LOBBY_LIST_DELAY = 1000;
+    let lobbyListTimeout = null;
+    let lastLobbyList = null;
+    
+    // Stream overlay namespace; sockets authenticate with the lobby's viewer key and only
+    // receive the events below, so an overlay can never act as a player
+    const overlay = io.of('/overlay');
+    const OVERLAY_EVENTS = [
+        'topic-selected',
+        'game-phase-update',
+        'game-timer',
+        'speaker-selected',
+        'vote-results',
+        'round-skipped',
+        'round-results',
+        'scoreboard-update',
+        'game-ended',
+        'game-paused',
+        'game-resumed',
+        'opinion-meter'
+    ];
     
-    res.json({ code, lobby });
-});
-
-app.post('/api/lobby/join', (req, res) => {
-    const { code, username } = req.body;
+    // Lobby snapshots (STORAGE=json keeps games alive across restarts). Instances sharing a
+    // store keep them there, so any instance can take a lobby over.
+    const storage = cluster ? createSharedStoreStorage(sharedStore) : (options.storage || createStorage(env));
+    const storedState = storage.load();
     
-    if (!code || !username) {
-        return res.status(400).json({ error: 'Code and username are required' });
+    // Signed player session tokens. Without SESSION_SECRET the generated secret is kept in
+    // storage so tokens issued before a restart stay valid.
+    const sessionSecret = env.SESSION_SECRET || storedState.secret || crypto.randomBytes(32).toString('hex');
+    if (!env.SESSION_SECRET && storedState.secret !== sessionSecret) {
+        storage.saveSecret(sessionSecret);
     }
+    const sessions = createSessionManager(sessionSecret);
     
-    const lobby = lobbies.get(code);
-    if (!lobby) {
-        return res.status(404).json({ error: 'Lobby not found' });
-    }
+    // Load topic packs from the topics directory (reloaded when files change)
+    const topicLibrary = createTopicLibrary(options.topicsDir || path.join(__dirname, 'topics'));
     
-    // Check if this is a reconnection
-    const existingParticipant = lobby.participants.find(p => p.username === username);
-    if (existingParticipant) {
-        // Allow reconnection
-        existingParticipant.connected = true;
-        return res.json({ lobby, reconnection: true });
-    }
+    // Every engine event also goes out as ('game-event', code, event, data) for integrations
+    const gameEvents = new EventEmitter();
     
-    // Add new participant
-    lobby.participants.push({ username, isHost: false, connected: true });
+    // Host-registered webhooks get the lifecycle events as signed POSTs
+    // (WEBHOOKS_ALLOW_PRIVATE=true also accepts localhost and private network URLs)
+    const webhookDispatcher = createWebhookDispatcher({ clock, allowPrivate: env.WEBHOOKS_ALLOW_PRIVATE === 'true' });
+    gameEvents.on('game-event', webhookDispatcher.dispatch);
     
-    // If game is active, initialize score for new player
-    const gameState = gameStates.get(code);
-    if (gameState) {
-        gameState.scores[username] = 0;
-        
-        // If in voting or revoting phase, allow immediate participation
-        if (gameState.phase === 'voting' || gameState.phase === 'revoting') {
-            // New player can vote immediately
+    // Round counters for /metrics
+    gameEvents.on('game-event', (code, event) => {
+        if (event === 'round-results') {
+            metrics.increment('rounds_played_total');
+        } else if (event === 'round-skipped') {
+            metrics.increment('rounds_skipped_total');
         }
-    }
+    });
     
-    res.json({ lobby });
-});
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-    
-    socket.on('join-lobby', (data) => {
-        const { code, username } = data;
-        socket.join(code);
-        socket.username = username;
-        socket.lobbyCode = code;
+    // Team tournaments over several match lobbies (lib/tournaments.js), run through the admin API.
+    // A match lobby's final scores go to its tournament, and its players get the new standings.
+    // In a cluster a match lobby may have moved to another instance, which sends the scores
+    // on to the instance keeping the tournament.
+    const tournaments = createTournamentManager({ clock });
+    gameEvents.on('game-event', (code, event, data) => {
+        if (event !== 'game-ended') return;
         
         const lobby = lobbies.get(code);
-        if (lobby) {
-            // Update connection status
-            const participant = lobby.participants.find(p => p.username === username);
-            if (participant) {
-                participant.connected = true;
-            }
-            
-            // Check if this is a reconnection during a game
-            const gameState = gameStates.get(code);
-            if (gameState && gameState.phase !== 'waiting') {
-                // Sync current game state to reconnected player
-                setTimeout(() => {
-                    syncGameStateToPlayer(socket.id, code);
-                }, 1000);
-            }
-            
-            io.to(code).emit('lobby-updated', lobby);
-            
-            // Welcome message for late joiners
-            if (gameState && !participant) {
-                socket.emit('late-join-welcome', {
-                    roundNumber: gameState.roundNumber,
-                    currentPhase: gameState.phase,
-                    currentTopic: gameState.currentTopic
-                });
-            }
+        const match = lobby && lobby.tournament;
+        if (cluster && match && match.instance && !tournaments.get(match.id)) {
+            cluster.send(match.instance, { type: 'tournament-result', code, finalScores: data.finalScores }).catch(error => {
+                log.error('Error sending a match result to its tournament', { lobby: code, error: error.message });
+            });
+            return;
         }
+        recordTournamentResult(code, data.finalScores);
     });
     
-    socket.on('leave-lobby', (data) => {
-        const { code, username } = data;
-        const lobby = lobbies.get(code);
-        const gameState = gameStates.get(code);
-        
-        if (lobby) {
-            // If game is active, just mark as disconnected instead of removing
-            if (gameState && gameState.phase !== 'waiting') {
-                const participant = lobby.participants.find(p => p.username === username);
-                if (participant) {
-                    participant.connected = false;
-                    disconnectedPlayers.set(username, { code, timestamp: Date.now() });
-                }
-                io.to(code).emit('lobby-updated', lobby);
-            } else {
-                // Remove from lobby if game hasn't started
-                lobby.participants = lobby.participants.filter(p => p.username !== username);
-                
-                if (lobby.participants.length === 0 || username === lobby.host) {
-                    lobbies.delete(code);
-                    gameStates.delete(code);
-                    io.to(code).emit('lobby-closed');
-                } else {
-                    io.to(code).emit('lobby-updated', lobby);
-                }
-            }
+    // game-started carries every player's state, so overlays get a fresh snapshot instead
+    gameEvents.on('game-event', (code, event, data) => {
+        if (OVERLAY_EVENTS.includes(event)) {
+            overlay.to(code).emit(event, data);
+        } else if (event === 'game-started') {
+            overlay.to(code).emit('overlay-state', getOverlayState(code));
         }
-        
-        socket.leave(code);
     });
     
-    socket.on('start-game', (data) => {
-        const { code, username } = data;
-        const lobby = lobbies.get(code);
-        
-        if (lobby && lobby.host === username && lobby.participants.length >= 2) {
-            lobby.gameStarted = true;
-            
-            // Initialize game state
-            const gameState = {
-                phase: 'voting',
-                roundNumber: 1,
-                currentTopic: '',
-                votes: {},
-                revotes: {},
-                scores: {},
-                usedTopics: [],
-                usedSpeakers: [],
-                timer: 30,
-                timerInterval: null,
-                initialVoteResults: { agree: 0, disagree: 0, abstain: 0 },
-                finalVoteResults: { agree: 0, disagree: 0, abstain: 0 },
-                currentSpeaker: null,
-                speakerPosition: null
-            };
-            
-            // Initialize scores
-            lobby.participants.forEach(participant => {
-                gameState.scores[participant.username] = 0;
-            });
-            
-            gameStates.set(code, gameState);
-            
-            // Start the game
-            io.to(code).emit('game-started', { lobby, gameState });
-            
-            // Start first voting phase
-            setTimeout(() => {
-                startVotingPhase(code);
-            }, 2000);
-        }
+    // Phase chain, votes and scoring; this file only wires it to HTTP and sockets
+    const engine = createGameEngine({
+        lobbies,
+        gameStates,
+        emit: (code, event, data) => {
+            emitToLobby(code, event, data);
+            gameEvents.emit('game-event', code, event, data);
+        },
+        persist: persistLobby,
+        getTopics: getLobbyTopics,
+        clock,
+        random,
+        log,
+        // Proposed topics are checked against the built-in word list plus TOPIC_BLOCKLIST_FILE
+        blocklist: loadBlocklist(env.TOPIC_BLOCKLIST_FILE)
     });
     
-    socket.on('cast-vote', (data) => {
-        const { code, username, vote } = data;
-        const gameState = gameStates.get(code);
-        
-        if (gameState && gameState.phase === 'voting') {
-            gameState.votes[username] = vote;
-            
-            // Check if all connected players have voted
-            const lobby = lobbies.get(code);
-            const connectedPlayers = lobby.participants.filter(p => p.connected);
-            const votedPlayers = Object.keys(gameState.votes);
-            
-            if (votedPlayers.length >= connectedPlayers.length) {
-                // All connected players voted, move to next phase
-                if (gameState.timerInterval) {
-                    clearInterval(gameState.timerInterval);
-                }
-                setTimeout(() => {
-                    processVoteResults(code);
-                }, 1000);
-            }
-        }
-    });
+    // Helper function to generate lobby codes
+    function generateLobbyCode() {
+        return random().toString(36).substr(2, 6).toUpperCase();
+    }
     
-    socket.on('cast-revote', (data) => {
-        const { code, username, vote } = data;
-        const gameState = gameStates.get(code);
+    // Helper function to generate a player's stable id; display names can repeat across lobbies
+    function generatePlayerId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+    
+    // Helper function to send an event to a lobby's room. Players who are away get it
+    // replayed when they come back.
+    function emitToLobby(code, event, data) {
+        io.to(code).emit(event, data);
+        reconnection.record(code, event, data);
+    }
+    
+    // Helper function to get the topics a lobby draws from
+    function getLobbyTopics(lobby) {
+        return topicLibrary.getPool(lobby.topics);
+    }
+    
+    // Helper function to check the admin token (ADMIN_TOKEN) in an "Authorization: Bearer <token>" header.
+    // Without ADMIN_TOKEN the admin API is switched off.
+    function requireAdmin(req, res, next) {
+        if (!env.ADMIN_TOKEN) {
+            return res.status(404).json({ error: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+        }
         
-        if (gameState && gameState.phase === 'revoting') {
-            gameState.revotes[username] = vote;
-            
-            // Check if all connected players have revoted
-            const lobby = lobbies.get(code);
-            const connectedPlayers = lobby.participants.filter(p => p.connected);
-            const revotedPlayers = Object.keys(gameState.revotes);
-            
-            if (revotedPlayers.length >= connectedPlayers.length) {
-                // All connected players revoted, move to results
-                if (gameState.timerInterval) {
-                    clearInterval(gameState.timerInterval);
-                }
-                setTimeout(() => {
-                    calculateResults(code);
-                }, 1000);
-            }
+        const expected = Buffer.from(env.ADMIN_TOKEN);
+        const actual = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return res.status(401).json({ error: 'A valid admin token is required' });
         }
-    });
+        next();
+    }
     
-    socket.on('request-sync', (data) => {
-        const { code } = data;
-        syncGameStateToPlayer(socket.id, code);
-    });
+    // Helper function to resolve the session from an "Authorization: Bearer <token>" header
+    // (or a ?token= query parameter, for plain download links)
+    function getRequestSession(req) {
+        const header = req.get('Authorization') || '';
+        return sessions.verify(header.replace(/^Bearer\s+/i, '') || req.query.token);
+    }
+    
+    // Helper function to resolve the lobby and participant behind an authenticated socket
+    function getSocketPlayer(socket) {
+        const session = sessions.verify(socket.token);
+        if (!session) return null;
+        
+        const lobby = lobbies.get(session.code);
+        if (!lobby) return null;
+        
+        const participant = lobby.participants.find(p => p.id === session.playerId);
+        if (!participant) return null;
+        
+        return { code: session.code, username: participant.username, lobby, participant };
+    }
     
-    socket.on('restart-game', (data) => {
-        const { code } = data;
+    // Helper function to snapshot a lobby (or its removal) to storage
+    function persistLobby(code) {
+        scheduleLobbyListUpdate();
+        
         const lobby = lobbies.get(code);
+        if (!lobby) {
+            storage.deleteLobby(code);
+            return;
+        }
+        
         const gameState = gameStates.get(code);
+        let savedGameState = null;
+        if (gameState) {
+            const { timerInterval, transitionTimeout, pendingTransition, ...state } = gameState;
+            savedGameState = state;
+        }
         
-        if (lobby && gameState && socket.username === lobby.host) {
-            // Reset game state
-            gameState.phase = 'voting';
-            gameState.roundNumber = 1;
-            gameState.currentTopic = '';
-            gameState.votes = {};
-            gameState.revotes = {};
-            gameState.usedTopics = [];
-            gameState.usedSpeakers = [];
-            gameState.timer = 30;
-            gameState.initialVoteResults = { agree: 0, disagree: 0, abstain: 0 };
-            gameState.finalVoteResults = { agree: 0, disagree: 0, abstain: 0 };
-            gameState.currentSpeaker = null;
-            gameState.speakerPosition = null;
-            
-            // Reset scores
-            lobby.participants.forEach(participant => {
-                gameState.scores[participant.username] = 0;
-            });
+        storage.saveLobby(code, {
+            lobby,
+            gameState: savedGameState,
+            chat: chatLogs.get(code) || [],
+            sessions: sessions.exportLobby(code),
+            webhooks: webhookDispatcher.exportLobby(code),
+            disconnectedPlayers: reconnection.exportLobby(code)
+        });
+    }
+    
+    // Helper function to push the public lobby list to the lobby browser. Updates are
+    // batched (running games persist every few seconds) and only sent when the list changed.
+    // In a cluster every instance refreshes the list for its own browser sockets.
+    function scheduleLobbyListUpdate() {
+        if (lobbyListTimeout) return;
+        
+        lobbyListTimeout = clock.setTimeout(() => {
+            lobbyListTimeout = null;
             
-            if (gameState.timerInterval) {
-                clearInterval(gameState.timerInterval);
+            if (cluster) {
+                cluster.broadcast({ type: 'lobbies-changed' });
+            } else {
+                updateLobbyList();
             }
+        }, LOBBY_LIST_DELAY);
+    }
+    
+    function updateLobbyList() {
+        return getListedLobbies().then(listed => {
+            const list = listPublicLobbies(listed.lobbies, listed.gameStates);
+            const serialized = JSON.stringify(list);
+            if (serialized === lastLobbyList) return;
             
-            // Restart the game
-            io.to(code).emit('game-started', { lobby, gameState });
-            
-            setTimeout(() => {
-                startVotingPhase(code);
-            }, 2000);
-        }
-    });
+            lastLobbyList = serialized;
+            lobbyBrowser.local.emit('lobbies-updated', { lobbies: list });
+        }).catch(error => {
+            log.error('Error listing public lobbies', { error: error.message });
+        });
+    }
     
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+    // Helper function to get the lobbies the lobby browser can list as { lobbies, gameStates }:
+    // this instance's own, or in a cluster every instance's from their snapshots
+    async function getListedLobbies() {
+        if (!cluster) {
+            return { lobbies, gameStates };
+        }
         
-        if (socket.lobbyCode && socket.username) {
-            const lobby = lobbies.get(socket.lobbyCode);
-            const gameState = gameStates.get(socket.lobbyCode);
-            
-            if (lobby) {
-                const participant = lobby.participants.find(p => p.username === socket.username);
-                
-                if (participant) {
-                    // Mark as disconnected if game is active
-                    if (gameState && gameState.phase !== 'waiting') {
-                        participant.connected = false;
-                        disconnectedPlayers.set(socket.username, { 
-                            code: socket.lobbyCode, 
-                            timestamp: Date.now() 
-                        });
-                        io.to(socket.lobbyCode).emit('lobby-updated', lobby);
-                    } else {
-                        // Remove if game hasn't started
-                        lobby.participants = lobby.participants.filter(p => p.username !== socket.username);
-                        
-                        if (lobby.participants.length === 0 || socket.username === lobby.host) {
-                            if (gameState && gameState.timerInterval) {
-                                clearInterval(gameState.timerInterval);
-                            }
-                            
-                            lobbies.delete(socket.lobbyCode);
-                            gameStates.delete(socket.lobbyCode);
-                            io.to(socket.lobbyCode).emit('lobby-closed');
-                        } else {
-                            io.to(socket.lobbyCode).emit('lobby-updated', lobby);
-                        }
-                    }
-                }
+        const listed = { lobbies: new Map(), gameStates: new Map() };
+        const records = await Promise.all((await storage.listLobbies()).map(storage.loadLobby));
+        records.filter(Boolean).forEach(({ lobby, gameState }) => {
+            listed.lobbies.set(lobby.code, lobby);
+            if (gameState) {
+                listed.gameStates.set(lobby.code, gameState);
             }
-        }
-    });
-});
-
-// Clean up old disconnected players periodically
-setInterval(() => {
-    const now = Date.now();
-    const timeout = 5 * 60 * 1000; // 5 minutes
+        });
+        return listed;
+    }
     
-    disconnectedPlayers.forEach((data, username) => {
-        if (now - data.timestamp > timeout) {
-            const lobby = lobbies.get(data.code);
-            if (lobby) {
-                lobby.participants = lobby.participants.filter(p => p.username !== username);
-                io.to(data.code).emit('lobby-updated', lobby);
-            }
-            disconnectedPlayers.delete(username);
+    // Helper function to open a new lobby hosted by the given player
+    // Tournament match lobbies pass their tournament details; they start empty and their
+    // host (the first player of the first team) joins like everyone else.
+    function openLobby(username, settings, topics, listing, tournament = null) {
+        const code = generateLobbyCode();
+        const hostId = generatePlayerId();
+        const lobby = {
+            code,
+            host: username,
+            participants: tournament ? [] : [{ id: hostId, username, isHost: true, connected: true, connectedSince: clock.now() }],
+            coHost: null,
+            createdAt: new Date(),
+            gameStarted: false,
+            settings,
+            topics,
+            listing,
+            tournament,
+            bannedUsernames: []
+        };
+        
+        lobbies.set(code, lobby);
+        chatLogs.set(code, []);
+        metrics.increment('lobbies_created_total');
+        
+        // Claimed before the snapshot is written, so no other instance adopts it
+        if (cluster) {
+            cluster.claim(code).catch(() => {});
+            leaseRenewals.set(code, clock.now());
         }
-    });
-}, 60000); // Check every minute
-
-// Game logic functions
-function startVotingPhase(code) {
-    const gameState = gameStates.get(code);
-    const lobby = lobbies.get(code);
+        
+        const token = tournament ? null : sessions.issue(code, hostId, username);
+        persistLobby(code);
+        
+        return { code, lobby, token };
+    }
     
-    if (!gameState || !lobby) return;
+    // Helper function to open the lobby for one tournament match; returns its code
+    function openMatchLobby(tournament, match) {
+        const teams = {};
+        match.teams.forEach(name => {
+            teams[name] = tournament.teams.find(team => team.name === name).players;
+        });
+        
+        const host = teams[match.teams[0]][0];
+        const listing = { ...defaultListing(host), title: `${tournament.name}: ${match.teams.join(' vs ')}`.slice(0, 60) };
+        const { code } = openLobby(host, { ...tournament.settings }, tournament.topics, listing, {
+            id: tournament.id,
+            name: tournament.name,
+            match: match.id,
+            teams,
+            // The instance keeping the tournament, for a cluster
+            instance: cluster ? cluster.id : null
+        });
+        return code;
+    }
     
-    // Select a random topic that hasn't been used
-    const availableTopics = debateTopics.filter(topic => !gameState.usedTopics.includes(topic));
+    // Helper function to record a match lobby's final scores and send its players the standings
+    function recordTournamentResult(code, finalScores) {
+        const tournament = tournaments.recordResult(code, finalScores);
+        if (tournament) {
+            persistTournament(tournament);
+            io.to(code).emit('tournament-updated', describeTournament(tournament));
+        }
+    }
     
-    if (availableTopics.length === 0) {
-        // All topics used, end game
-        endGame(code);
-        return;
+    // Helper function to get a lobby's scores so far; in a cluster a lobby run by another
+    // instance is read from its snapshot
+    async function currentScores(code) {
+        if (gameStates.has(code)) {
+            return gameStates.get(code).scores;
+        }
+        const record = cluster ? await storage.loadLobby(code).catch(() => null) : null;
+        return record && record.gameState ? record.gameState.scores : {};
     }
     
-    const selectedTopic = availableTopics[Math.floor(Math.random() * availableTopics.length)];
-    gameState.currentTopic = selectedTopic;
-    gameState.usedTopics.push(selectedTopic);
+    // Helper function to save a tournament and its standings
+    function persistTournament(tournament) {
+        storage.saveTournament(tournament.id, tournament);
+    }
     
-    gameState.phase = 'voting';
-    gameState.votes = {};
-    gameState.timer = 30;
+    // Helper function to describe a tournament for the API: schedule, results and standings
+    function describeTournament(tournament) {
+        const { settings, topics, ...details } = tournament;
+        return { ...details, standings: tournaments.standings(tournament) };
+    }
     
-    // Clear any existing timer
-    if (gameState.timerInterval) {
-        clearInterval(gameState.timerInterval);
+    // Helper function to validate a create request ({ username, settings, topics, listing, webhooks })
+    // and open the lobby. Returns { code, lobby, token, webhooks } or { error } (with the field
+    // at fault, or status 503 when the server is at MAX_LOBBIES).
+    function createLobby(input) {
+        const { value: body, error: bodyError, field } = validate(REST_SCHEMAS.createLobby, input);
+        if (bodyError) {
+            return { error: bodyError, field };
+        }
+        const { username } = body;
+        
+        if (lobbies.size >= maxLobbies) {
+            return { error: 'The server is full right now, try again later', status: 503 };
+        }
+        
+        const { settings, error } = resolveSettings(body.settings);
+        if (error) {
+            return { error };
+        }
+        
+        const { selection, error: topicsError } = topicLibrary.resolveSelection(body.topics);
+        if (topicsError) {
+            return { error: topicsError };
+        }
+        
+        const { listing, error: listingError } = resolveListing(body.listing, defaultListing(username));
+        if (listingError) {
+            return { error: listingError };
+        }
+        
+        const hooks = body.webhooks === undefined ? [] : body.webhooks;
+        if (!Array.isArray(hooks) || hooks.length > MAX_WEBHOOKS_PER_LOBBY) {
+            return { error: `webhooks must be a list of at most ${MAX_WEBHOOKS_PER_LOBBY} webhooks` };
+        }
+        const invalidHook = hooks.map(webhookDispatcher.validate).find(result => result.error);
+        if (invalidHook) {
+            return { error: invalidHook.error };
+        }
+        
+        const result = openLobby(username, settings, selection, listing);
+        result.webhooks = hooks.map(hook => webhookDispatcher.register(result.code, hook).webhook);
+        if (hooks.length > 0) {
+            persistLobby(result.code);
+            webhookDispatcher.dispatch(result.code, 'lobby-created', { lobby: result.lobby });
+        }
+        
+        return result;
     }
     
-    io.to(code).emit('topic-selected', { topic: selectedTopic });
-    io.to(code).emit('game-phase-update', {
-        phase: 'voting',
-        roundNumber: gameState.roundNumber
-    });
+    // Helper function to add a new player to a lobby; spectators watch and take part
+    // in the audience poll only. Returns the player's session token.
+    function addParticipant(lobby, username, spectator) {
+        const id = generatePlayerId();
+        lobby.participants.push({ id, username, isHost: username === lobby.host, connected: true, connectedSince: clock.now(), spectator });
+        
+        // If game is active, initialize score for new player
+        const gameState = gameStates.get(lobby.code);
+        if (gameState && !spectator) {
+            gameState.scores[username] = 0;
+        }
+        
+        const token = sessions.issue(lobby.code, id, username);
+        persistLobby(lobby.code);
+        
+        return token;
+    }
     
-    startTimer(code, 30, () => {
-        processVoteResults(code);
-    });
-}
-
-function processVoteResults(code) {
-    const gameState = gameStates.get(code);
-    const lobby = lobbies.get(code);
+    // Helper function to shut a lobby down: stop its timers, drop its state and tell the room
+    function closeLobby(code) {
+        engine.stopTimers(code);
+        clearHostTimer(code);
+        
+        lobbies.delete(code);
+        gameStates.delete(code);
+        chatLogs.delete(code);
+        sessions.revokeLobby(code);
+        webhookDispatcher.removeLobby(code);
+        reconnection.removeLobby(code);
+        persistLobby(code);
+        if (cluster) {
+            cluster.release(code).catch(() => {});
+            leaseRenewals.delete(code);
+        }
+        
+        io.to(code).emit('lobby-closed');
+        overlay.to(code).emit('lobby-closed');
+    }
     
-    if (!gameState || !lobby) return;
+    // Helper function to forget a lobby another instance has taken over. Its snapshot and
+    // lease now belong to that instance, so neither is touched.
+    function dropLobby(code) {
+        engine.stopTimers(code);
+        clearHostTimer(code);
+        
+        lobbies.delete(code);
+        gameStates.delete(code);
+        chatLogs.delete(code);
+        sessions.revokeLobby(code);
+        webhookDispatcher.removeLobby(code);
+        reconnection.removeLobby(code);
+        leaseRenewals.delete(code);
+    }
     
-    // Count votes (only from connected players)
-    const voteResults = { agree: 0, disagree: 0, abstain: 0 };
+    // Helper function to name the room holding every socket of one player
+    function playerRoom(code, playerId) {
+        return `${code}:${playerId}`;
+    }
     
-    lobby.participants.forEach(participant => {
-        if (participant.connected) {
-            const vote = gameState.votes[participant.username] || 'abstain';
-            voteResults[vote]++;
+    // Helper function to remove a player from a lobby for good (kick or ban).
+    // Their session is revoked and any of their sockets are disconnected.
+    function removePlayer(code, username, banned) {
+        const lobby = lobbies.get(code);
+        const participant = lobby && lobby.participants.find(p => p.username === username);
+        if (!participant) return;
+        
+        dropParticipant(lobby, participant);
+        if (banned) {
+            lobby.bannedUsernames.push(username);
         }
-    });
-    
-    gameState.initialVoteResults = { ...voteResults };
-    
-    // Check if either agree OR disagree has 0 votes
-    if (voteResults.agree === 0 || voteResults.disagree === 0) {
-        // Skip the round immediately
-        gameState.phase = 'round-skipped';
         
-        io.to(code).emit('game-phase-update', { phase: 'vote-results' });
-        io.to(code).emit('vote-results', voteResults);
+        engine.removePlayer(code, username);
         
-        setTimeout(() => {
-            io.to(code).emit('game-phase-update', { phase: 'round-skipped' });
-            io.to(code).emit('round-skipped', {
-                message: 'Round skipped - everyone voted the same way!',
-                initialVotes: voteResults,
-                finalVotes: null
-            });
-            
-            setTimeout(() => {
-                showScoreboard(code);
-            }, 5000);
-        }, 3000); // Show vote results for 3 seconds before showing skip message
+        reconnection.forget(code, participant.id);
+        sessions.revoke(code, participant.id);
+        persistLobby(code);
+        
+        const room = playerRoom(code, participant.id);
+        io.to(room).emit('kicked', { banned });
+        io.in(room).socketsLeave(code);
+        io.in(room).disconnectSockets(true);
         
-        return;
+        io.to(code).emit('player-kicked', { username, banned });
+        io.to(code).emit('lobby-updated', lobby);
     }
     
-    gameState.phase = 'vote-results';
-    io.to(code).emit('game-phase-update', { phase: 'vote-results' });
-    io.to(code).emit('vote-results', voteResults);
-    
-    setTimeout(() => {
-        startSoloPhase(code);
-    }, 5000);
-}
-
-function startSoloPhase(code) {
-    const gameState = gameStates.get(code);
-    const lobby = lobbies.get(code);
-    
-    if (!gameState || !lobby) return;
-    
-    gameState.phase = 'solo';
-    gameState.timer = 60;
+    // Helper function to resolve the lobby for a host-only request. Sends the 404/403
+    // response itself and returns null when the caller isn't that lobby's host.
+    function getHostLobby(req, res, action) {
+        const lobby = lobbies.get(req.params.code);
+        if (!lobby) {
+            res.status(404).json({ error: 'Lobby not found' });
+            return null;
+        }
+        
+        const session = getRequestSession(req);
+        if (!session || session.code !== lobby.code || session.username !== lobby.host) {
+            res.status(403).json({ error: `Only the host can ${action}` });
+            return null;
+        }
+        
+        return lobby;
+    }
     
-    // Get connected players who were present at game start
-    const gameStartParticipants = Object.keys(gameState.scores);
-    const connectedPlayers = lobby.participants.filter(p => p.connected).map(p => p.username);
+    // Helper function to build what a stream overlay shows: no votes or per-player state.
+    // Lobbies run by another instance pass their snapshot's lobby and game state.
+    function getOverlayState(code, lobby = lobbies.get(code), gameState = gameStates.get(code)) {
+        return {
+            code,
+            title: lobby.listing ? lobby.listing.title : null,
+            maxRounds: lobby.settings.maxRounds,
+            phase: gameState ? gameState.phase : 'waiting',
+            roundNumber: gameState ? gameState.roundNumber : 0,
+            topic: gameState ? gameState.currentTopic : null,
+            timer: gameState ? gameState.timer : null,
+            paused: gameState ? gameState.paused : false,
+            speaker: gameState ? gameState.currentSpeaker : null,
+            speakerPosition: gameState ? gameState.speakerPosition : null,
+            speakerTurn: gameState ? engine.currentTurn(gameState) : null,
+            initialVotes: gameState ? engine.visibleVotes(gameState, lobby).initialVotes : null,
+            finalVotes: gameState ? gameState.finalVoteResults : null,
+            opinionMeter: gameState ? (gameState.opinionSeries || []).slice(-1)[0] || null : null,
+            scores: gameState ? gameState.scores : {}
+        };
+    }
     
-    // Filter to only players who voted agree or disagree (have an opinion)
-    const playersWithOpinion = gameStartParticipants
-        .filter(username => connectedPlayers.includes(username))
-        .filter(username => {
-            const vote = gameState.votes[username];
-            return vote === 'agree' || vote === 'disagree';
+    // Helper function to sync game state to a player
+    function syncGameStateToPlayer(socket, code) {
+        const gameState = gameStates.get(code);
+        const lobby = lobbies.get(code);
+        
+        if (!gameState || !lobby) return;
+        
+        const participant = lobby.participants.find(p => p.username === socket.username);
+        if (!participant) return;
+        
+        // Vote counts and ballots as the lobby's ballot mode shows them
+        const votes = engine.visibleVotes(gameState, lobby);
+        const sealed = votes.initialVotes === null;
+        
+        // Send current game state
+        socket.emit('sync-game-state', {
+            gameState: {
+                phase: gameState.phase,
+                roundNumber: gameState.roundNumber,
+                currentTopic: gameState.currentTopic,
+                timer: gameState.timer,
+                scores: gameState.scores,
+                initialVoteResults: votes.initialVotes,
+                finalVoteResults: votes.finalVotes,
+                initialStances: votes.initialStances,
+                finalStances: votes.finalStances,
+                ballots: votes.ballots,
+                sealed,
+                currentSpeaker: gameState.currentSpeaker,
+                speakerPosition: gameState.speakerPosition,
+                speakerTurn: engine.currentTurn(gameState),
+                speakerQueue: gameState.speakerQueue || [],
+                paused: gameState.paused,
+                opinionMeter: (gameState.opinionSeries || []).slice(-1)[0] || null,
+                proposals: engine.listProposals(gameState),
+                proposedBy: gameState.currentProposer || null
+            },
+            lobby: lobby,
+            settings: lobby.settings,
+            chatHistory: chatLogs.get(code) || [],
+            highlights: gameState.phase === 'game-ended' ? buildHighlights(gameState.history) : null,
+            audienceVotes: sealed ? null : {
+                initial: countAudienceVotes(gameState.audienceVotes),
+                final: countAudienceVotes(gameState.audienceRevotes)
+            },
+            // Spectators get their audience poll votes back instead
+            userVote: (participant.spectator ? gameState.audienceVotes : gameState.votes)[socket.username],
+            userRevote: (participant.spectator ? gameState.audienceRevotes : gameState.revotes)[socket.username],
+            // Graded votes: the player's own stances
+            userStance: (gameState.stances || {})[socket.username],
+            userRestance: (gameState.restances || {})[socket.username],
+            userOpinion: (gameState.opinions || {})[socket.username]
         });
+    }
     
-    // First try to select from players with opinions who haven't spoken
-    let availableSpeakers = playersWithOpinion
-        .filter(username => !gameState.usedSpeakers.includes(username));
-    
-    // If all opinion holders have spoken, reset the speaker list but still only use opinion holders
-    if (availableSpeakers.length === 0 && playersWithOpinion.length > 0) {
-        // Reset speakers list
-        gameState.usedSpeakers = [];
-        availableSpeakers = playersWithOpinion;
+    // Helper function to pass an HTTP request ({ method, url, authorization, contentType, body })
+    // to another instance. Resolves to its { status, contentType, disposition, body }, or null
+    // when it doesn't answer.
+    function relayRequest(instanceId, request) {
+        return cluster.request(instanceId, { type: 'http', ...request }).catch(() => null);
     }
     
-    // If no one has an opinion (everyone voted abstain), skip to discussion
-    if (availableSpeakers.length === 0) {
-        console.log('No players with opinions available for solo phase, skipping to discussion');
-        startDiscussionPhase(code);
-        return;
+    // Route middleware: in a cluster, requests for a lobby another instance runs are answered
+    // by that instance. getCode picks the lobby code out of the request.
+    function relayToOwner(getCode) {
+        return async (req, res, next) => {
+            const code = getCode(req);
+            if (!cluster || req.get(RELAYED_HEADER) || typeof code !== 'string' || lobbies.has(code)) {
+                return next();
+            }
+            
+            const owner = await cluster.ownerOf(code);
+            if (!owner) {
+                return next();
+            }
+            
+            const hasBody = req.body !== undefined && req.method !== 'GET';
+            const response = await relayRequest(owner, {
+                method: req.method,
+                url: req.originalUrl,
+                authorization: req.get('Authorization'),
+                contentType: req.get('Content-Type'),
+                body: hasBody ? (typeof req.body === 'string' ? req.body : JSON.stringify(req.body)) : undefined
+            });
+            if (!response) {
+                return res.status(503).json({ error: 'The server running this lobby is not responding, try again shortly' });
+            }
+            
+            if (response.contentType) {
+                res.type(response.contentType);
+            }
+            if (response.disposition) {
+                res.set('Content-Disposition', response.disposition);
+            }
+            res.status(response.status).send(response.body);
+        };
     }
     
-    const selectedSpeaker = availableSpeakers[Math.floor(Math.random() * availableSpeakers.length)];
-    gameState.usedSpeakers.push(selectedSpeaker);
-    gameState.currentSpeaker = selectedSpeaker;
+    const byCodeParam = relayToOwner(req => req.params.code);
     
-    // Get speaker's vote position
-    const speakerVote = gameState.votes[selectedSpeaker] || 'abstain';
-    gameState.speakerPosition = speakerVote;
+    // Route middleware: allow each IP the given limiter's share of requests
+    function limitByIp(limiter) {
+        return (req, res, next) => {
+            // Requests relayed from another instance were counted there
+            if ((cluster && req.get(RELAYED_HEADER) === cluster.id) || limiter.allow(req.ip)) {
+                return next();
+            }
+            res.set('Retry-After', '60');
+            res.status(429).json({ error: 'Too many requests, try again in a minute' });
+        };
+    }
     
-    io.to(code).emit('game-phase-update', {
-        phase: 'solo',
-        speaker: selectedSpeaker
-    });
+    // Route middleware: check the JSON body against a schema from lib/validation.js. Invalid
+    // bodies get a 400 naming the field; valid ones continue with only the schema's fields.
+    function validateBody(schema) {
+        return (req, res, next) => {
+            const { value, error, field } = validate(schema, req.body);
+            if (error) {
+                return res.status(400).json({ error, field });
+            }
+            req.body = value;
+            next();
+        };
+    }
     
-    io.to(code).emit('speaker-selected', { 
-        speaker: selectedSpeaker,
-        position: speakerVote
-    });
+    // Every API route counts towards its IP's request limit
+    app.use('/api', limitByIp(apiLimiter));
     
-    startTimer(code, 60, () => {
-        startDiscussionPhase(code);
+    // API Routes
+    app.get('/api/settings/presets', (req, res) => {
+        res.json({ presets: PRESETS, scoring: listScoringStrategies() });
     });
-}
-
-function startDiscussionPhase(code) {
-    const gameState = gameStates.get(code);
     
-    if (!gameState) return;
-    
-    gameState.phase = 'discussion';
-    gameState.timer = 240; // 4 minutes
-    
-    io.to(code).emit('game-phase-update', { phase: 'discussion' });
-    
-    startTimer(code, 240, () => {
-        startRevotingPhase(code);
+    app.get('/api/topics/packs', (req, res) => {
+        res.json({ packs: topicLibrary.listPacks() });
     });
-}
-
-function startRevotingPhase(code) {
-    const gameState = gameStates.get(code);
-    
-    if (!gameState) return;
-    
-    gameState.phase = 'revoting';
-    gameState.revotes = {};
-    gameState.timer = 30;
-    
-    io.to(code).emit('game-phase-update', { phase: 'revoting' });
     
-    startTimer(code, 30, () => {
-        calculateResults(code);
+    app.post('/api/lobby/create', limitByIp(createLimiter), (req, res) => {
+        const result = createLobby(req.body);
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error, field: result.field });
+        }
+        
+        res.json(result);
     });
-}
-
-function calculateResults(code) {
-    const gameState = gameStates.get(code);
-    const lobby = lobbies.get(code);
     
-    if (!gameState || !lobby) return;
-    
-    // Count final votes (only from connected players)
-    const finalVoteResults = { agree: 0, disagree: 0, abstain: 0 };
-    
-    lobby.participants.forEach(participant => {
-        if (participant.connected) {
-            const vote = gameState.revotes[participant.username] || 'abstain';
-            finalVoteResults[vote]++;
+    // List a lobby in the lobby browser or take it off again.
+    // JSON body: { public, title, language }; fields left out keep their current value.
+    // Requires the host's session token in an "Authorization: Bearer <token>" header.
+    app.post('/api/lobby/:code/listing', validateBody(REST_SCHEMAS.listing), byCodeParam, (req, res) => {
+        const lobby = getHostLobby(req, res, 'change the listing');
+        if (!lobby) return;
+        
+        const { listing, error } = resolveListing(req.body, lobby.listing || defaultListing(lobby.host));
+        if (error) {
+            return res.status(400).json({ error });
         }
+        
+        lobby.listing = listing;
+        persistLobby(lobby.code);
+        io.to(lobby.code).emit('lobby-updated', lobby);
+        
+        res.json({ listing });
     });
     
-    gameState.finalVoteResults = { ...finalVoteResults };
-    
-    // Calculate vote changes
-    const agreeChange = finalVoteResults.agree - gameState.initialVoteResults.agree;
-    const disagreeChange = finalVoteResults.disagree - gameState.initialVoteResults.disagree;
-    
-    console.log(`Vote changes - Agree: ${agreeChange}, Disagree: ${disagreeChange}`);
-    
-    // Determine winning team based on which side gained more votes
-    let winningTeam = [];
-    let pointsPerWinner = 0;
-    
-    if (agreeChange > disagreeChange) {
-        // Agree team wins
-        winningTeam = ['agree'];
-        pointsPerWinner = agreeChange; // Points = number of votes gained
-    } else if (disagreeChange > agreeChange) {
-        // Disagree team wins
-        winningTeam = ['disagree'];
-        pointsPerWinner = disagreeChange; // Points = number of votes gained
-    }
-    // If agreeChange === disagreeChange, no one wins (including if both are 0)
-    
-    console.log(`Winning team: ${winningTeam}, Points per winner: ${pointsPerWinner}`);
+    // Register a webhook: JSON body { url, events } (events defaults to all of them).
+    // The response includes the webhook's signing secret, which is not shown again.
+    // Webhook routes require the host's session token in an "Authorization: Bearer <token>" header.
+    app.post('/api/lobby/:code/webhooks', validateBody(REST_SCHEMAS.webhook), byCodeParam, (req, res) => {
+        const lobby = getHostLobby(req, res, 'manage webhooks');
+        if (!lobby) return;
+        
+        const { webhook, error } = webhookDispatcher.register(lobby.code, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        persistLobby(lobby.code);
+        res.json({ webhook });
+    });
     
-    // Award points to winning team members
-    if (winningTeam.length > 0 && pointsPerWinner > 0) {
-        lobby.participants.forEach(participant => {
-            if (gameState.revotes[participant.username] === winningTeam[0]) {
-                gameState.scores[participant.username] += pointsPerWinner;
-            }
-        });
-    }
+    // The lobby's webhooks (without secrets) and the latest deliveries, newest first
+    app.get('/api/lobby/:code/webhooks', byCodeParam, (req, res) => {
+        const lobby = getHostLobby(req, res, 'view webhooks');
+        if (!lobby) return;
+        
+        res.json({ webhooks: webhookDispatcher.list(lobby.code), deliveries: webhookDispatcher.deliveries(lobby.code) });
+    });
     
-    // Penalize connected players who didn't vote
-    lobby.participants.forEach(participant => {
-        if (participant.connected && !gameState.revotes[participant.username]) {
-            gameState.scores[participant.username] -= 1;
+    app.delete('/api/lobby/:code/webhooks/:id', byCodeParam, (req, res) => {
+        const lobby = getHostLobby(req, res, 'manage webhooks');
+        if (!lobby) return;
+        
+        if (!webhookDispatcher.unregister(lobby.code, req.params.id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
+        
+        persistLobby(lobby.code);
+        res.json({ removed: true });
     });
     
-    gameState.phase = 'round-results';
-    
-    io.to(code).emit('game-phase-update', { phase: 'round-results' });
-    io.to(code).emit('round-results', {
-        initialVotes: gameState.initialVoteResults,
-        finalVotes: finalVoteResults,
-        winningTeam: winningTeam,
-        pointsPerWinner: pointsPerWinner,
-        agreeChange,
-        disagreeChange
+    // The lobby's stream overlay link. The viewer key in it only opens the read-only
+    // overlay (/overlay/:code?key=...), never a player session.
+    app.get('/api/lobby/:code/overlay', byCodeParam, (req, res) => {
+        const lobby = getHostLobby(req, res, 'get the overlay link');
+        if (!lobby) return;
+        
+        const key = sessions.viewerKey(lobby.code);
+        res.json({ key, url: `/overlay/${lobby.code}?key=${encodeURIComponent(key)}` });
     });
     
-    setTimeout(() => {
-        showScoreboard(code);
-    }, 8000);
-}
-
-function showScoreboard(code) {
-    const gameState = gameStates.get(code);
+    // Public lobbies for the lobby browser, optionally filtered by ?language= and ?pack=.
+    // Clients can also connect to the /lobbies socket namespace for live updates.
+    app.get('/api/lobbies', async (req, res) => {
+        const listed = await getListedLobbies();
+        res.json({ lobbies: listPublicLobbies(listed.lobbies, listed.gameStates, req.query) });
+    });
     
-    if (!gameState) return;
+    // Put a player in the best-fitting public lobby, or open a new public one for them.
+    // JSON body: { username, language, pack }; language and pack are optional preferences.
+    app.post('/api/lobbies/quick-join', limitByIp(createLimiter), validateBody(REST_SCHEMAS.quickJoin), async (req, res) => {
+        const { username, pack } = req.body;
+        
+        if (pack !== undefined && !topicLibrary.hasPack(pack)) {
+            return res.status(400).json({ error: `Unknown topic pack "${pack}"` });
+        }
+        
+        const { listing, error } = resolveListing({ public: true, language: req.body.language }, defaultListing(username));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        // Without a language preference any lobby will do; a new one gets the default language
+        const language = req.body.language === undefined ? undefined : listing.language;
+        const listed = await getListedLobbies();
+        const maxPlayers = Math.min(QUICK_JOIN_MAX_PLAYERS, maxPlayersPerLobby);
+        const code = findQuickJoinLobby(listed.lobbies, listed.gameStates, { username, language, pack, maxPlayers });
+        if (code && lobbies.has(code)) {
+            const lobby = lobbies.get(code);
+            const token = addParticipant(lobby, username, false);
+            return res.json({ code, lobby, token, created: false });
+        }
+        
+        // A lobby another instance runs: join through that instance
+        const owner = code && await cluster.ownerOf(code);
+        if (owner) {
+            const response = await relayRequest(owner, {
+                method: 'POST',
+                url: '/api/lobby/join',
+                contentType: 'application/json',
+                body: JSON.stringify({ code, username })
+            });
+            if (response && response.status === 200) {
+                const { lobby, token } = JSON.parse(response.body);
+                return res.json({ code, lobby, token, created: false });
+            }
+        }
+        
+        if (lobbies.size >= maxLobbies) {
+            return res.status(503).json({ error: 'The server is full right now, try again later' });
+        }
+        
+        const { selection } = topicLibrary.resolveSelection(pack === undefined ? undefined : { packs: [pack] });
+        res.json({ ...openLobby(username, defaultSettings(), selection, listing), created: true });
+    });
     
-    gameState.phase = 'scoreboard';
+    // Update a lobby's topic pool: pick packs/categories and paste or upload a custom list.
+    // JSON body: { packs, categories, custom } where custom is text or an array of topics.
+    // A text/plain body is treated as an uploaded custom list.
+    // Requires the host's session token in an "Authorization: Bearer <token>" header.
+    app.post('/api/lobby/:code/topics', byCodeParam, (req, res) => {
+        const lobby = lobbies.get(req.params.code);
+        if (!lobby) {
+            return res.status(404).json({ error: 'Lobby not found' });
+        }
+        
+        const session = getRequestSession(req);
+        if (!session || session.code !== lobby.code || session.username !== lobby.host) {
+            return res.status(403).json({ error: 'Only the host can change topics' });
+        }
+        
+        const isUpload = typeof req.body === 'string';
+        const { value: body, error: bodyError, field } = isUpload ? { value: { custom: req.body } } : validate(REST_SCHEMAS.topics, req.body);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError, field });
+        }
+        
+        const { selection, error } = topicLibrary.resolveSelection({
+            packs: body.packs === undefined ? lobby.topics.packs : body.packs,
+            categories: body.categories === undefined ? lobby.topics.categories : body.categories
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        selection.custom = lobby.topics.custom;
+        if (body.custom !== undefined) {
+            const { topics, error: customError } = parseCustomTopics(body.custom);
+            if (customError) {
+                return res.status(400).json({ error: customError });
+            }
+            selection.custom = topics;
+        }
+        
+        const poolSize = topicLibrary.getPool(selection).length;
+        if (poolSize === 0) {
+            return res.status(400).json({ error: 'No topics match the selected packs and categories' });
+        }
+        
+        lobby.topics = selection;
+        persistLobby(lobby.code);
+        io.to(lobby.code).emit('lobby-updated', lobby);
+        
+        res.json({ topics: lobby.topics, poolSize });
+    });
     
-    io.to(code).emit('game-phase-update', { phase: 'scoreboard' });
-    io.to(code).emit('scoreboard-update', { scores: gameState.scores });
+    // Download the game report for a lobby as JSON (default) or CSV (?format=csv).
+    // Any player in the lobby can download it with their session token.
+    app.get('/api/lobby/:code/report', byCodeParam, (req, res) => {
+        const lobby = lobbies.get(req.params.code);
+        const gameState = gameStates.get(req.params.code);
+        if (!lobby || !gameState) {
+            return res.status(404).json({ error: 'No game found for this lobby' });
+        }
+        
+        const session = getRequestSession(req);
+        if (!session || session.code !== lobby.code) {
+            return res.status(403).json({ error: 'Only players in this lobby can download the report' });
+        }
+        
+        const report = buildReport(lobby, gameState);
+        const filename = `agreetodisagree-${lobby.code}`;
+        
+        if (req.query.format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`${filename}.csv`);
+            return res.send(reportToCsv(report));
+        }
+        
+        res.attachment(`${filename}.json`);
+        res.json(report);
+    });
     
-    setTimeout(() => {
-        gameState.roundNumber++;
+    // Create a tournament (admin only). JSON body: { name, format, teams: [{ name, players }],
+    // settings, topics }; settings and topics work as in /api/lobby/create and apply to every match.
+    app.post('/api/admin/tournaments', requireAdmin, validateBody(REST_SCHEMAS.tournament), (req, res) => {
+        const { settings, error } = resolveSettings(req.body.settings);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { selection, error: topicsError } = topicLibrary.resolveSelection(req.body.topics);
+        if (topicsError) {
+            return res.status(400).json({ error: topicsError });
+        }
         
-        // Check if we should continue or end game
-        if (gameState.roundNumber > 10 || gameState.usedTopics.length >= debateTopics.length) {
-            endGame(code);
-        } else {
-            gameState.phase = 'waiting';
-            io.to(code).emit('game-phase-update', { phase: 'waiting' });
+        const { tournament, error: tournamentError } = tournaments.create(req.body, settings, selection);
+        if (tournamentError) {
+            return res.status(400).json({ error: tournamentError });
+        }
+        
+        persistTournament(tournament);
+        res.json({ tournament: describeTournament(tournament) });
+    });
+    
+    app.get('/api/admin/tournaments', requireAdmin, (req, res) => {
+        res.json({ tournaments: tournaments.list().map(describeTournament) });
+    });
+    
+    // Start the tournament's next round and open a lobby for each of its matches (admin only).
+    // With { force: true } unfinished matches of the current round are scored as they stand.
+    app.post('/api/admin/tournaments/:id/advance', requireAdmin, async (req, res) => {
+        const tournament = tournaments.get(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        if (req.body && req.body.force === true) {
+            const round = tournament.rounds[tournament.currentRound - 1];
+            const playing = (round ? round.matches : []).filter(match => match.status === 'playing');
+            for (const match of playing) {
+                tournaments.recordResult(match.lobbyCode, await currentScores(match.lobbyCode));
+            }
+        }
+        
+        const { error } = tournaments.advance(tournament.id, openMatchLobby);
+        if (error) {
+            return res.status(409).json({ error });
+        }
+        
+        persistTournament(tournament);
+        res.json({ tournament: describeTournament(tournament) });
+    });
+    
+    // Anyone can follow a tournament's schedule and standings
+    app.get('/api/tournaments/:id', (req, res) => {
+        const tournament = tournaments.get(req.params.id);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json({ tournament: describeTournament(tournament) });
+    });
+    
+    // Every live lobby with its phase, player counts and age (admin only). In a cluster the
+    // list covers every instance, from the lobby snapshots.
+    app.get('/api/admin/lobbies', requireAdmin, async (req, res) => {
+        const listed = await getListedLobbies();
+        const now = clock.now();
+        
+        const list = [...listed.lobbies.values()].map(lobby => {
+            const gameState = listed.gameStates.get(lobby.code);
+            const players = getPlayers(lobby);
+            return {
+                code: lobby.code,
+                host: lobby.host,
+                title: lobby.listing ? lobby.listing.title : null,
+                tournament: lobby.tournament ? lobby.tournament.name : null,
+                phase: gameState ? gameState.phase : null,
+                round: gameState ? gameState.roundNumber : 0,
+                maxRounds: lobby.settings.maxRounds,
+                players: players.length,
+                connected: players.filter(p => p.connected).length,
+                spectators: lobby.participants.length - players.length,
+                uptime: Math.floor((now - new Date(lobby.createdAt).getTime()) / 1000)
+            };
+        });
+        
+        res.json({
+            uptime: Math.floor((now - startedAt) / 1000),
+            instance: cluster ? cluster.id : null,
+            lobbies: list.sort((a, b) => b.uptime - a.uptime)
+        });
+    });
+    
+    // Force-close a lobby, e.g. one everybody left mid-game (admin only). Its players are
+    // sent back to the start screen.
+    app.delete('/api/admin/lobbies/:code', requireAdmin, byCodeParam, (req, res) => {
+        const { code } = req.params;
+        if (!lobbies.has(code)) {
+            return res.status(404).json({ error: 'Lobby not found' });
+        }
+        
+        log.warn('Lobby closed by an admin', { lobby: code });
+        metrics.increment('lobbies_force_closed_total');
+        closeLobby(code);
+        res.json({ success: true });
+    });
+    
+    // Prometheus scrape endpoint (admin token as a bearer token, see README)
+    app.get('/metrics', requireAdmin, (req, res) => {
+        const played = metrics.get('rounds_played_total');
+        const skipped = metrics.get('rounds_skipped_total');
+        
+        const phases = {};
+        gameStates.forEach(gameState => {
+            phases[gameState.phase] = (phases[gameState.phase] || 0) + 1;
+        });
+        
+        res.type('text/plain; version=0.0.4').send(metrics.render([
+            { name: 'uptime_seconds', help: 'Seconds since this instance started', samples: [{ value: Math.floor((clock.now() - startedAt) / 1000) }] },
+            { name: 'lobbies_active', help: 'Lobbies run by this instance', samples: [{ value: lobbies.size }] },
+            {
+                name: 'lobbies_by_phase',
+                help: 'Lobbies with a game in progress, by phase',
+                samples: Object.entries(phases).map(([phase, value]) => ({ labels: { phase }, value }))
+            },
+            {
+                name: 'sockets_connected',
+                help: 'Connected sockets by kind',
+                samples: [
+                    { labels: { kind: 'player' }, value: io.of('/').sockets.size },
+                    { labels: { kind: 'overlay' }, value: overlay.sockets.size },
+                    { labels: { kind: 'lobby-browser' }, value: lobbyBrowser.sockets.size }
+                ]
+            },
+            {
+                name: 'players_disconnected',
+                help: 'Players whose connection dropped mid-game and who can still come back',
+                samples: [{ value: reconnection.count() }]
+            },
+            {
+                name: 'rounds_skipped_ratio',
+                help: 'Share of finished rounds that were skipped',
+                samples: [{ value: played + skipped > 0 ? Number((skipped / (played + skipped)).toFixed(4)) : 0 }]
+            }
+        ]));
+    });
+    
+    app.post('/api/lobby/join', validateBody(REST_SCHEMAS.joinLobby), relayToOwner(req => req.body.code), (req, res) => {
+        const { code, username, spectator } = req.body;
+        
+        const lobby = lobbies.get(code);
+        if (!lobby) {
+            return res.status(404).json({ error: 'Lobby not found' });
+        }
+        
+        // Bans and taken names are matched ignoring case, accents and look-alike letters
+        if (lobby.bannedUsernames.some(name => sameUsername(name, username))) {
+            return res.status(403).json({ error: 'You have been banned from this lobby' });
+        }
+        
+        // Check if this is a reconnection
+        const existingParticipant = lobby.participants.find(p => p.username === username);
+        if (existingParticipant) {
+            // Reconnecting requires the session token issued to that player, not just the name
+            const session = sessions.verify(req.body.token);
+            if (!session || session.code !== code || session.playerId !== existingParticipant.id) {
+                return res.status(409).json({ error: 'Username is already taken in this lobby' });
+            }
             
-            setTimeout(() => {
-                startVotingPhase(code);
-            }, 3000);
+            existingParticipant.connected = true;
+            return res.json({ lobby, token: req.body.token, reconnection: true });
         }
-    }, 5000);
-}
-
-function endGame(code) {
-    const gameState = gameStates.get(code);
+        if (lobby.participants.some(p => sameUsername(p.username, username))) {
+            return res.status(409).json({ error: 'Username is already taken in this lobby' });
+        }
+        
+        if (spectator === true) {
+            if (lobby.participants.filter(p => p.spectator).length >= maxSpectatorsPerLobby) {
+                return res.status(403).json({ error: 'This lobby has no room for more spectators' });
+            }
+        } else if (getPlayers(lobby).length >= maxPlayersPerLobby) {
+            return res.status(403).json({ error: 'This lobby is full' });
+        }
+        
+        // A tournament match is played by the two teams' rosters; anyone else can watch
+        if (lobby.tournament && spectator !== true && !Object.values(lobby.tournament.teams).some(players => players.some(player => sameUsername(player, username)))) {
+            return res.status(403).json({ error: 'Only the two teams\' players can play in this match. Join as a spectator to watch.' });
+        }
+        
+        const token = addParticipant(lobby, username, spectator === true);
+        
+        res.json({ lobby, token });
+    });
+    
+    // Socket.IO handshake: every socket must present a session token from create/join
+    io.use(async (socket, next) => {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        let session = sessions.verify(token);
+        if (session && !lobbies.has(session.code)) {
+            session = null;
+        }
+        
+        // In a cluster the lobby may run on another instance. A valid signature is enough here;
+        // the owner checks that the session is still current when the forwarded events arrive.
+        if (!session && cluster) {
+            const claimed = sessions.decode(token);
+            if (claimed && !lobbies.has(claimed.code) && await storage.loadLobby(claimed.code).catch(() => null)) {
+                session = claimed;
+            }
+        }
+        
+        if (!session) {
+            return next(new Error('Invalid session'));
+        }
+        
+        socket.token = token;
+        socket.playerId = session.playerId;
+        socket.username = session.username;
+        socket.lobbyCode = session.code;
+        socket.data.playerId = session.playerId;
+        socket.data.username = session.username;
+        next();
+    });
     
-    if (!gameState) return;
+    // Socket.IO connection handling
+    io.on('connection', (socket) => {
+        log.info('User connected', { lobby: socket.lobbyCode, username: socket.username, socket: socket.id });
+        
+        // Kicks and bans reach every socket of a player through this room
+        socket.join(playerRoom(socket.lobbyCode, socket.playerId));
+        bindPlayerSocket(socket);
+    });
+    
+    // Helper function to tell whether a socket's events belong to a lobby another instance runs
+    function forwardsToOwner(socket) {
+        return Boolean(cluster) && !socket.remote && !lobbies.has(socket.lobbyCode);
+    }
+    
+    // Helper function to pass a socket event on to the instance running the socket's lobby
+    function forwardSocketEvent(socket, event, data) {
+        const { id, token, username, lobbyCode } = socket;
+        cluster.ownerOf(lobbyCode).then(owner => {
+            if (!owner) return;
+            return cluster.send(owner, { type: 'socket-event', socket: { id, token, username, lobbyCode }, event, data });
+        }).catch(error => {
+            log.error(`Error forwarding ${event} to the lobby's instance`, { lobby: lobbyCode, error: error.message });
+        });
+    }
     
-    // Clear timer
-    if (gameState.timerInterval) {
-        clearInterval(gameState.timerInterval);
+    // Helper function to run a socket event forwarded by the instance the socket is connected to
+    function handleForwardedSocketEvent({ socket: info, event, data }) {
+        let socket = remoteSockets.get(info.id);
+        if (!socket) {
+            socket = createRemoteSocket(io, info);
+            remoteSockets.set(info.id, socket);
+            bindPlayerSocket(socket);
+        }
+        
+        socket.dispatch(event, data);
+        if (event === 'disconnect') {
+            remoteSockets.delete(info.id);
+        }
     }
     
-    io.to(code).emit('game-ended', {
-        finalScores: gameState.scores
+    // Register the game event handlers on a player socket, or on the stand-in for a socket
+    // connected to another instance (see createRemoteSocket in lib/cluster.js)
+    function bindPlayerSocket(socket) {
+        // Game events act as the player the socket authenticated as; payload usernames and codes are ignored
+        // Payloads are checked against their schema in lib/validation.js; a socket sending
+        // too much or a malformed payload gets rate-limited / validation-error back instead.
+        function onPlayerEvent(event, handler) {
+            socket.on(event, (data) => {
+                if (!eventLimiter.allow(socket.id)) {
+                    socket.emit('rate-limited', { event, error: 'You are sending too much too quickly' });
+                    return;
+                }
+                
+                if (forwardsToOwner(socket)) {
+                    forwardSocketEvent(socket, event, data);
+                    return;
+                }
+                
+                const player = getSocketPlayer(socket);
+                if (!player) {
+                    socket.emit('session-invalid', { error: 'Your session is no longer valid' });
+                    return;
+                }
+                
+                const { value, error, field } = validateSocketPayload(event, data);
+                if (error) {
+                    socket.emit('validation-error', { event, field, error });
+                    return;
+                }
+                handler(player, value);
+            });
+        }
+        
+        // Host-only events; anyone else is ignored
+        function onHostEvent(event, handler) {
+            onPlayerEvent(event, (player, data) => {
+                if (player.username !== player.lobby.host) return;
+                handler(player, data);
+            });
+        }
+        
+        onPlayerEvent('join-lobby', ({ code, lobby, participant }) => {
+            socket.join(code);
+            
+            // Update connection status
+            const returning = reconnection.reconnect(code, participant.id);
+            if (returning) {
+                metrics.increment('reconnects_total');
+                log.info('Player reconnected', { lobby: code, username: participant.username, missed: returning.missed.length });
+            }
+            if (!participant.connected) {
+                participant.connectedSince = clock.now();
+            }
+            participant.connected = true;
+            
+            // A returning host keeps the role; a host who hasn't come back (e.g. after a
+            // restart) gets the grace period before it moves on. A match lobby whose named
+            // host never joined goes to the first roster player who does.
+            const host = lobby.participants.find(p => p.username === lobby.host);
+            if (participant === host) {
+                clearHostTimer(code);
+            } else if (host && !host.connected) {
+                scheduleHostMigration(code);
+            } else if (!host && !participant.spectator) {
+                changeHost(code, participant.username, 'absent');
+            }
+            
+            // Mid-game the player gets what they missed while away, in order, then the current state
+            const gameState = gameStates.get(code);
+            if (gameState && gameState.phase !== 'waiting') {
+                if (returning && returning.complete) {
+                    returning.missed.forEach(({ event, data }) => socket.emit(event, data));
+                }
+                syncGameStateToPlayer(socket, code);
+            }
+            
+            if (returning) {
+                io.to(code).emit('player-reconnected', { username: participant.username });
+            }
+            io.to(code).emit('lobby-updated', lobby);
+            socket.emit('chat-history', { messages: chatLogs.get(code) || [] });
+            persistLobby(code);
+        });
+        
+        onPlayerEvent('leave-lobby', ({ code, username, lobby, participant }) => {
+            const gameState = gameStates.get(code);
+            
+            // If game is active, just mark as disconnected instead of removing
+            if (gameState && gameState.phase !== 'waiting') {
+                markAway(code, participant);
+            } else {
+                // Remove from lobby if game hasn't started
+                dropParticipant(lobby, participant);
+                sessions.revoke(code, participant.id);
+                
+                if (lobby.participants.length === 0) {
+                    closeLobby(code);
+                    socket.leave(code);
+                    return;
+                }
+                io.to(code).emit('lobby-updated', lobby);
+                persistLobby(code);
+            }
+            
+            // A host who leaves on purpose hands the role on right away, or to whoever is
+            // back first if nobody is connected
+            if (username === lobby.host && !migrateHost(code, 'left')) {
+                scheduleHostMigration(code);
+            }
+            
+            socket.leave(code);
+        });
+        
+        onPlayerEvent('update-settings', ({ code, username, lobby }, data) => {
+            if (lobby.host !== username) return;
+            
+            if (lobby.gameStarted) {
+                socket.emit('settings-error', { error: 'Settings cannot be changed once the game has started' });
+                return;
+            }
+            
+            const { settings, error } = resolveSettings(data.settings, lobby.settings);
+            if (error) {
+                socket.emit('settings-error', { error });
+                return;
+            }
+            
+            lobby.settings = settings;
+            persistLobby(code);
+            io.to(code).emit('lobby-updated', lobby);
+        });
+        
+        onPlayerEvent('start-game', ({ code, username, lobby }, data) => {
+            if (lobby.host === username && lobby.gameStarted) {
+                socket.emit('settings-error', { error: 'The game has already started' });
+                return;
+            }
+            
+            if (lobby.host === username && getPlayers(lobby).length >= 2) {
+                // Host may send final settings along with the start request
+                if (data.settings) {
+                    const { settings, error } = resolveSettings(data.settings, lobby.settings);
+                    if (error) {
+                        socket.emit('settings-error', { error });
+                        return;
+                    }
+                    lobby.settings = settings;
+                }
+                
+                // Players can bring their own topics when submissions are on
+                const submissions = ['before-game', 'every-round'].includes(lobby.settings.topicSubmission);
+                if (getLobbyTopics(lobby).length === 0 && !submissions) {
+                    socket.emit('settings-error', { error: 'No topics available for the selected packs' });
+                    return;
+                }
+                
+                engine.startGame(code);
+            }
+        });
+        
+        onPlayerEvent('cast-vote', ({ code, username }, data) => {
+            engine.castVote(code, username, data.vote);
+        });
+        
+        onPlayerEvent('cast-revote', ({ code, username }, data) => {
+            engine.castRevote(code, username, data.vote, data.convincedBy);
+        });
+        
+        // Spectators' poll votes are shown separately and never affect scoring or phase timing
+        onPlayerEvent('cast-audience-vote', ({ code, username }, data) => {
+            engine.castAudienceVote(code, username, data.vote);
+        });
+        
+        // Raise or lower a hand to join this round's speaker queue
+        onPlayerEvent('raise-hand', ({ code, username }) => {
+            engine.raiseHand(code, username);
+        });
+        
+        onPlayerEvent('lower-hand', ({ code, username }) => {
+            engine.lowerHand(code, username);
+        });
+        
+        // Private opinion meter slider; the room only sees the throttled average
+        onPlayerEvent('set-opinion', ({ code, username }, data) => {
+            engine.setOpinion(code, username, data.value);
+        });
+        
+        // Topic submissions: propose and upvote during the topic-submission phase
+        onPlayerEvent('submit-topic', ({ code, username }, data) => {
+            const { error } = engine.submitTopic(code, username, data.text);
+            if (error) {
+                socket.emit('topic-error', { error });
+            }
+        });
+        
+        onPlayerEvent('upvote-topic', ({ code, username }, data) => {
+            engine.upvoteTopic(code, username, data.id);
+        });
+        
+        onHostEvent('veto-topic', ({ code }, data) => {
+            engine.vetoTopic(code, data.id);
+        });
+        
+        onPlayerEvent('send-chat', ({ code, username, lobby, participant }, data) => {
+            const gameState = gameStates.get(code);
+            
+            const restriction = getChatRestriction(gameState, username, username === lobby.host);
+            if (restriction) {
+                socket.emit('chat-error', { error: restriction });
+                return;
+            }
+            
+            const { text, error } = validateMessage(data.text);
+            if (error) {
+                socket.emit('chat-error', { error });
+                return;
+            }
+            
+            if (!chatLimiter.allow(`${code}:${username}`)) {
+                socket.emit('chat-error', { error: 'You are sending messages too quickly' });
+                return;
+            }
+            
+            // Tag the message with the side the sender currently holds; only public ballots
+            // let the room see who holds which side
+            let side = null;
+            if (participant.spectator) {
+                side = 'spectator';
+            } else if (gameState && lobby.settings.ballot === 'public') {
+                side = gameState.revotes[username] || gameState.votes[username] || null;
+            }
+            
+            const message = {
+                id: crypto.randomBytes(8).toString('hex'),
+                username,
+                side,
+                text,
+                phase: gameState ? gameState.phase : 'lobby',
+                timestamp: clock.now()
+            };
+            
+            const chatLog = chatLogs.get(code);
+            chatLog.push(message);
+            if (chatLog.length > HISTORY_LIMIT) {
+                chatLog.shift();
+            }
+            
+            io.to(code).emit('chat-message', message);
+        });
+        
+        onHostEvent('delete-chat', ({ code }, data) => {
+            const chatLog = chatLogs.get(code);
+            const index = chatLog.findIndex(message => message.id === data.id);
+            if (index === -1) return;
+            
+            chatLog.splice(index, 1);
+            io.to(code).emit('chat-deleted', { id: data.id });
+        });
+        
+        onPlayerEvent('request-sync', ({ code }) => {
+            syncGameStateToPlayer(socket, code);
+        });
+        
+        onHostEvent('restart-game', ({ code }) => {
+            engine.restartGame(code);
+        });
+        
+        onHostEvent('kick-player', ({ code, username, lobby }, data) => {
+            const { target } = data;
+            if (target === username || !lobby.participants.some(p => p.username === target)) return;
+            
+            removePlayer(code, target, false);
+        });
+        
+        onHostEvent('ban-player', ({ code, username, lobby }, data) => {
+            const { target } = data;
+            if (target === username || !lobby.participants.some(p => p.username === target)) return;
+            
+            removePlayer(code, target, true);
+        });
+        
+        onHostEvent('transfer-host', ({ code, username, lobby }, data) => {
+            const { target } = data;
+            const newHost = lobby.participants.find(p => p.username === target);
+            if (!newHost || target === username) return;
+            
+            changeHost(code, target, 'transfer');
+        });
+        
+        // Pick who takes over first if the host leaves; a null target clears the pick
+        onHostEvent('set-co-host', ({ code, username, lobby }, data) => {
+            const target = data.target || null;
+            if (target === username || (target && !lobby.participants.some(p => p.username === target))) return;
+            
+            lobby.coHost = target;
+            persistLobby(code);
+            io.to(code).emit('co-host-changed', { coHost: target });
+            io.to(code).emit('lobby-updated', lobby);
+        });
+        
+        onHostEvent('pause-game', ({ code }) => {
+            engine.pauseGame(code);
+        });
+        
+        onHostEvent('resume-game', ({ code }) => {
+            engine.resumeGame(code);
+        });
+        
+        onHostEvent('skip-phase', ({ code }) => {
+            engine.skipPhase(code);
+        });
+        
+        socket.on('disconnect', () => {
+            log.info('User disconnected', { lobby: socket.lobbyCode, username: socket.username, socket: socket.id });
+            eventLimiter.reset(socket.id);
+            
+            if (forwardsToOwner(socket)) {
+                forwardSocketEvent(socket, 'disconnect');
+                return;
+            }
+            
+            const player = getSocketPlayer(socket);
+            if (!player) return;
+            
+            const { code, username, lobby, participant } = player;
+            const gameState = gameStates.get(code);
+            const othersConnected = lobby.participants.some(p => p !== participant && p.connected);
+            
+            // Mark as disconnected if game is active. Before the game a host with company
+            // is kept too, so a dropped connection doesn't cost them the lobby.
+            if ((gameState && gameState.phase !== 'waiting') || (username === lobby.host && othersConnected)) {
+                markAway(code, participant);
+            } else {
+                // Remove if game hasn't started
+                dropParticipant(lobby, participant);
+                sessions.revoke(code, participant.id);
+                
+                if (lobby.participants.length === 0 || username === lobby.host) {
+                    closeLobby(code);
+                } else {
+                    io.to(code).emit('lobby-updated', lobby);
+                    persistLobby(code);
+                }
+            }
+        });
+    }
+    
+    // The lobby browser gets the current list on connect and updates after that
+    lobbyBrowser.on('connection', (socket) => {
+        getListedLobbies().then(listed => {
+            socket.emit('lobbies-updated', { lobbies: listPublicLobbies(listed.lobbies, listed.gameStates) });
+        }).catch(error => {
+            log.error('Error listing public lobbies', { error: error.message });
+        });
+    });
+    
+    // Overlay handshake: auth is { code, key } with the key from /api/lobby/:code/overlay.
+    // In a cluster, overlays of lobbies run elsewhere start from the lobby's snapshot.
+    overlay.use(async (socket, next) => {
+        const { code, key } = socket.handshake.auth || {};
+        const known = lobbies.has(code) || (cluster && typeof code === 'string' && await storage.loadLobby(code).catch(() => null));
+        if (!known || !sessions.verifyViewerKey(code, key)) {
+            return next(new Error('Invalid viewer key'));
+        }
+        
+        socket.lobbyCode = code;
+        socket.snapshot = known === true ? null : known;
+        next();
     });
-}
-
-function startTimer(code, seconds, callback) {
-    const gameState = gameStates.get(code);
-    if (!gameState) return;
     
-    gameState.timer = seconds;
+    overlay.on('connection', (socket) => {
+        socket.join(socket.lobbyCode);
+        socket.emit('overlay-state', socket.snapshot
+            ? getOverlayState(socket.lobbyCode, socket.snapshot.lobby, socket.snapshot.gameState)
+            : getOverlayState(socket.lobbyCode));
+    });
     
-    // Clear any existing timer
-    if (gameState.timerInterval) {
-        clearInterval(gameState.timerInterval);
+    // Helper function to mark a player whose connection dropped mid-game as away. The room
+    // hears they are reconnecting and until when their place is kept.
+    function markAway(code, participant) {
+        const lobby = lobbies.get(code);
+        participant.connected = false;
+        const deadline = reconnection.disconnect(code, participant.id, participant.username);
+        persistLobby(code);
+        emitToLobby(code, 'player-reconnecting', { username: participant.username, deadline });
+        io.to(code).emit('lobby-updated', lobby);
+        
+        if (participant.username === lobby.host) {
+            scheduleHostMigration(code);
+        }
     }
     
-    gameState.timerInterval = setInterval(() => {
-        gameState.timer--;
-        io.to(code).emit('game-timer', { timeRemaining: gameState.timer });
+    // Helper function to take a participant out of a lobby, along with the co-host pick
+    function dropParticipant(lobby, participant) {
+        lobby.participants = lobby.participants.filter(p => p !== participant);
+        if (lobby.coHost === participant.username) {
+            lobby.coHost = null;
+        }
+    }
+    
+    // Helper function to hand the host role to another participant. The reason in host-changed
+    // is 'transfer' (the host's pick), 'left', 'disconnected' or 'absent' (never joined).
+    function changeHost(code, target, reason) {
+        const lobby = lobbies.get(code);
+        const previousHost = lobby.host;
+        clearHostTimer(code);
         
-        if (gameState.timer <= 0) {
-            clearInterval(gameState.timerInterval);
-            gameState.timerInterval = null;
-            callback();
+        lobby.host = target;
+        if (lobby.coHost === target) {
+            lobby.coHost = null;
         }
-    }, 1000);
+        lobby.participants.forEach(participant => {
+            participant.isHost = participant.username === target;
+        });
+        persistLobby(code);
+        
+        emitToLobby(code, 'host-changed', { host: target, previousHost, reason });
+        io.to(code).emit('lobby-updated', lobby);
+    }
+    
+    // Helper function to pick who takes over from a departed host: the co-host if connected,
+    // otherwise the player connected the longest. Spectators only when no player is left.
+    function pickNextHost(lobby) {
+        const candidates = lobby.participants
+            .filter(p => p.connected && p.username !== lobby.host)
+            .sort((a, b) => (a.connectedSince || 0) - (b.connectedSince || 0));
+        return candidates.find(p => p.username === lobby.coHost)
+            || candidates.find(p => !p.spectator)
+            || candidates[0]
+            || null;
+    }
+    
+    // Helper function to move the host role on. Returns false when nobody connected can take
+    // it; the next player to join starts another grace period.
+    function migrateHost(code, reason) {
+        const lobby = lobbies.get(code);
+        const next = lobby && pickNextHost(lobby);
+        if (!next) return false;
+        
+        log.info('Host role moved on', { lobby: code, from: lobby.host, to: next.username, reason });
+        changeHost(code, next.username, reason);
+        return true;
+    }
+    
+    function scheduleHostMigration(code) {
+        if (hostTimers.has(code)) return;
+        hostTimers.set(code, clock.setTimeout(() => {
+            hostTimers.delete(code);
+            migrateHost(code, 'disconnected');
+        }, hostGracePeriod));
+    }
+    
+    function clearHostTimer(code) {
+        if (hostTimers.has(code)) {
+            clock.clearTimeout(hostTimers.get(code));
+            hostTimers.delete(code);
+        }
+    }
+    
+    // Remove players whose grace period ran out; the room is told they left
+    function sweepDisconnectedPlayers() {
+        reconnection.expired().forEach(({ code, playerId, username }) => {
+            reconnection.forget(code, playerId);
+            sessions.revoke(code, playerId);
+            
+            const lobby = lobbies.get(code);
+            const participant = lobby && lobby.participants.find(p => p.id === playerId);
+            if (participant) {
+                dropParticipant(lobby, participant);
+                log.info('Player did not come back in time', { lobby: code, username });
+                if (lobby.participants.length === 0) {
+                    closeLobby(code);
+                    return;
+                }
+                emitToLobby(code, 'player-left', { username, reason: 'timeout' });
+                io.to(code).emit('lobby-updated', lobby);
+            }
+            persistLobby(code);
+        });
+    }
+    
+    // Checked often enough for short grace periods; the rate limiters are tidied up alongside
+    const sweepInterval = clock.setInterval(() => {
+        sweepDisconnectedPlayers();
+        [chatLimiter, apiLimiter, createLimiter, eventLimiter].forEach(limiter => limiter.prune());
+    }, Math.min(60000, reconnection.gracePeriod / 4));
+    
+    // Rehydrate a lobby from its snapshot. Players count as disconnected until their socket
+    // reconnects with its session token and picks the game up through request-sync.
+    function restoreLobby(code, record) {
+        const { lobby, gameState } = record;
+        
+        // Snapshots from before player ids use the display name as the id, like their tokens.
+        // Players who were already away keep their deadline.
+        reconnection.importLobby(code, (record.disconnectedPlayers || []).map(entry => ({
+            ...entry,
+            playerId: entry.playerId || entry.username
+        })));
+        lobby.participants.forEach(participant => {
+            participant.id = participant.id || participant.username;
+            participant.connected = false;
+            reconnection.disconnect(code, participant.id, participant.username);
+        });
+        
+        lobbies.set(code, lobby);
+        chatLogs.set(code, record.chat || []);
+        sessions.importLobby(code, record.sessions);
+        webhookDispatcher.importLobby(code, record.webhooks);
+        
+        if (gameState) {
+            gameStates.set(code, { ...gameState, timerInterval: null, transitionTimeout: null, pendingTransition: null });
+            engine.resumePhase(code);
+        }
+    }
+    
+    function restoreLobbies(savedLobbies) {
+        Object.entries(savedLobbies).forEach(([code, record]) => restoreLobby(code, record));
+        
+        if (lobbies.size > 0) {
+            log.info(`Restored ${lobbies.size} lobbies from ${storage.name} storage`);
+        }
+    }
+    
+    restoreLobbies(storedState.lobbies);
+    Object.values(storedState.tournaments || {}).forEach(tournaments.importTournament);
+    
+    // Renew the leases on this instance's lobbies, drop any another instance took over and
+    // adopt those whose owner stopped renewing (see lib/cluster.js)
+    let maintainingLeases = false;
+    async function maintainLeases() {
+        if (maintainingLeases) return;
+        maintainingLeases = true;
+        
+        try {
+            for (const code of [...lobbies.keys()]) {
+                await renewLease(code);
+            }
+            
+            for (const code of await storage.listLobbies()) {
+                if (!lobbies.has(code) && !(await cluster.ownerOf(code))) {
+                    await adoptLobby(code);
+                }
+            }
+        } catch (error) {
+            log.error('Error maintaining lobby leases', { error: error.message });
+        } finally {
+            maintainingLeases = false;
+        }
+    }
+    
+    // Helper function to renew the lease on one of this instance's lobbies. While the store
+    // can't be reached the lobby keeps running as long as its lease outlasts the next try;
+    // after that it is dropped before the lease expires, so it never runs on two instances.
+    async function renewLease(code) {
+        if (!leaseRenewals.has(code)) {
+            leaseRenewals.set(code, clock.now());
+        }
+        
+        let claimed;
+        try {
+            claimed = await cluster.claim(code);
+        } catch (error) {
+            const expiresAt = leaseRenewals.get(code) + cluster.leaseTtl;
+            if (clock.now() + cluster.leaseTtl / 3 >= expiresAt) {
+                log.error('Could not renew the lease in time, dropping the lobby', { lobby: code, error: error.message });
+                dropLobby(code);
+            }
+            return;
+        }
+        
+        if (!claimed) {
+            log.info('Lobby is now run by another instance', { lobby: code });
+            dropLobby(code);
+            return;
+        }
+        leaseRenewals.set(code, clock.now());
+    }
+    
+    async function adoptLobby(code) {
+        if (!(await cluster.claim(code))) return;
+        leaseRenewals.set(code, clock.now());
+        
+        const record = await storage.loadLobby(code);
+        if (!record) {
+            await cluster.release(code);
+            return;
+        }
+        if (lobbies.has(code)) return;
+        
+        restoreLobby(code, record);
+        log.info('Adopted lobby', { lobby: code });
+        
+        // Players whose socket is connected to a live instance stay connected
+        const lobby = lobbies.get(code);
+        const sockets = await io.in(code).timeout(2000).fetchSockets().catch(() => []);
+        if (lobbies.get(code) !== lobby) return;
+        
+        sockets.forEach(({ data }) => {
+            const participant = lobby.participants.find(p => p.id === data.playerId);
+            if (participant) {
+                participant.connected = true;
+                reconnection.forget(code, participant.id);
+            }
+        });
+        
+        persistLobby(code);
+        io.to(code).emit('lobby-updated', lobby);
+    }
+    
+    // Helper function to answer an HTTP request relayed by another instance by replaying it
+    // against this instance's own HTTP server
+    async function answerRelayedRequest({ method, url, authorization, contentType, body }) {
+        const headers = { [RELAYED_HEADER]: cluster.id };
+        if (authorization) {
+            headers.Authorization = authorization;
+        }
+        if (contentType) {
+            headers['Content-Type'] = contentType;
+        }
+        
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, { method, headers, body });
+        return {
+            status: response.status,
+            contentType: response.headers.get('content-type'),
+            disposition: response.headers.get('content-disposition'),
+            body: await response.text()
+        };
+    }
+    
+    let leaseInterval = null;
+    if (cluster) {
+        cluster.onMessage(message => {
+            if (message.type === 'lobbies-changed') {
+                updateLobbyList();
+            } else if (message.type === 'socket-event') {
+                handleForwardedSocketEvent(message);
+            } else if (message.type === 'tournament-result') {
+                recordTournamentResult(message.code, message.finalScores);
+            }
+        });
+        cluster.onRequest(payload => answerRelayedRequest(payload));
+        
+        leaseInterval = clock.setInterval(maintainLeases, cluster.leaseTtl / 3);
+        maintainLeases();
+        log.info(`Running as cluster instance ${cluster.id}`);
+    }
+    
+    // Discord bot (DISCORD_TOKEN); posts to channels of lobbies created with /debate create
+    const discordOptions = {
+        lobbies,
+        gameStates,
+        gameEvents,
+        createLobby,
+        persist: persistLobby,
+        baseUrl: env.PUBLIC_URL || `http://localhost:${env.PORT || 3000}`,
+        guildId: env.DISCORD_GUILD_ID
+    };
+    let discordBot = null;
+    if (options.discordClient) {
+        discordBot = createDiscordBot({ client: options.discordClient, ...discordOptions });
+    } else if (env.DISCORD_TOKEN) {
+        discordBot = startDiscordBot({ token: env.DISCORD_TOKEN, ...discordOptions });
+    }
+    
+    // Serve the main HTML file
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'index.html'));
+    });
+    
+    // Read-only stream overlay (transparent background, for OBS browser sources)
+    app.get('/overlay/:code', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'overlay.html'));
+    });
+    
+    // Admin dashboard; the page asks for ADMIN_TOKEN and uses the admin API
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    });
+    
+    // Snapshot every lobby and write the snapshots out now, e.g. before the process exits
+    function persistAll() {
+        lobbies.forEach((lobby, code) => persistLobby(code));
+        storage.flush();
+    }
+    
+    // Stop every timer and watcher and close the sockets and HTTP server. In a cluster the
+    // lobbies are released first so other instances adopt them without waiting for the leases.
+    function close(callback) {
+        clock.clearInterval(sweepInterval);
+        clock.clearInterval(leaseInterval);
+        clock.clearTimeout(lobbyListTimeout);
+        hostTimers.forEach(timer => clock.clearTimeout(timer));
+        webhookDispatcher.close();
+        if (discordBot) {
+            discordBot.close();
+        }
+        gameStates.forEach((gameState, code) => engine.stopTimers(code));
+        topicLibrary.close();
+        
+        const released = cluster ? cluster.close([...lobbies.keys()]) : Promise.resolve();
+        released.then(() => io.close((error) => {
+            // A store passed in through options belongs to the caller
+            if (sharedStore && !options.sharedStore) {
+                sharedStore.close();
+            }
+            if (callback) {
+                callback(error);
+            }
+        }));
+    }
+    
+    return {
+        app,
+        server,
+        io,
+        engine,
+        lobbies,
+        gameStates,
+        gameEvents,
+        tournaments,
+        metrics,
+        cluster,
+        reconnection,
+        sessions,
+        sweepDisconnectedPlayers,
+        persistAll,
+        close
+    };
 }
 
-// Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+if (require.main === module) {
+    const { server, persistAll, close } = createGameServer();
+    
+    // Snapshot every lobby before the process exits (deploys send SIGTERM); in a cluster
+    // closing also hands this instance's lobbies to the others
+    function shutdown() {
+        persistAll();
+        close(() => process.exit(0));
+        setTimeout(() => process.exit(0), 5000).unref();
+    }
+    
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+    
+    const PORT = process.env.PORT || 3000;
+    server.listen(PORT, () => {
+        defaultLogger.info(`Server running on port ${server.address().port}`);
+        defaultLogger.info('Add topic packs as .txt files in the topics directory (one topic per line)');
+    });
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log('Make sure to create a topics.txt file with debate topics (one per line)');
-});
+module.exports = {
+    createGameServer
+};
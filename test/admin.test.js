@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { createFakeClock, startTestServer, once, FAST_SETTINGS } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+async function scrape(server, token = ADMIN_TOKEN) {
+    const response = await fetch(`${server.url}/metrics`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+}
+
+// The value of one sample line, e.g. metric(text, 'debate_lobbies_active')
+function metric(text, sample) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+    return line ? Number(line.slice(sample.length + 1)) : undefined;
+}
+
+test('log lines are JSON with the lobby and its phase', () => {
+    const lines = [];
+    const log = createLogger({
+        clock: createFakeClock(0),
+        phaseOf: code => (code === 'ABC123' ? 'solo' : null),
+        write: (line, level) => lines.push({ line, level })
+    });
+
+    log.info('Player reconnected', { lobby: 'ABC123', username: 'alice' });
+    log.error('Lost connection', { error: 'timeout' });
+
+    assert.deepStrictEqual(JSON.parse(lines[0].line), {
+        time: '1970-01-01T00:00:00.000Z',
+        level: 'info',
+        lobby: 'ABC123',
+        phase: 'solo',
+        msg: 'Player reconnected',
+        username: 'alice'
+    });
+    assert.deepStrictEqual(JSON.parse(lines[1].line), {
+        time: '1970-01-01T00:00:00.000Z',
+        level: 'error',
+        lobby: null,
+        phase: null,
+        msg: 'Lost connection',
+        error: 'timeout'
+    });
+    assert.strictEqual(lines[1].level, 'error');
+});
+
+test('metrics render counters and labelled gauges in the Prometheus format', () => {
+    const metrics = createMetrics();
+    metrics.increment('rounds_played_total');
+    metrics.increment('rounds_played_total');
+    assert.throws(() => metrics.increment('rounds_total'), /Unknown counter/);
+
+    const text = metrics.render([
+        { name: 'lobbies_by_phase', help: 'By phase', samples: [{ labels: { phase: 'say "hi"' }, value: 3 }] }
+    ]);
+    assert.match(text, /# TYPE debate_rounds_played_total counter\ndebate_rounds_played_total 2\n/);
+    assert.match(text, /# TYPE debate_lobbies_by_phase gauge\ndebate_lobbies_by_phase\{phase="say \\"hi\\""\} 3\n/);
+});
+
+test('the admin API lists lobbies, force-closes them and serves metrics', async (t) => {
+    const lines = [];
+    const server = await startTestServer({
+        env: { SESSION_SECRET: 'test-secret', ADMIN_TOKEN },
+        writeLog: line => lines.push(JSON.parse(line))
+    });
+    t.after(() => server.close());
+    const admin = (method, route) => server.request(method, route, undefined, ADMIN_TOKEN);
+
+    assert.strictEqual((await server.request('GET', '/api/admin/lobbies')).status, 401);
+    assert.strictEqual((await scrape(server, 'wrong')).status, 401);
+
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice', settings: { ...FAST_SETTINGS, maxRounds: 2 } });
+    const { code } = created.body;
+    const joined = await server.request('POST', '/api/lobby/join', { code, username: 'bob' });
+    const idle = await server.request('POST', '/api/lobby/create', { username: 'carol' });
+
+    const alice = await server.connect(created.body.token);
+    let bob = await server.connect(joined.body.token);
+
+    // Nobody votes, so the first round is skipped
+    server.engine.startGame(code);
+    server.clock.advance(2000);
+    server.engine.skipPhase(code);
+    server.clock.advance(FAST_SETTINGS.voteResultsTime * 1000);
+
+    // bob drops out and comes back
+    bob.disconnect();
+    await once(alice, 'lobby-updated');
+    bob = await server.connect(joined.body.token);
+
+    const listed = await admin('GET', '/api/admin/lobbies');
+    assert.strictEqual(listed.status, 200);
+    const lobby = listed.body.lobbies.find(entry => entry.code === code);
+    assert.deepStrictEqual(
+        { phase: lobby.phase, round: lobby.round, maxRounds: lobby.maxRounds, players: lobby.players, connected: lobby.connected },
+        { phase: 'round-skipped', round: 1, maxRounds: 2, players: 2, connected: 2 }
+    );
+    assert.strictEqual(listed.body.lobbies.find(entry => entry.code === idle.body.code).phase, null);
+
+    const scraped = await scrape(server);
+    assert.strictEqual(scraped.status, 200);
+    assert.match(scraped.type, /^text\/plain/);
+    assert.strictEqual(metric(scraped.text, 'debate_lobbies_active'), 2);
+    assert.strictEqual(metric(scraped.text, 'debate_lobbies_created_total'), 2);
+    assert.strictEqual(metric(scraped.text, 'debate_sockets_connected{kind="player"}'), 2);
+    assert.strictEqual(metric(scraped.text, 'debate_lobbies_by_phase{phase="round-skipped"}'), 1);
+    assert.strictEqual(metric(scraped.text, 'debate_rounds_played_total'), 0);
+    assert.strictEqual(metric(scraped.text, 'debate_rounds_skipped_total'), 1);
+    assert.strictEqual(metric(scraped.text, 'debate_rounds_skipped_ratio'), 1);
+    assert.strictEqual(metric(scraped.text, 'debate_reconnects_total'), 1);
+
+    // Every line names the lobby it's about and that lobby's phase at the time
+    const reconnected = lines.find(line => line.msg === 'Player reconnected');
+    assert.deepStrictEqual([reconnected.lobby, reconnected.phase, reconnected.username], [code, 'round-skipped', 'bob']);
+    lines.forEach(line => {
+        assert.ok('lobby' in line && 'phase' in line, `untagged log line: ${line.msg}`);
+    });
+
+    const closed = once(bob, 'lobby-closed');
+    assert.strictEqual((await admin('DELETE', `/api/admin/lobbies/${code}`)).status, 200);
+    await closed;
+    assert.strictEqual(server.lobbies.has(code), false);
+    assert.strictEqual((await admin('DELETE', `/api/admin/lobbies/${code}`)).status, 404);
+    assert.strictEqual(metric((await scrape(server)).text, 'debate_lobbies_force_closed_total'), 1);
+});
+
+test('the admin dashboard and metrics are off without ADMIN_TOKEN', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    assert.strictEqual((await server.request('GET', '/api/admin/lobbies', undefined, 'anything')).status, 404);
+    assert.strictEqual((await scrape(server, 'anything')).status, 404);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBlocklist, parseBlocklist } = require('../lib/blocklist');
+
+test('the blocklist matches whole words, prefixes and look-alike spellings', () => {
+    const blocklist = createBlocklist(['darn', 'heck*', 'fiddle sticks']);
+
+    assert.strictEqual(blocklist.match('Well, DARN it'), 'darn');
+    assert.strictEqual(blocklist.match('That was d4rn good'), 'darn');
+    assert.strictEqual(blocklist.match('Darnell should be a name'), null);
+    assert.strictEqual(blocklist.match('What the heckity heck'), 'heck*');
+    assert.strictEqual(blocklist.match('Check the schedule'), null);
+    assert.strictEqual(blocklist.match('Oh fiddle-sticks!'), 'fiddle sticks');
+    assert.strictEqual(blocklist.match('Fiddle music is great'), null);
+});
+
+test('blocklist files have one entry per line with # comments', () => {
+    assert.deepStrictEqual(parseBlocklist('# house rules\nDarn\n\n  heck*  \n'), ['darn', 'heck*']);
+});
@@ -0,0 +1,326 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io: connectSocket } = require('socket.io-client');
+const { startTestServer, createFakeClock, once, waitFor, FAST_SETTINGS } = require('./helpers');
+const { createMemorySharedStore, createRemoteSharedStore, serveSharedStore } = require('../lib/sharedstore');
+
+const LEASE_TTL = 3000;
+
+// One instance of a cluster sharing the given store; env adds to its environment
+async function startInstance(t, store, clock, env = {}) {
+    const server = await startTestServer({
+        sharedStore: store,
+        clock,
+        env: { SESSION_SECRET: 'test-secret', CLUSTER_LEASE_TTL: String(LEASE_TTL), ...env }
+    });
+    t.after(() => server.close());
+    return server;
+}
+
+// Start a Node process and resolve with the port it reports listening on
+function spawnProcess(t, script, env, pattern) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', script)], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    t.after(() => child.kill());
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(pattern);
+            if (match) {
+                resolve({ child, port: Number(match[1]) });
+            }
+        });
+        child.on('exit', code => reject(new Error(`${script} exited with code ${code}`)));
+    });
+}
+
+test('a lease has one holder until it expires or is released', async () => {
+    const clock = createFakeClock(0);
+    const store = createMemorySharedStore({ clock });
+
+    assert.strictEqual(await store.acquire('owner:ABC', 'a', 1000), true);
+    assert.strictEqual(await store.acquire('owner:ABC', 'b', 1000), false);
+    await store.release('owner:ABC', 'b');
+    assert.strictEqual(await store.holder('owner:ABC'), 'a');
+
+    clock.advance(1000);
+    assert.strictEqual(await store.holder('owner:ABC'), null);
+    assert.strictEqual(await store.acquire('owner:ABC', 'b', 1000), true);
+
+    await store.release('owner:ABC', 'b');
+    assert.strictEqual(await store.holder('owner:ABC'), null);
+});
+
+test('the store process listens on localhost and only serves clients with its secret', async (t) => {
+    assert.throws(() => serveSharedStore({ port: 0 }), /secret/);
+
+    const server = serveSharedStore({ port: 0, secret: 'store-secret' });
+    await once(server, 'listening');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    assert.strictEqual(server.address().address, '127.0.0.1');
+    const url = `tcp://127.0.0.1:${server.address().port}`;
+
+    const intruder = createRemoteSharedStore(url, { secret: 'guess' });
+    await assert.rejects(intruder.set('key', 'value'), /Not authorized|closed/);
+    await intruder.close();
+
+    const client = createRemoteSharedStore(url, { secret: 'store-secret' });
+    await client.set('key', 'value');
+    assert.strictEqual(await client.get('key'), 'value');
+    await client.close();
+});
+
+test('players on different instances play in the same lobby', async (t) => {
+    const store = createMemorySharedStore();
+    const a = await startInstance(t, store);
+    const b = await startInstance(t, store);
+
+    const created = await a.request('POST', '/api/lobby/create', { username: 'alice', settings: FAST_SETTINGS, listing: { public: true } });
+    const { code } = created.body;
+
+    // b doesn't run the lobby: the join is answered by a, and the public list covers both
+    const joined = await b.request('POST', '/api/lobby/join', { code, username: 'bob' });
+    assert.strictEqual(joined.status, 200);
+    assert.strictEqual(b.lobbies.has(code), false);
+    assert.deepStrictEqual(a.lobbies.get(code).participants.map(p => p.username), ['alice', 'bob']);
+
+    const listed = await b.request('GET', '/api/lobbies');
+    assert.deepStrictEqual(listed.body.lobbies.map(lobby => lobby.code), [code]);
+
+    const alice = await a.connect(created.body.token);
+    const bob = await b.connect(joined.body.token);
+
+    const started = once(bob, 'game-started');
+    alice.emit('start-game');
+    await started;
+    a.clock.advance(2000);
+
+    // bob's vote travels from b to a; the results come back through the room
+    const results = once(bob, 'vote-results');
+    bob.emit('cast-vote', { vote: 'disagree' });
+    alice.emit('cast-vote', { vote: 'agree' });
+    await waitFor(() => Object.keys(a.gameStates.get(code).votes).length === 2);
+    a.clock.advance(1000);
+    assert.deepStrictEqual(await results, { agree: 1, disagree: 1, abstain: 0 });
+
+    const kicked = once(bob, 'kicked');
+    const disconnected = once(bob, 'disconnect');
+    alice.emit('kick-player', { target: 'bob' });
+    assert.deepStrictEqual(await kicked, { banned: false });
+    await disconnected;
+});
+
+test('another instance adopts a lobby once its owner stops renewing the lease', async (t) => {
+    const clock = createFakeClock(Date.now());
+    const store = createMemorySharedStore({ clock });
+    // a keeps its own clock, which never moves: it hangs as far as the cluster can tell
+    const a = await startInstance(t, store);
+    const b = await startInstance(t, store, clock);
+
+    const created = await a.request('POST', '/api/lobby/create', { username: 'alice', settings: FAST_SETTINGS });
+    const { code } = created.body;
+    const joined = await b.request('POST', '/api/lobby/join', { code, username: 'bob' });
+
+    // Moving a's clock also renews its lease; connecting bob gives that time to finish
+    a.engine.startGame(code);
+    a.clock.advance(2000);
+    const topic = a.gameStates.get(code).currentTopic;
+    const bob = await b.connect(joined.body.token);
+
+    clock.advance(LEASE_TTL);
+    await waitFor(() => b.lobbies.has(code));
+    assert.strictEqual(await store.holder(`owner:${code}`), b.cluster.id);
+
+    // bob's socket never dropped, so bob still counts as connected
+    await waitFor(() => b.lobbies.get(code).participants.find(p => p.username === 'bob').connected);
+    assert.strictEqual(b.lobbies.get(code).participants.find(p => p.username === 'alice').connected, false);
+
+    const synced = once(bob, 'sync-game-state');
+    bob.emit('request-sync');
+    const { gameState } = await synced;
+    assert.strictEqual(gameState.phase, 'voting');
+    assert.strictEqual(gameState.currentTopic, topic);
+
+    // b runs the phase timers now
+    clock.advance(FAST_SETTINGS.votingTime * 1000);
+    assert.notStrictEqual(b.gameStates.get(code).phase, 'voting');
+});
+
+test('a match lobby adopted by another instance sends its result to the tournament', async (t) => {
+    const clock = createFakeClock(Date.now());
+    const store = createMemorySharedStore({ clock });
+    // a keeps the tournament; its clock never moves, so b adopts the match lobby
+    const a = await startInstance(t, store, undefined, { ADMIN_TOKEN: 'admin-token' });
+    const b = await startInstance(t, store, clock);
+    const admin = (method, route, body) => a.request(method, route, body, 'admin-token');
+
+    const created = await admin('POST', '/api/admin/tournaments', {
+        name: 'Cup',
+        teams: [{ name: 'Owls', players: ['alice', 'bob'] }, { name: 'Foxes', players: ['carol', 'dave'] }],
+        settings: { ...FAST_SETTINGS, maxRounds: 1 }
+    });
+    const { id } = created.body.tournament;
+    const advanced = await admin('POST', `/api/admin/tournaments/${id}/advance`);
+    const code = advanced.body.tournament.rounds[0].matches[0].lobbyCode;
+
+    clock.advance(LEASE_TTL);
+    await waitFor(() => b.lobbies.has(code));
+
+    for (const username of ['alice', 'bob', 'carol', 'dave']) {
+        await b.request('POST', '/api/lobby/join', { code, username });
+    }
+    b.engine.startGame(code);
+    Object.assign(b.gameStates.get(code).scores, { alice: 1, carol: 3 });
+    b.clock.advance(2000);
+    b.engine.skipPhase(code);
+    b.engine.skipPhase(code);
+    b.engine.skipPhase(code);
+    assert.strictEqual(b.gameStates.get(code).phase, 'game-ended');
+
+    await waitFor(() => a.tournaments.get(id).status === 'finished');
+    assert.strictEqual(a.tournaments.get(id).champion, 'Foxes');
+});
+
+test('an instance drops its lobbies when it can\'t renew their leases in time', async (t) => {
+    const clock = createFakeClock(Date.now());
+    const store = createMemorySharedStore({ clock });
+    let reachable = true;
+    let failedClaims = 0;
+    const flakyStore = {
+        ...store,
+        acquire: (...args) => {
+            if (reachable) return store.acquire(...args);
+            failedClaims += 1;
+            return Promise.reject(new Error('Shared store connection closed'));
+        }
+    };
+    const a = await startInstance(t, flakyStore, clock);
+
+    const created = await a.request('POST', '/api/lobby/create', { username: 'alice' });
+    const { code } = created.body;
+    reachable = false;
+
+    // One missed renewal leaves time for another try
+    clock.advance(LEASE_TTL / 3);
+    await waitFor(() => failedClaims === 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(a.lobbies.has(code));
+
+    // The next miss would let the lease run out: the lobby goes while the lease is still a's
+    clock.advance(LEASE_TTL / 3);
+    await waitFor(() => !a.lobbies.has(code));
+    assert.strictEqual(await store.holder(`owner:${code}`), a.cluster.id);
+});
+
+test('a remote store client reconnects and subscribes again after the store restarts', async (t) => {
+    const connections = new Set();
+    async function serve(port) {
+        const server = serveSharedStore({ port, secret: 'store-secret' });
+        server.on('connection', socket => connections.add(socket));
+        await once(server, 'listening');
+        return server;
+    }
+    function stop(server) {
+        const closed = new Promise(resolve => server.close(resolve));
+        connections.forEach(socket => socket.destroy());
+        connections.clear();
+        return closed;
+    }
+
+    const first = await serve(0);
+    const { port } = first.address();
+    const client = createRemoteSharedStore(`tcp://127.0.0.1:${port}`, { secret: 'store-secret' });
+    const received = [];
+    client.subscribe('news', message => received.push(message));
+    await client.set('key', 'value');
+
+    await stop(first);
+    await assert.rejects(client.get('key'));
+
+    const second = await serve(port);
+    t.after(() => stop(second));
+    let reconnected = false;
+    for (let i = 0; i < 100 && !reconnected; i++) {
+        reconnected = await client.get('key').then(() => true, () => false);
+        if (!reconnected) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+    assert.ok(reconnected, 'the client never reconnected');
+
+    await client.publish('news', 'back');
+    await waitFor(() => received.length === 1);
+    assert.deepStrictEqual(received, ['back']);
+    await client.close();
+});
+
+test('separate processes share lobbies through a store process', async (t) => {
+    const storeProcess = await spawnProcess(t, 'lib/sharedstore.js', { STORE_PORT: '0', SHARED_STORE_SECRET: 'store-secret' }, /listening on port (\d+)/);
+    const env = {
+        PORT: '0',
+        SHARED_STORE_URL: `tcp://127.0.0.1:${storeProcess.port}`,
+        SHARED_STORE_SECRET: 'store-secret',
+        SESSION_SECRET: 'test-secret',
+        CLUSTER_LEASE_TTL: '600'
+    };
+    const first = await spawnProcess(t, 'server.js', env, /Server running on port (\d+)/);
+    const second = await spawnProcess(t, 'server.js', env, /Server running on port (\d+)/);
+    const firstUrl = `http://127.0.0.1:${first.port}`;
+    const secondUrl = `http://127.0.0.1:${second.port}`;
+
+    async function post(url, route, body) {
+        const response = await fetch(url + route, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function connect(url, token) {
+        const socket = connectSocket(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+        t.after(() => socket.close());
+        return socket;
+    }
+
+    const created = await post(firstUrl, '/api/lobby/create', { username: 'alice' });
+    const { code } = created.body;
+    const joined = await post(secondUrl, '/api/lobby/join', { code, username: 'bob' });
+    assert.strictEqual(joined.status, 200);
+
+    const alice = connect(firstUrl, created.body.token);
+    const bob = connect(secondUrl, joined.body.token);
+    await Promise.all([once(alice, 'connect'), once(bob, 'connect')]);
+
+    const aliceJoined = once(alice, 'chat-history');
+    alice.emit('join-lobby');
+    await aliceJoined;
+    const bobJoined = once(bob, 'chat-history');
+    bob.emit('join-lobby');
+    await bobJoined;
+
+    const started = once(bob, 'game-started');
+    alice.emit('start-game');
+    await started;
+
+    // The first process dies; the second adopts the running game
+    first.child.kill('SIGKILL');
+    let synced = null;
+    bob.once('sync-game-state', data => {
+        synced = data;
+    });
+    const deadline = Date.now() + 8000;
+    while (!synced && Date.now() < deadline) {
+        bob.emit('request-sync');
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    assert.ok(synced, 'the second process never answered for the lobby');
+    assert.strictEqual(synced.lobby.code, code);
+    assert.ok(['waiting', 'voting'].includes(synced.gameState.phase));
+});
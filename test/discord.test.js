@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { startTestServer, waitFor } = require('./helpers');
+const { COMMANDS } = require('../lib/discord');
+
+// Stands in for the discord.js client: records registered commands and channel posts
+function createMockGateway() {
+    const client = new EventEmitter();
+    client.registered = [];
+    client.posts = [];
+    client.application = {
+        commands: {
+            set: async (commands, guildId) => {
+                client.registered.push({ commands, guildId });
+                return commands;
+            }
+        }
+    };
+    client.channels = {
+        fetch: async channelId => ({
+            send: async content => client.posts.push({ channelId, content })
+        })
+    };
+    client.destroy = async () => {};
+    return client;
+}
+
+// A /debate slash command interaction as the gateway would deliver it
+function slashCommand(subcommand, values = {}) {
+    const interaction = {
+        commandName: 'debate',
+        channelId: 'channel-1',
+        guildId: 'guild-1',
+        user: { username: 'alice_discord' },
+        member: { displayName: 'alice' },
+        replies: [],
+        isChatInputCommand: () => true,
+        options: {
+            getSubcommand: () => subcommand,
+            getString: name => values[name] === undefined ? null : values[name],
+            getBoolean: name => values[name] === undefined ? null : values[name]
+        },
+        reply: async response => interaction.replies.push(response),
+        followUp: async response => interaction.replies.push(response)
+    };
+    return interaction;
+}
+
+async function startBotServer(t) {
+    const gateway = createMockGateway();
+    const server = await startTestServer({
+        env: { SESSION_SECRET: 'test-secret', PUBLIC_URL: 'https://debate.example', DISCORD_GUILD_ID: 'guild-1' },
+        discordClient: gateway
+    });
+    t.after(() => server.close());
+    return { server, gateway };
+}
+
+async function runCommand(gateway, interaction) {
+    gateway.emit('interactionCreate', interaction);
+    await waitFor(() => interaction.replies.length > 0);
+    return interaction.replies;
+}
+
+test('slash commands are registered when the bot is ready', async (t) => {
+    const { gateway } = await startBotServer(t);
+
+    gateway.emit('clientReady', gateway);
+    await waitFor(() => gateway.registered.length > 0);
+
+    assert.deepStrictEqual(gateway.registered, [{ commands: COMMANDS, guildId: 'guild-1' }]);
+});
+
+test('/debate create opens a lobby for the caller and posts the join links', async (t) => {
+    const { server, gateway } = await startBotServer(t);
+
+    const interaction = slashCommand('create', { preset: 'quick', pack: 'tech', public: true });
+    const replies = await runCommand(gateway, interaction);
+    await waitFor(() => replies.length === 2);
+
+    const [lobby] = server.lobbies.values();
+    assert.strictEqual(lobby.host, 'alice');
+    assert.strictEqual(lobby.settings.preset, 'quick');
+    assert.deepStrictEqual(lobby.topics.packs, ['tech']);
+    assert.strictEqual(lobby.listing.public, true);
+    assert.deepStrictEqual(lobby.discord, { channelId: 'channel-1', guildId: 'guild-1' });
+
+    assert.match(replies[0], new RegExp(`https://debate.example/\\?code=${lobby.code}`));
+
+    // The host link is only shown to the caller and carries a working session token
+    assert.strictEqual(replies[1].flags, 64);
+    const token = decodeURIComponent(replies[1].content.match(/token=([^ ]+)/)[1]);
+    assert.deepStrictEqual(server.sessions.verify(token), { code: lobby.code, playerId: lobby.participants[0].id, username: 'alice' });
+});
+
+test('/debate create turns Discord names into valid usernames', async (t) => {
+    const { server, gateway } = await startBotServer(t);
+
+    async function hostFor(displayName, username = 'alice_discord') {
+        const interaction = slashCommand('create');
+        interaction.member.displayName = displayName;
+        interaction.user.username = username;
+        const replies = await runCommand(gateway, interaction);
+        assert.match(replies[0], /opened lobby/);
+        return [...server.lobbies.values()].pop().host;
+    }
+
+    assert.strictEqual(await hostFor('🎮 Gamer'), 'Gamer');
+    assert.strictEqual(await hostFor('_name_'), 'name');
+    assert.strictEqual(await hostFor('A very long display name indeed'), 'A very long display');
+    assert.strictEqual(await hostFor('🎮🎮'), 'alice_discord');
+    assert.strictEqual(await hostFor('🎮', '__'), 'Discord host');
+});
+
+test('/debate create reports validation errors to the caller only', async (t) => {
+    const { server, gateway } = await startBotServer(t);
+
+    const replies = await runCommand(gateway, slashCommand('create', { pack: 'nope' }));
+
+    assert.deepStrictEqual(replies, [{ content: 'Could not create a lobby: Unknown topic pack "nope"', flags: 64 }]);
+    assert.strictEqual(server.lobbies.size, 0);
+});
+
+test('topics, round results and the final scoreboard are posted to the channel', async (t) => {
+    const { server, gateway } = await startBotServer(t);
+
+    await runCommand(gateway, slashCommand('create', { preset: 'quick' }));
+    const [lobby] = server.lobbies.values();
+    lobby.settings.maxRounds = 1;
+    await server.request('POST', '/api/lobby/join', { code: lobby.code, username: 'bob' });
+
+    const state = () => server.gameStates.get(lobby.code);
+    function advanceUntil(phase) {
+        for (let i = 0; i < 1000 && state().phase !== phase; i++) {
+            server.clock.advance(1000);
+        }
+        assert.strictEqual(state().phase, phase);
+    }
+
+    server.engine.startGame(lobby.code);
+    server.clock.advance(2000);
+    server.engine.castVote(lobby.code, 'alice', 'agree');
+    server.engine.castVote(lobby.code, 'bob', 'disagree');
+
+    advanceUntil('revoting');
+    server.engine.castRevote(lobby.code, 'alice', 'disagree');
+    server.engine.castRevote(lobby.code, 'bob', 'disagree');
+    advanceUntil('game-ended');
+
+    await waitFor(() => gateway.posts.length === 3);
+    assert.ok(gateway.posts.every(post => post.channelId === 'channel-1'));
+
+    const [topic, results, ended] = gateway.posts.map(post => post.content);
+    assert.ok(topic.includes('Round 1/1') && topic.includes(state().history[0].topic));
+    assert.match(results, /👎 disagree wins the round/);
+    assert.match(results, /• bob \+1: Your side gained 1 vote/);
+    assert.match(ended, /Game over\*\* after 1 round\n1\. alice - 1 point\n2\. bob - 1 point\n🎤 Most persuasive speaker: bob/);
+});
+
+test('lobbies created on the website are not announced', async (t) => {
+    const { server, gateway } = await startBotServer(t);
+
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice' });
+    await server.request('POST', '/api/lobby/join', { code: created.body.code, username: 'bob' });
+    server.engine.startGame(created.body.code);
+    server.clock.advance(2000);
+
+    assert.strictEqual(server.gameStates.get(created.body.code).phase, 'voting');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(gateway.posts, []);
+});
@@ -0,0 +1,640 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGameEngine } = require('../lib/engine');
+const { PRESETS } = require('../lib/settings');
+const { createFakeClock, createSeededRandom, FAST_SETTINGS } = require('./helpers');
+
+const TOPICS = [
+    'Pineapple belongs on pizza',
+    'Cats are better than dogs',
+    'Remote work beats the office',
+    'Tabs are better than spaces',
+    'Breakfast is the most important meal'
+];
+
+// An engine over a single lobby, recording every event it emits.
+// `bots` decides each player's votes when a voting or revoting phase starts.
+function setup({ players = ['alice', 'bob', 'carol'], settings = {}, bots = {} } = {}) {
+    const clock = createFakeClock();
+    const lobbies = new Map();
+    const gameStates = new Map();
+    const events = [];
+
+    const lobby = {
+        code: 'TEST01',
+        host: players[0],
+        participants: players.map((username, index) => ({ username, isHost: index === 0, connected: true })),
+        settings: { ...FAST_SETTINGS, scoring: 'team', ...settings },
+        bannedUsernames: []
+    };
+    lobbies.set(lobby.code, lobby);
+
+    let engine = null;
+    function emit(code, event, data) {
+        events.push({ event, data });
+        if (event !== 'game-phase-update') return;
+
+        const round = gameStates.get(code).roundNumber;
+        if (data.phase === 'voting' && bots.vote) {
+            Object.entries(bots.vote(round)).forEach(([username, vote]) => engine.castVote(code, username, vote));
+        }
+        if (data.phase === 'revoting' && bots.revote) {
+            Object.entries(bots.revote(round)).forEach(([username, vote]) => engine.castRevote(code, username, vote));
+        }
+    }
+
+    engine = createGameEngine({
+        lobbies,
+        gameStates,
+        emit,
+        persist: () => {},
+        getTopics: () => TOPICS,
+        clock,
+        random: createSeededRandom(7)
+    });
+
+    return {
+        engine,
+        clock,
+        lobby,
+        events,
+        state: () => gameStates.get(lobby.code),
+        eventsNamed: name => events.filter(entry => entry.event === name).map(entry => entry.data)
+    };
+}
+
+// Long enough for any phase chain in these tests to finish
+const A_LONG_TIME = 60 * 60 * 1000;
+
+test('a full game runs to the end in simulated time', () => {
+    const game = setup({
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'disagree', carol: 'disagree' })
+        }
+    });
+
+    const started = Date.now();
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    assert.ok(Date.now() - started < 1000, 'game should not wait on real time');
+    assert.strictEqual(game.state().phase, 'game-ended');
+    assert.strictEqual(game.state().history.length, 3);
+    assert.strictEqual(game.clock.pending(), 0);
+
+    // Carol switches to disagree every round, a net swing of 1 for disagree
+    assert.deepStrictEqual(game.state().scores, { alice: 0, bob: 3, carol: 3 });
+
+    const ended = game.eventsNamed('game-ended')[0];
+    assert.strictEqual(ended.roundsPlayed, 3);
+    assert.deepStrictEqual(ended.finalScores, game.state().scores);
+});
+
+test('starting a game that is already going changes nothing', () => {
+    const game = setup();
+
+    assert.strictEqual(game.engine.startGame('TEST01'), true);
+    const state = game.state();
+    game.clock.advance(2000);
+    assert.strictEqual(game.engine.startGame('TEST01'), false);
+
+    assert.strictEqual(game.state(), state);
+    assert.strictEqual(game.state().phase, 'voting');
+    assert.strictEqual(game.eventsNamed('game-started').length, 1);
+    game.clock.advance(A_LONG_TIME);
+    assert.strictEqual(game.eventsNamed('game-ended').length, 1);
+    assert.strictEqual(game.clock.pending(), 0);
+});
+
+test('all votes in moves on after one second instead of waiting for the timer', () => {
+    const game = setup({ bots: { vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }) } });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000);
+    assert.strictEqual(game.state().phase, 'voting');
+
+    game.clock.advance(1000);
+    assert.strictEqual(game.state().phase, 'vote-results');
+    assert.deepStrictEqual(game.eventsNamed('vote-results')[0], { agree: 2, disagree: 1, abstain: 0 });
+});
+
+test('a unanimous vote skips the round without a solo speaker', () => {
+    const game = setup({ settings: { maxRounds: 1 }, bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'abstain' }) } });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    assert.strictEqual(game.eventsNamed('round-skipped').length, 1);
+    assert.strictEqual(game.eventsNamed('speaker-selected').length, 0);
+    assert.strictEqual(game.state().history[0].skipped, true);
+    assert.strictEqual(game.state().phase, 'game-ended');
+});
+
+test('a skipped round shows its votes for skippedResultsTime, 3 seconds in the standard preset', () => {
+    assert.strictEqual(PRESETS.standard.skippedResultsTime, 3);
+
+    const game = setup({ settings: { skippedResultsTime: 3, voteResultsTime: 5 }, bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'agree' }) } });
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 1000);
+    assert.strictEqual(game.eventsNamed('vote-results').length, 1);
+
+    game.clock.advance(2999);
+    assert.strictEqual(game.eventsNamed('round-skipped').length, 0);
+    game.clock.advance(1);
+    assert.strictEqual(game.eventsNamed('round-skipped').length, 1);
+});
+
+test('players who miss the final vote lose a point under team scoring', () => {
+    const game = setup({
+        settings: { maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'disagree' })
+        }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    // Carol's missing revote counts as abstain: agree loses a vote but disagree gains none
+    assert.deepStrictEqual(game.state().scores, { alice: 0, bob: 0, carol: -1 });
+    const results = game.eventsNamed('round-results')[0];
+    assert.deepStrictEqual(results.pointsBreakdown.carol, [{ points: -1, reason: 'Did not vote in the revote' }]);
+});
+
+test('a tie awards no points', () => {
+    const game = setup({
+        settings: { maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' })
+        }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    assert.deepStrictEqual(game.eventsNamed('round-results')[0].winningTeam, []);
+    assert.deepStrictEqual(game.state().scores, { alice: 0, bob: 0, carol: 0 });
+});
+
+test('disconnected players are not counted in the vote', () => {
+    const game = setup({ bots: { vote: () => ({ alice: 'agree', bob: 'disagree' }) } });
+    game.lobby.participants[2].connected = false;
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(3000);
+
+    assert.deepStrictEqual(game.eventsNamed('vote-results')[0], { agree: 1, disagree: 1, abstain: 0 });
+});
+
+test('votes before the first topic is picked and votes for no side are ignored', () => {
+    const game = setup();
+
+    game.engine.startGame('TEST01');
+    assert.strictEqual(game.state().phase, 'voting');
+    game.engine.castVote('TEST01', 'alice', 'agree');
+    assert.deepStrictEqual(game.state().votes, {});
+
+    game.clock.advance(2000);
+    game.engine.castVote('TEST01', 'alice', 'constructor');
+    game.engine.castVote('TEST01', 'bob', 'agree');
+    assert.deepStrictEqual(game.state().votes, { bob: 'agree' });
+});
+
+test('pausing freezes the timer and holds transitions until resume', () => {
+    const game = setup();
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 3000);
+    assert.strictEqual(game.state().timer, FAST_SETTINGS.votingTime - 3);
+
+    game.engine.pauseGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+    assert.strictEqual(game.state().phase, 'voting');
+    assert.strictEqual(game.state().timer, FAST_SETTINGS.votingTime - 3);
+
+    game.engine.resumeGame('TEST01');
+    game.clock.advance((FAST_SETTINGS.votingTime - 3) * 1000);
+    assert.notStrictEqual(game.state().phase, 'voting');
+});
+
+test('skipping a phase goes straight to the next one', () => {
+    const game = setup({ bots: { vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }) } });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+
+    game.engine.skipPhase('TEST01');
+    assert.strictEqual(game.state().phase, 'discussion');
+    assert.deepStrictEqual(game.eventsNamed('phase-skipped'), [{ phase: 'solo' }]);
+});
+
+test('skipping before the first topic is drawn does nothing', () => {
+    const game = setup();
+
+    game.engine.startGame('TEST01');
+    assert.strictEqual(game.engine.skipPhase('TEST01'), false);
+    assert.deepStrictEqual(game.eventsNamed('phase-skipped'), []);
+
+    game.clock.advance(2000);
+    assert.strictEqual(game.state().phase, 'voting');
+    assert.strictEqual(game.state().history.length, 0);
+    assert.ok(game.state().currentTopic);
+});
+
+test('the same random seed picks the same topics', () => {
+    const topicsFor = () => {
+        const game = setup({ bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'agree' }) } });
+        game.engine.startGame('TEST01');
+        game.clock.advance(A_LONG_TIME);
+        return game.eventsNamed('topic-selected').map(data => data.topic);
+    };
+
+    assert.deepStrictEqual(topicsFor(), topicsFor());
+});
+
+test('restarting resets scores and history', () => {
+    const game = setup({
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'disagree', carol: 'disagree' })
+        }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+    game.engine.restartGame('TEST01');
+
+    assert.strictEqual(game.state().roundNumber, 1);
+    assert.deepStrictEqual(game.state().history, []);
+    assert.deepStrictEqual(game.state().scores, { alice: 0, bob: 0, carol: 0 });
+});
+
+test('debate mode gives each side an opening and a rebuttal, each with its own timer', () => {
+    const game = setup({
+        players: ['alice', 'bob', 'carol', 'dave'],
+        settings: { soloFormat: 'debate', maxRounds: 1 },
+        bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'disagree', dave: 'disagree' }) }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+
+    game.clock.advance(FAST_SETTINGS.soloTime * 1000 * 2);
+    assert.strictEqual(game.eventsNamed('speaker-selected').length, 3);
+    assert.strictEqual(game.state().timer, FAST_SETTINGS.rebuttalTime);
+
+    game.clock.advance(FAST_SETTINGS.rebuttalTime * 1000 * 2);
+    assert.strictEqual(game.state().phase, 'discussion');
+
+    const turns = game.eventsNamed('speaker-selected');
+    assert.deepStrictEqual(turns.map(turn => [turn.turn.type, turn.position]), [
+        ['opening', 'agree'],
+        ['opening', 'disagree'],
+        ['rebuttal', 'agree'],
+        ['rebuttal', 'disagree']
+    ]);
+
+    // With two players per side, the rebuttal goes to the one who didn't open
+    assert.notStrictEqual(turns[2].speaker, turns[0].speaker);
+    assert.notStrictEqual(turns[3].speaker, turns[1].speaker);
+});
+
+test('debate rotation is tracked per side across rounds', () => {
+    const game = setup({
+        players: ['alice', 'bob', 'carol', 'dave'],
+        settings: { soloFormat: 'debate', maxRounds: 2 },
+        bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'agree', dave: 'disagree' }) }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    // Three agree players: the two who spoke in round one leave the third to open round two
+    const agreeTurns = game.eventsNamed('speaker-selected').filter(turn => turn.position === 'agree');
+    assert.strictEqual(agreeTurns.length, 4);
+    assert.strictEqual(new Set(agreeTurns.slice(0, 3).map(turn => turn.speaker)).size, 3);
+
+    // Dave is alone on his side, so he gives both disagree speeches
+    const disagreeSpeakers = game.eventsNamed('speaker-selected').filter(turn => turn.position === 'disagree').map(turn => turn.speaker);
+    assert.deepStrictEqual([...new Set(disagreeSpeakers)], ['dave']);
+});
+
+test('players who raise a hand are picked before the rotation', () => {
+    const game = setup({
+        players: ['alice', 'bob', 'carol', 'dave'],
+        settings: { soloFormat: 'debate', maxRounds: 1 },
+        bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'disagree', dave: 'disagree' }) }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000);
+    game.engine.raiseHand('TEST01', 'bob');
+    game.engine.raiseHand('TEST01', 'dave');
+    assert.deepStrictEqual(game.eventsNamed('speaker-queue-updated').pop(), { queue: ['bob', 'dave'] });
+
+    game.clock.advance(1000 + FAST_SETTINGS.voteResultsTime * 1000 + FAST_SETTINGS.soloTime * 1000);
+
+    const turns = game.eventsNamed('speaker-selected');
+    assert.deepStrictEqual(turns.map(turn => turn.speaker), ['bob', 'dave']);
+    assert.deepStrictEqual(game.state().speakerQueue, []);
+});
+
+test('skipping during a debate moves on to the next turn', () => {
+    const game = setup({
+        players: ['alice', 'bob', 'carol', 'dave'],
+        settings: { soloFormat: 'debate' },
+        bots: { vote: () => ({ alice: 'agree', bob: 'agree', carol: 'disagree', dave: 'disagree' }) }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    game.engine.skipPhase('TEST01');
+
+    assert.strictEqual(game.state().phase, 'solo');
+    assert.strictEqual(game.state().speakerPosition, 'disagree');
+    assert.deepStrictEqual(game.engine.currentTurn(game.state()), { type: 'opening', number: 2, total: 4 });
+});
+
+test('the opinion meter sends the room a throttled average and keeps the series for the round', () => {
+    const game = setup({
+        players: ['alice', 'bob', 'carol', 'spectator'],
+        settings: { opinionMeter: 'on', maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'agree', carol: 'agree' })
+        }
+    });
+    game.lobby.participants[3].spectator = true;
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000);
+    game.engine.setOpinion('TEST01', 'alice', 50);
+    assert.deepStrictEqual(game.state().opinions, {}, 'the meter is closed during voting');
+
+    game.clock.advance(1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+    const speaker = game.state().currentSpeaker;
+
+    // One reading is not enough to share an average; out-of-range and spectator readings don't count
+    game.engine.setOpinion('TEST01', 'alice', 250);
+    game.engine.setOpinion('TEST01', 'spectator', -100);
+    game.engine.setOpinion('TEST01', 'carol', 'lots');
+    game.clock.advance(1000);
+    assert.deepStrictEqual(game.eventsNamed('opinion-meter'), [
+        { elapsed: 1, phase: 'solo', speaker, average: null, readings: 1 }
+    ]);
+    assert.deepStrictEqual(game.state().opinions, { alice: 100 });
+
+    // Readings inside the interval are folded into the next update
+    game.engine.setOpinion('TEST01', 'bob', -40);
+    game.clock.advance(1000);
+    game.engine.setOpinion('TEST01', 'carol', 10);
+    game.clock.advance(1000);
+    assert.deepStrictEqual(game.eventsNamed('opinion-meter').pop(), { elapsed: 3, phase: 'solo', speaker, average: 23, readings: 3 });
+    assert.strictEqual(game.eventsNamed('opinion-meter').length, 2);
+
+    // Nothing moved, nothing sent
+    game.clock.advance((FAST_SETTINGS.soloTime - 3) * 1000 + 5000);
+    assert.strictEqual(game.state().phase, 'discussion');
+    assert.strictEqual(game.eventsNamed('opinion-meter').length, 2);
+
+    // A move just before the final vote still makes it into the series
+    game.engine.setOpinion('TEST01', 'bob', 60);
+    game.engine.skipPhase('TEST01');
+    assert.deepStrictEqual(game.eventsNamed('opinion-meter').pop(), {
+        elapsed: FAST_SETTINGS.soloTime + 5,
+        phase: 'discussion',
+        speaker: null,
+        average: 57,
+        readings: 3
+    });
+
+    game.clock.advance(1000);
+    const series = game.eventsNamed('round-results')[0].opinionMeter;
+    assert.deepStrictEqual(series.map(reading => reading.average), [null, 23, 57]);
+    assert.deepStrictEqual(game.state().history[0].opinionMeter, series);
+
+    // A new round starts a new series
+    game.engine.restartGame('TEST01');
+    assert.deepStrictEqual(game.state().opinions, {});
+    assert.deepStrictEqual(game.state().opinionSeries, []);
+});
+
+test('the opinion meter is off unless the lobby turns it on', () => {
+    const game = setup({ bots: { vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }) } });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000 + 1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+
+    game.engine.setOpinion('TEST01', 'alice', 50);
+    game.engine.setOpinion('TEST01', 'bob', 50);
+    game.clock.advance(FAST_SETTINGS.soloTime * 1000);
+    assert.deepStrictEqual(game.state().opinions, {});
+    assert.deepStrictEqual(game.eventsNamed('opinion-meter'), []);
+});
+
+test('proposed topics are checked, ranked by upvotes and played before the packs', () => {
+    const game = setup({ settings: { topicSubmission: 'every-round', maxRounds: 2 } });
+    game.lobby.participants.push({ username: 'viewer', isHost: false, connected: true, spectator: true });
+
+    game.engine.startGame('TEST01');
+    assert.match(game.engine.submitTopic('TEST01', 'alice', 'Too early to propose').error, /during topic submission/);
+    game.clock.advance(2000);
+    assert.strictEqual(game.state().phase, 'topic-submission');
+    assert.strictEqual(game.state().timer, FAST_SETTINGS.submissionTime);
+
+    const submit = (username, text) => game.engine.submitTopic('TEST01', username, text);
+    assert.match(submit('alice', 'Hi').error, /between 5 and 200 characters/);
+    assert.match(submit('alice', 'This is sh1t television').error, /isn't allowed/);
+    assert.match(submit('viewer', 'Spectators have no say').error, /Only players/);
+
+    const cereal = submit('alice', 'Cereal   is a soup').proposal;
+    assert.strictEqual(cereal.text, 'Cereal is a soup');
+    assert.match(submit('bob', 'cereal is a SOUP!').error, /already been proposed/);
+    const hotdog = submit('bob', 'A hot dog is a sandwich').proposal;
+    const naps = submit('carol', 'Naps should be mandatory').proposal;
+
+    // Authors can't upvote their own proposal; a second upvote takes it back
+    game.engine.upvoteTopic('TEST01', 'bob', hotdog.id);
+    game.engine.upvoteTopic('TEST01', 'alice', hotdog.id);
+    game.engine.upvoteTopic('TEST01', 'carol', hotdog.id);
+    game.engine.upvoteTopic('TEST01', 'alice', naps.id);
+    game.engine.upvoteTopic('TEST01', 'bob', naps.id);
+    game.engine.upvoteTopic('TEST01', 'carol', hotdog.id);
+    assert.deepStrictEqual(
+        game.engine.listProposals(game.state()).map(proposal => [proposal.text, proposal.upvotes]),
+        [['Naps should be mandatory', ['alice', 'bob']], ['A hot dog is a sandwich', ['alice']], ['Cereal is a soup', []]]
+    );
+
+    // Ties go to the earlier proposal
+    game.engine.upvoteTopic('TEST01', 'bob', cereal.id);
+    assert.deepStrictEqual(game.engine.listProposals(game.state()).map(proposal => proposal.text).slice(1), ['Cereal is a soup', 'A hot dog is a sandwich']);
+    game.engine.upvoteTopic('TEST01', 'bob', cereal.id);
+
+    // A veto removes the proposal and rules the topic out for the rest of the game
+    assert.strictEqual(game.engine.vetoTopic('TEST01', naps.id), true);
+    assert.deepStrictEqual(game.eventsNamed('topic-vetoed'), [{ id: naps.id, text: 'Naps should be mandatory', author: 'carol' }]);
+    assert.match(submit('carol', 'Naps should be mandatory.').error, /ruled that topic out/);
+
+    // The most upvoted proposal is played first; the rest wait for the next round
+    game.clock.advance(FAST_SETTINGS.submissionTime * 1000);
+    assert.strictEqual(game.state().phase, 'voting');
+    assert.deepStrictEqual(game.eventsNamed('topic-selected')[0], { topic: 'A hot dog is a sandwich', proposedBy: 'bob' });
+    assert.deepStrictEqual(game.state().proposals.map(proposal => proposal.text), ['Cereal is a soup']);
+
+    game.clock.advance(A_LONG_TIME);
+    assert.strictEqual(game.state().phase, 'game-ended');
+    assert.deepStrictEqual(game.state().history.map(round => [round.topic, round.proposedBy]), [
+        ['A hot dog is a sandwich', 'bob'],
+        ['Cereal is a soup', 'alice']
+    ]);
+    assert.strictEqual(game.eventsNamed('game-phase-update').filter(update => update.phase === 'topic-submission').length, 2);
+});
+
+test('with submissions before the game only the first round has a submission phase', () => {
+    const game = setup({ settings: { topicSubmission: 'before-game', maxRounds: 3 } });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000);
+    game.engine.submitTopic('TEST01', 'alice', 'Cereal is a soup');
+    game.engine.skipPhase('TEST01');
+    assert.strictEqual(game.state().currentTopic, 'Cereal is a soup');
+
+    game.clock.advance(A_LONG_TIME);
+    const phases = game.eventsNamed('game-phase-update').map(update => update.phase);
+    assert.strictEqual(phases.filter(phase => phase === 'topic-submission').length, 1);
+
+    // Once the proposals are used up the rounds draw from the packs again
+    const [first, ...rest] = game.state().history;
+    assert.strictEqual(first.proposedBy, 'alice');
+    assert.strictEqual(rest.length, 2);
+    rest.forEach(round => {
+        assert.ok(TOPICS.includes(round.topic));
+        assert.strictEqual(round.proposedBy, null);
+    });
+});
+
+test('public ballots show who voted what and who switched sides', () => {
+    const game = setup({
+        settings: { ballot: 'public', maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+            revote: () => ({ alice: 'agree', bob: 'disagree', carol: 'disagree' })
+        }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(A_LONG_TIME);
+
+    const [voteResults] = game.eventsNamed('vote-results');
+    assert.deepStrictEqual(voteResults, {
+        agree: 2,
+        disagree: 1,
+        abstain: 0,
+        ballots: { alice: { initial: 'agree' }, bob: { initial: 'disagree' }, carol: { initial: 'agree' } }
+    });
+
+    const [results] = game.eventsNamed('round-results');
+    assert.deepStrictEqual(results.ballots, {
+        alice: { initial: 'agree', final: 'agree', switched: false },
+        bob: { initial: 'disagree', final: 'disagree', switched: false },
+        carol: { initial: 'agree', final: 'disagree', switched: true }
+    });
+    assert.deepStrictEqual(game.engine.visibleVotes(game.state(), game.lobby).ballots, results.ballots);
+    assert.deepStrictEqual(results.pointsBreakdown.carol, [{ points: 1, reason: 'Your side (disagree) gained 1 vote' }]);
+});
+
+test('sealed ballots hide the counts until the round results and anonymous ones never name players', () => {
+    const bots = {
+        vote: () => ({ alice: 'agree', bob: 'disagree', carol: 'agree' }),
+        revote: () => ({ alice: 'disagree', bob: 'disagree', carol: 'agree' })
+    };
+    const game = setup({ settings: { ballot: 'sealed', maxRounds: 1 }, bots });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(3000);
+    assert.strictEqual(game.state().phase, 'vote-results');
+    assert.deepStrictEqual(game.eventsNamed('vote-results'), [{ sealed: true }]);
+    assert.strictEqual(game.engine.visibleVotes(game.state(), game.lobby).initialVotes, null);
+
+    game.clock.advance(A_LONG_TIME);
+    const [results] = game.eventsNamed('round-results');
+    assert.deepStrictEqual(results.initialVotes, { agree: 2, disagree: 1, abstain: 0 });
+    assert.deepStrictEqual(results.finalVotes, { agree: 1, disagree: 2, abstain: 0 });
+    assert.strictEqual(results.ballots, undefined);
+    assert.deepStrictEqual(game.engine.visibleVotes(game.state(), game.lobby).initialVotes, results.initialVotes);
+
+    const anonymous = setup({ settings: { maxRounds: 1 }, bots });
+    anonymous.engine.startGame('TEST01');
+    anonymous.clock.advance(A_LONG_TIME);
+    assert.deepStrictEqual(anonymous.eventsNamed('vote-results'), [{ agree: 2, disagree: 1, abstain: 0 }]);
+    assert.strictEqual(anonymous.eventsNamed('round-results')[0].ballots, undefined);
+    assert.strictEqual(anonymous.engine.visibleVotes(anonymous.state(), anonymous.lobby).ballots, null);
+
+    // The points breakdown goes to the whole room, so its reasons don't name sides either
+    assert.deepStrictEqual(results.pointsBreakdown.alice, [{ points: 1, reason: 'Your side gained 1 vote' }]);
+    assert.deepStrictEqual(anonymous.eventsNamed('round-results')[0].pointsBreakdown.alice, [{ points: 1, reason: 'Your side gained 1 vote' }]);
+});
+
+test('graded stances keep a histogram, skip close rooms and score the stance shift', () => {
+    const game = setup({
+        settings: { voteScale: 'likert-5', maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 2, bob: -1, carol: 1 }),
+            revote: () => ({ alice: 2, bob: 0, carol: 2 })
+        }
+    });
+
+    game.engine.startGame('TEST01');
+    game.clock.advance(2000);
+    // Out-of-range or three-way votes don't count on a graded scale
+    game.engine.castVote('TEST01', 'alice', 3);
+    game.engine.castVote('TEST01', 'alice', 'agree');
+    assert.deepStrictEqual(game.state().stances, { alice: 2, bob: -1, carol: 1 });
+    assert.deepStrictEqual(game.state().votes, { alice: 'agree', bob: 'disagree', carol: 'agree' });
+
+    game.clock.advance(A_LONG_TIME);
+    const [voteResults] = game.eventsNamed('vote-results');
+    assert.deepStrictEqual(voteResults.stances, { histogram: [0, 1, 0, 1, 1], average: 0.67, spread: 3 });
+
+    // bob moved one step and carol one step toward agree: 2 steps over 3 players, so the
+    // average stance moved 0.67 steps, worth 1 point (not one per step anyone moved)
+    const [results] = game.eventsNamed('round-results');
+    assert.deepStrictEqual(results.stances.final, { histogram: [0, 0, 1, 0, 2], average: 1.33, spread: 2 });
+    assert.strictEqual(results.stances.shift, 0.67);
+    assert.deepStrictEqual([results.winningTeam, results.pointsPerWinner], [['agree'], 1]);
+    assert.deepStrictEqual(results.pointsBreakdown.alice, [{ points: 1, reason: 'Your side moved the average stance 1 step' }]);
+    assert.deepStrictEqual(game.state().history[0].stances, results.stances);
+
+    // On a wide scale a round moves the average by less than half a step; it still wins a point
+    const small = setup({
+        settings: { voteScale: 'likert-7', maxRounds: 1 },
+        bots: {
+            vote: () => ({ alice: 3, bob: -3, carol: 0 }),
+            revote: () => ({ alice: 3, bob: -3, carol: -1 })
+        }
+    });
+    small.engine.startGame('TEST01');
+    small.clock.advance(A_LONG_TIME);
+    const [smallResults] = small.eventsNamed('round-results');
+    assert.strictEqual(smallResults.stances.shift, -0.33);
+    assert.deepStrictEqual([smallResults.winningTeam, smallResults.pointsPerWinner], [['disagree'], 1]);
+    assert.deepStrictEqual(smallResults.pointsBreakdown.bob, [{ points: 1, reason: 'Your side moved the average stance 1 step' }]);
+
+    // Everyone within a step of each other: nothing to debate
+    const close = setup({
+        settings: { voteScale: 'likert-7', maxRounds: 1 },
+        bots: { vote: () => ({ alice: 2, bob: 3, carol: 3 }) }
+    });
+    close.engine.startGame('TEST01');
+    close.clock.advance(A_LONG_TIME);
+    const [skipped] = close.eventsNamed('round-skipped');
+    assert.deepStrictEqual(skipped.stances.initial, { histogram: [0, 0, 0, 0, 0, 1, 2], average: 2.67, spread: 1 });
+    assert.strictEqual(close.state().history[0].skipped, true);
+});
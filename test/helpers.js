@@ -0,0 +1,166 @@
+const path = require('path');
+const { io: connectSocket } = require('socket.io-client');
+const { createGameServer } = require('../server');
+const { createMemoryStorage } = require('../lib/storage');
+
+// A clock with the same interface as lib/clock.js whose time only moves when a test
+// calls advance(). Timers fire in due order, so whole games run in milliseconds.
+function createFakeClock(start = 0) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    function add(fn, ms, interval) {
+        const id = nextId++;
+        timers.set(id, { fn, at: now + Math.max(ms, 0), interval });
+        return id;
+    }
+
+    function nextDue(limit) {
+        let due = null;
+        timers.forEach((timer, id) => {
+            if (timer.at > limit) return;
+            if (!due || timer.at < due.timer.at || (timer.at === due.timer.at && id < due.id)) {
+                due = { id, timer };
+            }
+        });
+        return due;
+    }
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => add(fn, ms, null),
+        clearTimeout: id => timers.delete(id),
+        setInterval: (fn, ms) => add(fn, ms, ms),
+        clearInterval: id => timers.delete(id),
+
+        // Move time forward, running every timer that comes due on the way
+        advance(ms) {
+            const target = now + ms;
+            let due = nextDue(target);
+            while (due) {
+                now = due.timer.at;
+                if (due.timer.interval) {
+                    due.timer.at += due.timer.interval;
+                } else {
+                    timers.delete(due.id);
+                }
+                due.timer.fn();
+                due = nextDue(target);
+            }
+            now = target;
+        },
+
+        pending: () => timers.size
+    };
+}
+
+// Deterministic random source (mulberry32) so topic and speaker picks repeat
+function createSeededRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Settings with short phases; every test drives the fake clock anyway
+const FAST_SETTINGS = {
+    preset: 'quick',
+    votingTime: 10,
+    voteResultsTime: 2,
+    skippedResultsTime: 2,
+    soloTime: 15,
+    rebuttalTime: 10,
+    discussionTime: 30,
+    revotingTime: 10,
+    roundResultsTime: 3,
+    scoreboardTime: 2,
+    waitingTime: 1,
+    submissionTime: 20,
+    maxRounds: 3
+};
+
+// Start a game server on a random port with a fake clock (unless options.clock is given,
+// e.g. to share one between servers) and in-memory storage
+async function startTestServer(options = {}) {
+    const clock = options.clock || createFakeClock(Date.now());
+    const gameServer = createGameServer({
+        env: { SESSION_SECRET: 'test-secret' },
+        storage: createMemoryStorage(),
+        topicsDir: path.join(__dirname, '..', 'topics'),
+        random: createSeededRandom(42),
+        ...options,
+        clock
+    });
+
+    await new Promise(resolve => gameServer.server.listen(0, resolve));
+    const url = `http://localhost:${gameServer.server.address().port}`;
+    const sockets = [];
+
+    async function request(method, route, body, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(url + route, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    // Connect a player socket and join its lobby room
+    // Every event the socket receives is also kept in socket.received, in order
+    async function connect(token) {
+        const socket = connectSocket(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+        socket.received = [];
+        socket.onAny((event, data) => socket.received.push({ event, data }));
+        sockets.push(socket);
+        await once(socket, 'connect');
+        socket.emit('join-lobby');
+        await once(socket, 'chat-history');
+        return socket;
+    }
+
+    async function close() {
+        sockets.forEach(socket => socket.disconnect());
+        await new Promise(resolve => gameServer.close(resolve));
+    }
+
+    return { ...gameServer, clock, url, request, connect, close };
+}
+
+function once(emitter, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+        emitter.once(event, data => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+// Poll until the server has processed what the test sent over the socket
+async function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = {
+    createFakeClock,
+    createSeededRandom,
+    FAST_SETTINGS,
+    startTestServer,
+    once,
+    waitFor
+};
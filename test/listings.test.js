@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultListing, resolveListing, listPublicLobbies, findQuickJoinLobby, QUICK_JOIN_MAX_PLAYERS } = require('../lib/listings');
+
+function lobby(code, overrides = {}) {
+    return {
+        code,
+        host: 'alice',
+        participants: [{ username: 'alice', isHost: true, connected: true }],
+        gameStarted: false,
+        settings: { maxRounds: 3 },
+        topics: { packs: ['general'], categories: [], custom: [] },
+        listing: { public: true, title: `Lobby ${code}`, language: 'en' },
+        bannedUsernames: [],
+        ...overrides
+    };
+}
+
+function players(count) {
+    return Array.from({ length: count }, (_, i) => ({ username: `player${i}`, connected: true }));
+}
+
+test('listing updates are validated and keep fields that were left out', () => {
+    const base = defaultListing('alice');
+    assert.deepStrictEqual(base, { public: false, title: "alice's lobby", language: 'en' });
+
+    assert.deepStrictEqual(resolveListing({ public: true, language: 'FR' }, base).listing, { public: true, title: "alice's lobby", language: 'fr' });
+    assert.ok(resolveListing({ public: 'yes' }, base).error);
+    assert.ok(resolveListing({ title: 'hi' }, base).error);
+    assert.ok(resolveListing({ language: 'english' }, base).error);
+});
+
+test('only public lobbies that are still open are listed, waiting lobbies first', () => {
+    const lobbies = new Map([
+        ['AAAAAA', lobby('AAAAAA', { gameStarted: true, participants: players(5) })],
+        ['BBBBBB', lobby('BBBBBB', { participants: players(2) })],
+        ['CCCCCC', lobby('CCCCCC', { listing: { public: false, title: 'Private', language: 'en' } })],
+        ['DDDDDD', lobby('DDDDDD', { gameStarted: true })],
+        ['EEEEEE', lobby('EEEEEE', { participants: [{ username: 'alice', connected: false }] })]
+    ]);
+    const gameStates = new Map([
+        ['AAAAAA', { phase: 'solo', roundNumber: 2 }],
+        ['DDDDDD', { phase: 'game-ended', roundNumber: 3 }]
+    ]);
+
+    const list = listPublicLobbies(lobbies, gameStates);
+    assert.deepStrictEqual(list.map(summary => summary.code), ['BBBBBB', 'AAAAAA']);
+    assert.deepStrictEqual(list[1], {
+        code: 'AAAAAA',
+        title: 'Lobby AAAAAA',
+        language: 'en',
+        host: 'alice',
+        packs: ['general'],
+        players: 5,
+        spectators: 0,
+        inProgress: true,
+        round: 2,
+        maxRounds: 3
+    });
+});
+
+test('lobbies can be filtered by language and topic pack', () => {
+    const lobbies = new Map([
+        ['AAAAAA', lobby('AAAAAA')],
+        ['BBBBBB', lobby('BBBBBB', { listing: { public: true, title: 'Auf Deutsch', language: 'de' } })],
+        ['CCCCCC', lobby('CCCCCC', { topics: { packs: ['tech'], categories: [], custom: [] } })]
+    ]);
+
+    assert.deepStrictEqual(listPublicLobbies(lobbies, new Map(), { language: 'de' }).map(s => s.code), ['BBBBBB']);
+    assert.deepStrictEqual(listPublicLobbies(lobbies, new Map(), { pack: 'tech' }).map(s => s.code), ['CCCCCC']);
+});
+
+test('quick join skips full lobbies and ones the player cannot enter', () => {
+    const lobbies = new Map([
+        ['AAAAAA', lobby('AAAAAA', { participants: players(QUICK_JOIN_MAX_PLAYERS) })],
+        ['BBBBBB', lobby('BBBBBB', { participants: [...players(3), { username: 'dave', connected: true }], bannedUsernames: ['erin'] })],
+        ['CCCCCC', lobby('CCCCCC', { participants: players(2) })],
+        ['DDDDDD', lobby('DDDDDD', { gameStarted: true, participants: players(4) })]
+    ]);
+
+    assert.strictEqual(findQuickJoinLobby(lobbies, new Map(), { username: 'carol' }), 'BBBBBB');
+    assert.strictEqual(findQuickJoinLobby(lobbies, new Map(), { username: 'dave' }), 'CCCCCC');
+    assert.strictEqual(findQuickJoinLobby(lobbies, new Map(), { username: 'Erin' }), 'CCCCCC');
+    assert.strictEqual(findQuickJoinLobby(lobbies, new Map(), { username: 'carol', language: 'fr' }), null);
+    // A lower lobby cap fills lobbies with fewer players
+    assert.strictEqual(findQuickJoinLobby(lobbies, new Map(), { username: 'dave', maxPlayers: 2 }), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io: connectSocket } = require('socket.io-client');
+const { startTestServer, once, FAST_SETTINGS } = require('./helpers');
+
+async function createLobby(server) {
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice', settings: FAST_SETTINGS });
+    const joined = await server.request('POST', '/api/lobby/join', { code: created.body.code, username: 'bob' });
+    return { code: created.body.code, hostToken: created.body.token, playerToken: joined.body.token };
+}
+
+function connectOverlay(t, server, auth) {
+    const socket = connectSocket(`${server.url}/overlay`, { auth, transports: ['websocket'], reconnection: false });
+    t.after(() => socket.close());
+    return socket;
+}
+
+test('only the host can get the overlay link', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const lobby = await createLobby(server);
+
+    const denied = await server.request('GET', `/api/lobby/${lobby.code}/overlay`, undefined, lobby.playerToken);
+    assert.strictEqual(denied.status, 403);
+
+    const { body } = await server.request('GET', `/api/lobby/${lobby.code}/overlay`, undefined, lobby.hostToken);
+    assert.strictEqual(body.url, `/overlay/${lobby.code}?key=${encodeURIComponent(body.key)}`);
+
+    const page = await fetch(server.url + body.url);
+    assert.strictEqual(page.status, 200);
+    assert.match(await page.text(), /background: transparent/);
+});
+
+test('the overlay follows the game with its viewer key', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const lobby = await createLobby(server);
+    const { body } = await server.request('GET', `/api/lobby/${lobby.code}/overlay`, undefined, lobby.hostToken);
+
+    const overlay = connectOverlay(t, server, { code: lobby.code, key: body.key });
+    const initial = await once(overlay, 'overlay-state');
+    assert.strictEqual(initial.phase, 'waiting');
+    assert.deepStrictEqual(initial.scores, {});
+
+    const started = once(overlay, 'overlay-state');
+    const topic = once(overlay, 'topic-selected');
+    server.engine.startGame(lobby.code);
+    assert.deepStrictEqual((await started).scores, { alice: 0, bob: 0 });
+    server.clock.advance(2000);
+    assert.strictEqual((await topic).topic, server.gameStates.get(lobby.code).currentTopic);
+
+    const results = once(overlay, 'vote-results');
+    server.engine.castVote(lobby.code, 'alice', 'agree');
+    server.engine.castVote(lobby.code, 'bob', 'disagree');
+    server.clock.advance(1000);
+    assert.deepStrictEqual(await results, { agree: 1, disagree: 1, abstain: 0 });
+});
+
+test('viewer keys only open the overlay', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const lobby = await createLobby(server);
+    const other = await createLobby(server);
+    const { body } = await server.request('GET', `/api/lobby/${lobby.code}/overlay`, undefined, lobby.hostToken);
+
+    // Not a player session, so it can't join the game namespace or rejoin as a player
+    const player = connectSocket(server.url, { auth: { token: body.key }, transports: ['websocket'], reconnection: false });
+    t.after(() => player.close());
+    assert.strictEqual((await once(player, 'connect_error')).message, 'Invalid session');
+
+    const rejoin = await server.request('POST', '/api/lobby/join', { code: lobby.code, username: 'alice', token: body.key });
+    assert.strictEqual(rejoin.status, 409);
+
+    // And it belongs to one lobby
+    const wrongLobby = connectOverlay(t, server, { code: other.code, key: body.key });
+    assert.strictEqual((await once(wrongLobby, 'connect_error')).message, 'Invalid viewer key');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReconnectionRegistry } = require('../lib/reconnection');
+const { createFakeClock } = require('./helpers');
+
+test('a returning player gets the events they missed, in order', () => {
+    const registry = createReconnectionRegistry({ clock: createFakeClock(1000), gracePeriod: 60000 });
+
+    // Nothing is kept while everyone is connected
+    registry.record('ABC123', 'topic-selected', { topic: 'Before' });
+    assert.strictEqual(registry.disconnect('ABC123', 'p1', 'bob'), 61000);
+    registry.record('ABC123', 'game-phase-update', { phase: 'vote-results' });
+    registry.record('ABC123', 'game-timer', { timeRemaining: 4 });
+    registry.disconnect('ABC123', 'p2', 'carol');
+    registry.record('ABC123', 'vote-results', { agree: 1, disagree: 1, abstain: 0 });
+
+    // Same display name, other lobby: a different player
+    registry.disconnect('XYZ789', 'p3', 'bob');
+    assert.strictEqual(registry.count(), 3);
+
+    assert.deepStrictEqual(registry.reconnect('ABC123', 'p1'), {
+        username: 'bob',
+        missed: [
+            { event: 'game-phase-update', data: { phase: 'vote-results' } },
+            { event: 'vote-results', data: { agree: 1, disagree: 1, abstain: 0 } }
+        ],
+        complete: true
+    });
+    assert.deepStrictEqual(registry.reconnect('ABC123', 'p2').missed.map(entry => entry.event), ['vote-results']);
+    assert.strictEqual(registry.reconnect('ABC123', 'p2'), null);
+    assert.ok(registry.isAway('XYZ789', 'p3'));
+});
+
+test('players are expired after the grace period and a long absence only gets the snapshot', () => {
+    const clock = createFakeClock(0);
+    const registry = createReconnectionRegistry({ clock, gracePeriod: 30000 });
+
+    registry.disconnect('ABC123', 'p1', 'bob');
+    for (let i = 0; i < 250; i++) {
+        registry.record('ABC123', 'chat-message', { id: i });
+    }
+    clock.advance(20000);
+    registry.disconnect('ABC123', 'p2', 'carol');
+
+    clock.advance(15000);
+    assert.deepStrictEqual(registry.expired(), [{ code: 'ABC123', playerId: 'p1', username: 'bob' }]);
+    assert.deepStrictEqual(registry.exportLobby('ABC123'), [
+        { playerId: 'p1', username: 'bob', timestamp: 0 },
+        { playerId: 'p2', username: 'carol', timestamp: 20000 }
+    ]);
+
+    const returning = registry.reconnect('ABC123', 'p1');
+    assert.strictEqual(returning.complete, false);
+    assert.strictEqual(returning.missed.length, 200);
+
+    const restored = createReconnectionRegistry({ clock, gracePeriod: 30000 });
+    restored.importLobby('ABC123', registry.exportLobby('ABC123'));
+    assert.deepStrictEqual(restored.exportLobby('ABC123'), [{ playerId: 'p2', username: 'carol', timestamp: 20000 }]);
+    restored.forget('ABC123', 'p2');
+    assert.strictEqual(restored.count(), 0);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reportToCsv } = require('../lib/report');
+
+function round(overrides) {
+    return {
+        round: 1,
+        topic: 'Cats are better than dogs',
+        skipped: false,
+        speaker: 'alice',
+        speakerPosition: 'agree',
+        initialVotes: { agree: 2, disagree: 1, abstain: 0 },
+        finalVotes: { agree: 1, disagree: 2, abstain: 0 },
+        winningTeam: 'disagree',
+        pointsPerWinner: 1,
+        switches: [{ username: 'carol', from: 'agree', to: 'disagree' }],
+        pointsAwarded: { bob: 1, carol: -1 },
+        ...overrides
+    };
+}
+
+test('the CSV report has a row per round and quotes cells with commas or quotes', () => {
+    const csv = reportToCsv({ rounds: [round({ topic: 'Pineapple, on "pizza"' })] });
+    const [header, row, end] = csv.split('\n');
+
+    assert.ok(header.startsWith('round,topic,skipped,speaker'));
+    assert.strictEqual(row, '1,"Pineapple, on ""pizza""",false,alice,agree,2,1,0,1,2,0,disagree,1,carol: agree->disagree,bob: +1; carol: -1');
+    assert.strictEqual(end, '');
+});
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+    const topics = ['=HYPERLINK("http://example.com")', '+1+1', '-2+3', '@SUM(A1)', '\tTabbed'];
+    const csv = reportToCsv({ rounds: topics.map((topic, index) => round({ round: index + 1, topic })) });
+    const cells = csv.trim().split('\n').slice(1).map(row => row.split(',')[1]);
+
+    assert.deepStrictEqual(cells, ['"\'=HYPERLINK(""http://example.com"")"', '\'+1+1', '\'-2+3', '\'@SUM(A1)', '\'\tTabbed']);
+    // Numbers are left alone
+    assert.ok(csv.includes('\n1,') && csv.includes(',2,1,0,'));
+});
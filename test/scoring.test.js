@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getScoringStrategy } = require('../lib/scoring');
+
+function round(overrides) {
+    return {
+        players: [
+            { username: 'alice', connected: true },
+            { username: 'bob', connected: true },
+            { username: 'carol', connected: true }
+        ],
+        votes: { alice: 'agree', bob: 'disagree', carol: 'agree' },
+        revotes: { alice: 'agree', bob: 'disagree', carol: 'disagree' },
+        convincedBy: {},
+        winningTeam: 'disagree',
+        pointsPerWinner: 1,
+        speakers: [{ username: 'bob', position: 'disagree' }],
+        ...overrides
+    };
+}
+
+function totals(breakdown) {
+    const result = {};
+    Object.entries(breakdown).forEach(([username, entries]) => {
+        result[username] = entries.reduce((sum, entry) => sum + entry.points, 0);
+    });
+    return result;
+}
+
+test('team scoring gives the winning side the net swing', () => {
+    assert.deepStrictEqual(totals(getScoringStrategy('team').score(round())), { alice: 0, bob: 1, carol: 1 });
+});
+
+test('team scoring only penalises connected players who skipped the revote', () => {
+    const breakdown = getScoringStrategy('team').score(round({
+        players: [
+            { username: 'alice', connected: false },
+            { username: 'bob', connected: true },
+            { username: 'carol', connected: true }
+        ],
+        revotes: { bob: 'disagree' },
+        winningTeam: null,
+        pointsPerWinner: 0
+    }));
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 0, bob: 0, carol: -1 });
+});
+
+test('speaker scoring credits only the speaker for votes flipped to their side', () => {
+    const breakdown = getScoringStrategy('speaker').score(round());
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 0, bob: 2, carol: 0 });
+});
+
+test('speaker scoring ignores switches to the other side or to abstain', () => {
+    const breakdown = getScoringStrategy('speaker').score(round({
+        votes: { alice: 'disagree', bob: 'disagree', carol: 'agree' },
+        revotes: { alice: 'agree', bob: 'disagree', carol: 'abstain' }
+    }));
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 0, bob: 0, carol: 0 });
+});
+
+test('persuasion scoring credits the switcher and the player who convinced them', () => {
+    const breakdown = getScoringStrategy('persuasion').score(round({ convincedBy: { carol: 'bob' } }));
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 0, bob: 1, carol: 1 });
+});
+
+test('persuasion scoring gives no credit to a persuader on the other side', () => {
+    const breakdown = getScoringStrategy('persuasion').score(round({ convincedBy: { carol: 'alice' } }));
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 0, bob: 0, carol: 1 });
+});
+
+test('persuasion reasons only name the side switched to when ballots are public', () => {
+    const persuasion = getScoringStrategy('persuasion');
+
+    const hidden = persuasion.score(round({ convincedBy: { carol: 'bob' } }));
+    assert.deepStrictEqual(hidden.carol, [{ points: 1, reason: 'Switched sides' }]);
+    assert.deepStrictEqual(hidden.bob, [{ points: 1, reason: 'Convinced carol to switch sides' }]);
+
+    const shown = persuasion.score(round({ convincedBy: { carol: 'bob' }, showSides: true }));
+    assert.deepStrictEqual(shown.carol, [{ points: 1, reason: 'Switched to disagree' }]);
+    assert.deepStrictEqual(shown.bob, [{ points: 1, reason: 'Convinced carol to switch to disagree' }]);
+});
+
+test('speaker scoring credits each debate speaker for their own side', () => {
+    const breakdown = getScoringStrategy('speaker').score(round({
+        votes: { alice: 'agree', bob: 'disagree', carol: 'disagree' },
+        revotes: { alice: 'agree', bob: 'disagree', carol: 'agree' },
+        speakers: [
+            { username: 'alice', position: 'agree' },
+            { username: 'bob', position: 'disagree' },
+            { username: 'alice', position: 'agree' }
+        ]
+    }));
+
+    assert.deepStrictEqual(totals(breakdown), { alice: 2, bob: 0, carol: 0 });
+});
+
+test('unknown strategies fall back to team scoring', () => {
+    assert.strictEqual(getScoringStrategy('nope'), getScoringStrategy('team'));
+});
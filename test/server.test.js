@@ -0,0 +1,577 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io: connectSocket } = require('socket.io-client');
+const { startTestServer, once, waitFor, FAST_SETTINGS } = require('./helpers');
+
+// Create a lobby with alice as host plus the given players, all connected over sockets
+async function createGame(server, players = ['bob'], settings = FAST_SETTINGS) {
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice', settings });
+    assert.strictEqual(created.status, 200);
+
+    const code = created.body.code;
+    const tokens = { alice: created.body.token };
+    for (const username of players) {
+        const joined = await server.request('POST', '/api/lobby/join', { code, username });
+        assert.strictEqual(joined.status, 200);
+        tokens[username] = joined.body.token;
+    }
+
+    const sockets = {};
+    for (const username of Object.keys(tokens)) {
+        sockets[username] = await server.connect(tokens[username]);
+    }
+
+    return { code, tokens, sockets, state: () => server.gameStates.get(code), lobby: () => server.lobbies.get(code) };
+}
+
+// Start the game and advance to the first voting phase
+async function startGame(server, game) {
+    const topic = once(game.sockets.alice, 'topic-selected');
+    game.sockets.alice.emit('start-game');
+    await waitFor(() => game.state());
+    server.clock.advance(2000);
+    return topic;
+}
+
+async function castVotes(server, game, event, votes) {
+    const key = event === 'cast-vote' ? 'votes' : 'revotes';
+    Object.entries(votes).forEach(([username, vote]) => game.sockets[username].emit(event, { vote }));
+    await waitFor(() => Object.keys(game.state()[key]).length === Object.keys(votes).length);
+}
+
+test('voting moves the round to vote results', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    const { topic } = await startGame(server, game);
+    assert.ok(topic);
+
+    const results = once(game.sockets.bob, 'vote-results');
+    await castVotes(server, game, 'cast-vote', { alice: 'agree', bob: 'disagree' });
+    server.clock.advance(1000);
+
+    assert.deepStrictEqual(await results, { agree: 1, disagree: 1, abstain: 0 });
+    assert.strictEqual(game.state().phase, 'vote-results');
+});
+
+test('a second start-game is refused while the game is going', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    await startGame(server, game);
+    const state = game.state();
+
+    const refused = once(game.sockets.alice, 'settings-error');
+    game.sockets.alice.emit('start-game', { settings: { votingTime: 120 } });
+    assert.deepStrictEqual(await refused, { error: 'The game has already started' });
+    assert.strictEqual(game.state(), state);
+    assert.strictEqual(game.lobby().settings.votingTime, FAST_SETTINGS.votingTime);
+});
+
+test('a round where nobody disagrees is skipped', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    await startGame(server, game);
+
+    const skipped = once(game.sockets.bob, 'round-skipped');
+    await castVotes(server, game, 'cast-vote', { alice: 'agree', bob: 'agree' });
+    server.clock.advance(1000 + FAST_SETTINGS.voteResultsTime * 1000);
+
+    const data = await skipped;
+    assert.deepStrictEqual(data.initialVotes, { agree: 2, disagree: 0, abstain: 0 });
+    assert.strictEqual(game.state().history[0].skipped, true);
+});
+
+test('votes sent outside their phase are ignored', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    await startGame(server, game);
+
+    game.sockets.alice.emit('cast-revote', { vote: 'agree' });
+    game.sockets.bob.emit('cast-vote', { vote: 'disagree' });
+    await waitFor(() => game.state().votes.bob);
+
+    assert.deepStrictEqual(game.state().revotes, {});
+});
+
+test('a kicked player\'s vote no longer counts towards everyone having voted', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    await startGame(server, game);
+    await castVotes(server, game, 'cast-vote', { bob: 'agree' });
+
+    const kicked = once(game.sockets.alice, 'player-kicked');
+    game.sockets.alice.emit('kick-player', { target: 'bob' });
+    await kicked;
+    assert.deepStrictEqual(game.state().votes, {});
+
+    // carol hasn't voted yet, so the round waits for her
+    await castVotes(server, game, 'cast-vote', { alice: 'agree' });
+    server.clock.advance(1000);
+    assert.strictEqual(game.state().phase, 'voting');
+});
+
+test('a full round over sockets scores the winning side and penalises a missed revote', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    await startGame(server, game);
+
+    await castVotes(server, game, 'cast-vote', { alice: 'agree', bob: 'disagree', carol: 'agree' });
+    server.clock.advance(1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+
+    server.clock.advance((FAST_SETTINGS.soloTime + FAST_SETTINGS.discussionTime) * 1000);
+    assert.strictEqual(game.state().phase, 'revoting');
+
+    // Carol switches sides and bob never votes again; the timer runs out
+    const results = once(game.sockets.alice, 'round-results');
+    await castVotes(server, game, 'cast-revote', { alice: 'disagree', carol: 'disagree' });
+    server.clock.advance(FAST_SETTINGS.revotingTime * 1000);
+
+    const data = await results;
+    assert.deepStrictEqual(data.finalVotes, { agree: 0, disagree: 2, abstain: 1 });
+    assert.deepStrictEqual(data.winningTeam, ['disagree']);
+    assert.deepStrictEqual(game.state().scores, { alice: 1, bob: -1, carol: 1 });
+});
+
+test('chat side tags and the report only show who voted what with public ballots', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    for (const ballot of ['anonymous', 'public']) {
+        const game = await createGame(server, ['bob', 'carol'], { ...FAST_SETTINGS, ballot });
+        await startGame(server, game);
+        await castVotes(server, game, 'cast-vote', { alice: 'agree', bob: 'disagree', carol: 'agree' });
+        server.clock.advance(1000);
+
+        const message = once(game.sockets.alice, 'chat-message');
+        game.sockets.bob.emit('send-chat', { text: 'Hear me out' });
+        assert.strictEqual((await message).side, ballot === 'public' ? 'disagree' : null);
+
+        server.clock.advance(FAST_SETTINGS.voteResultsTime * 1000);
+        server.clock.advance((FAST_SETTINGS.soloTime + FAST_SETTINGS.discussionTime) * 1000);
+        await castVotes(server, game, 'cast-revote', { alice: 'agree', bob: 'disagree', carol: 'disagree' });
+        server.clock.advance(1000);
+        assert.strictEqual(game.state().phase, 'round-results');
+
+        const report = await server.request('GET', `/api/lobby/${game.code}/report`, undefined, game.tokens.bob);
+        const [round] = report.body.rounds;
+        if (ballot === 'public') {
+            assert.deepStrictEqual(round.switches, [{ username: 'carol', from: 'agree', to: 'disagree' }]);
+        } else {
+            assert.strictEqual(round.switches, undefined);
+            assert.strictEqual(round.switched, 1);
+        }
+    }
+});
+
+test('raising a hand puts the player in the speaker queue', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    await startGame(server, game);
+
+    const updated = once(game.sockets.alice, 'speaker-queue-updated');
+    game.sockets.bob.emit('raise-hand');
+    assert.deepStrictEqual(await updated, { queue: ['bob'] });
+
+    const lowered = once(game.sockets.alice, 'speaker-queue-updated');
+    game.sockets.bob.emit('lower-hand');
+    assert.deepStrictEqual(await lowered, { queue: [] });
+});
+
+test('opinion meter readings reach the room only as an average', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol'], { ...FAST_SETTINGS, opinionMeter: 'on' });
+    await startGame(server, game);
+    await castVotes(server, game, 'cast-vote', { alice: 'agree', bob: 'disagree', carol: 'agree' });
+    server.clock.advance(1000 + FAST_SETTINGS.voteResultsTime * 1000);
+    assert.strictEqual(game.state().phase, 'solo');
+
+    game.sockets.bob.emit('set-opinion', { value: -30 });
+    game.sockets.carol.emit('set-opinion', { value: 70 });
+    await waitFor(() => Object.keys(game.state().opinions).length === 2);
+
+    const meter = once(game.sockets.alice, 'opinion-meter');
+    server.clock.advance(1000);
+    const reading = await meter;
+    assert.deepStrictEqual([reading.average, reading.readings], [20, 2]);
+
+    // Each player only gets their own slider back
+    const sync = once(game.sockets.bob, 'sync-game-state');
+    game.sockets.bob.emit('request-sync');
+    const data = await sync;
+    assert.strictEqual(data.userOpinion, -30);
+    assert.deepStrictEqual(data.gameState.opinionMeter, reading);
+    assert.strictEqual(data.gameState.opinions, undefined);
+});
+
+test('a game resync shows the votes the ballot mode allows', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const sealed = await createGame(server, ['bob'], { ...FAST_SETTINGS, ballot: 'sealed' });
+    await startGame(server, sealed);
+    const results = once(sealed.sockets.bob, 'vote-results');
+    await castVotes(server, sealed, 'cast-vote', { alice: 'agree', bob: 'disagree' });
+    server.clock.advance(1000);
+    assert.deepStrictEqual(await results, { sealed: true });
+
+    let sync = once(sealed.sockets.bob, 'sync-game-state');
+    sealed.sockets.bob.emit('request-sync');
+    let data = await sync;
+    assert.strictEqual(data.gameState.sealed, true);
+    assert.strictEqual(data.gameState.initialVoteResults, null);
+    assert.strictEqual(data.userVote, 'disagree');
+
+    const open = await createGame(server, ['bob'], { ...FAST_SETTINGS, ballot: 'public' });
+    await startGame(server, open);
+    await castVotes(server, open, 'cast-vote', { alice: 'agree', bob: 'disagree' });
+    server.clock.advance(1000);
+
+    sync = once(open.sockets.alice, 'sync-game-state');
+    open.sockets.alice.emit('request-sync');
+    data = await sync;
+    assert.deepStrictEqual(data.gameState.initialVoteResults, { agree: 1, disagree: 1, abstain: 0 });
+    assert.deepStrictEqual(data.gameState.ballots, { alice: { initial: 'agree' }, bob: { initial: 'disagree' } });
+});
+
+test('players propose and upvote topics over sockets and the host can veto', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob'], { ...FAST_SETTINGS, topicSubmission: 'before-game' });
+    game.sockets.alice.emit('start-game');
+    await waitFor(() => game.state());
+    server.clock.advance(2000);
+    assert.strictEqual(game.state().phase, 'topic-submission');
+
+    const rejected = once(game.sockets.bob, 'topic-error');
+    game.sockets.bob.emit('submit-topic', { text: 'no' });
+    assert.match((await rejected).error, /between 5 and 200 characters/);
+
+    game.sockets.bob.emit('submit-topic', { text: 'Cereal is a soup' });
+    game.sockets.bob.emit('submit-topic', { text: 'Socks with sandals are fine' });
+    await waitFor(() => game.state().proposals.length === 2);
+
+    // Only the host's veto counts
+    const [cereal, socks] = game.state().proposals;
+    game.sockets.bob.emit('veto-topic', { id: socks.id });
+    const vetoed = once(game.sockets.bob, 'topic-vetoed');
+    game.sockets.alice.emit('veto-topic', { id: cereal.id });
+    assert.strictEqual((await vetoed).text, 'Cereal is a soup');
+
+    const updated = once(game.sockets.bob, 'topic-proposals-updated');
+    game.sockets.alice.emit('upvote-topic', { id: socks.id });
+    assert.deepStrictEqual((await updated).proposals, [{ id: socks.id, text: 'Socks with sandals are fine', author: 'bob', upvotes: ['alice'] }]);
+
+    const selected = once(game.sockets.alice, 'topic-selected');
+    server.clock.advance(FAST_SETTINGS.submissionTime * 1000);
+    assert.deepStrictEqual(await selected, { topic: 'Socks with sandals are fine', proposedBy: 'bob' });
+});
+
+test('a player who reconnects with their token gets the game state back', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    await startGame(server, game);
+    await castVotes(server, game, 'cast-vote', { bob: 'disagree', carol: 'disagree' });
+    const bob = game.lobby().participants.find(p => p.username === 'bob');
+
+    const reconnecting = once(game.sockets.alice, 'player-reconnecting');
+    game.sockets.bob.disconnect();
+    assert.deepStrictEqual(await reconnecting, { username: 'bob', deadline: server.clock.now() + 5 * 60 * 1000 });
+    assert.ok(!bob.connected);
+    assert.ok(server.reconnection.isAway(game.code, bob.id));
+
+    // Everything sent to the room while bob was away is replayed in order before the snapshot
+    game.sockets.alice.emit('cast-vote', { vote: 'agree' });
+    await waitFor(() => game.state().votes.alice);
+    server.clock.advance(1000);
+    assert.strictEqual(game.state().phase, 'vote-results');
+
+    const reconnected = once(game.sockets.alice, 'player-reconnected');
+    const socket = await server.connect(game.tokens.bob);
+    assert.deepStrictEqual(await reconnected, { username: 'bob' });
+
+    const events = socket.received.map(entry => entry.event);
+    assert.deepStrictEqual(events.slice(0, 4), ['player-reconnecting', 'game-phase-update', 'vote-results', 'sync-game-state']);
+    const data = socket.received[3].data;
+    assert.strictEqual(data.gameState.phase, 'vote-results');
+    assert.strictEqual(data.userVote, 'disagree');
+    assert.ok(bob.connected);
+    assert.ok(!server.reconnection.isAway(game.code, bob.id));
+});
+
+test('the same name in two lobbies reconnects to its own lobby', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const first = await createGame(server);
+    const second = await createGame(server);
+    await startGame(server, first);
+    await startGame(server, second);
+
+    first.sockets.bob.disconnect();
+    second.sockets.bob.disconnect();
+    await waitFor(() => server.reconnection.count() === 2);
+
+    await server.connect(second.tokens.bob);
+    assert.strictEqual(first.lobby().participants.find(p => p.username === 'bob').connected, false);
+    assert.strictEqual(second.lobby().participants.find(p => p.username === 'bob').connected, true);
+    assert.strictEqual(server.reconnection.count(), 1);
+});
+
+test('players who stay disconnected are removed once their grace period is over', async (t) => {
+    const server = await startTestServer({ env: { SESSION_SECRET: 'test-secret', RECONNECT_GRACE_SECONDS: '120' } });
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    await startGame(server, game);
+    server.engine.pauseGame(game.code);
+
+    game.sockets.carol.disconnect();
+    await waitFor(() => server.reconnection.count() === 1);
+
+    // Still there after a minute and a half
+    server.clock.advance(90 * 1000);
+    assert.ok(game.lobby().participants.some(p => p.username === 'carol'));
+
+    // Gone once the two minute grace period has passed and the sweep runs; the room is told
+    const left = once(game.sockets.alice, 'player-left');
+    server.clock.advance(60 * 1000);
+    assert.deepStrictEqual(await left, { username: 'carol', reason: 'timeout' });
+    assert.ok(!game.lobby().participants.some(p => p.username === 'carol'));
+    assert.strictEqual(server.reconnection.count(), 0);
+
+    // Their session was revoked, so the old token no longer connects
+    const socket = connectSocket(server.url, { auth: { token: game.tokens.carol }, transports: ['websocket'], reconnection: false });
+    const error = await once(socket, 'connect_error');
+    socket.close();
+    assert.strictEqual(error.message, 'Invalid session');
+});
+
+test('a host who leaves before the game hands the lobby on instead of closing it', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    const changed = once(game.sockets.bob, 'host-changed');
+    game.sockets.alice.emit('leave-lobby');
+
+    assert.deepStrictEqual(await changed, { host: 'bob', previousHost: 'alice', reason: 'left' });
+    assert.ok(!game.sockets.bob.received.some(entry => entry.event === 'lobby-closed'));
+    assert.strictEqual(game.lobby().host, 'bob');
+    assert.deepStrictEqual(game.lobby().participants.map(p => [p.username, p.isHost]), [['bob', true], ['carol', false]]);
+});
+
+test('a disconnected host is replaced by the co-host after the grace period', async (t) => {
+    const server = await startTestServer({ env: { SESSION_SECRET: 'test-secret', HOST_GRACE_SECONDS: '20' } });
+    t.after(() => server.close());
+
+    const game = await createGame(server, ['bob', 'carol']);
+    const picked = once(game.sockets.carol, 'co-host-changed');
+    game.sockets.alice.emit('set-co-host', { target: 'carol' });
+    assert.deepStrictEqual(await picked, { coHost: 'carol' });
+
+    await startGame(server, game);
+    server.engine.pauseGame(game.code);
+    game.sockets.alice.disconnect();
+    await waitFor(() => server.reconnection.count() === 1);
+
+    // Still the host within the grace period
+    server.clock.advance(19 * 1000);
+    assert.strictEqual(game.lobby().host, 'alice');
+
+    const changed = once(game.sockets.bob, 'host-changed');
+    server.clock.advance(1000);
+    assert.deepStrictEqual(await changed, { host: 'carol', previousHost: 'alice', reason: 'disconnected' });
+    assert.strictEqual(game.lobby().coHost, null);
+
+    // The new host can restart the game; alice comes back as a regular player
+    const restarted = once(game.sockets.bob, 'game-started');
+    game.sockets.carol.emit('restart-game');
+    await restarted;
+    await server.connect(game.tokens.alice);
+    assert.deepStrictEqual(game.lobby().participants.filter(p => p.isHost).map(p => p.username), ['carol']);
+});
+
+test('request bodies are validated and look-alike names are taken', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const tooLong = await server.request('POST', '/api/lobby/create', { username: 'x'.repeat(30) });
+    assert.deepStrictEqual([tooLong.status, tooLong.body.field], [400, 'username']);
+
+    const game = await createGame(server);
+    const spectator = await server.request('POST', '/api/lobby/join', { code: game.code, username: 'carol', spectator: 'yes' });
+    assert.deepStrictEqual(spectator.body, { error: 'spectator must be true or false', field: 'spectator' });
+
+    for (const username of ['ALICE', 'Alicé', 'аlice', 'bo_b']) {
+        const joined = await server.request('POST', '/api/lobby/join', { code: game.code, username });
+        assert.deepStrictEqual([joined.status, joined.body.error], [409, 'Username is already taken in this lobby'], username);
+    }
+});
+
+test('settings named after built-in object properties are refused', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    for (const settings of [{ constructor: 'x' }, { toString: 10 }, { preset: 'toString' }, { preset: '__proto__' }]) {
+        const created = await server.request('POST', '/api/lobby/create', { username: 'alice', settings });
+        assert.strictEqual(created.status, 400, JSON.stringify(settings));
+    }
+    assert.strictEqual(server.lobbies.size, 0);
+
+    const game = await createGame(server);
+    for (const settings of [{ constructor: 'x' }, { preset: 'hasOwnProperty' }]) {
+        const refused = once(game.sockets.alice, 'validation-error');
+        game.sockets.alice.emit('update-settings', { settings });
+        assert.strictEqual((await refused).field, 'settings', JSON.stringify(settings));
+    }
+    assert.strictEqual(game.lobby().settings.preset, 'quick');
+    assert.strictEqual(game.lobby().settings.maxRounds, FAST_SETTINGS.maxRounds);
+});
+
+test('lobby creation is rate limited per IP and lobbies and players are capped', async (t) => {
+    const server = await startTestServer({
+        env: {
+            SESSION_SECRET: 'test-secret',
+            LOBBY_CREATE_LIMIT: '2',
+            MAX_LOBBIES: '3',
+            MAX_PLAYERS_PER_LOBBY: '2',
+            MAX_SPECTATORS_PER_LOBBY: '1'
+        }
+    });
+    t.after(() => server.close());
+    const create = username => server.request('POST', '/api/lobby/create', { username });
+
+    const { body: first } = await create('alice');
+    assert.strictEqual((await create('bob')).status, 200);
+    assert.strictEqual((await create('carol')).status, 429);
+
+    // The limit is per minute; the lobby cap still applies after that
+    server.clock.advance(60 * 1000);
+    assert.strictEqual((await create('carol')).status, 200);
+    const full = await create('dave');
+    assert.deepStrictEqual([full.status, full.body.error], [503, 'The server is full right now, try again later']);
+
+    // Spectators don't take players' seats; they have their own cap
+    const join = (username, spectator) => server.request('POST', '/api/lobby/join', { code: first.code, username, spectator });
+    assert.strictEqual((await join('gina', true)).status, 200);
+    assert.strictEqual((await join('erin')).status, 200);
+    const crowded = await join('frank');
+    assert.deepStrictEqual([crowded.status, crowded.body.error], [403, 'This lobby is full']);
+    const packed = await join('hank', true);
+    assert.deepStrictEqual([packed.status, packed.body.error], [403, 'This lobby has no room for more spectators']);
+});
+
+test('quick join never fills a lobby past MAX_PLAYERS_PER_LOBBY', async (t) => {
+    const server = await startTestServer({ env: { SESSION_SECRET: 'test-secret', MAX_PLAYERS_PER_LOBBY: '2' } });
+    t.after(() => server.close());
+
+    const game = await createGame(server, []);
+    await server.request('POST', `/api/lobby/${game.code}/listing`, { public: true }, game.tokens.alice);
+
+    assert.strictEqual((await server.request('POST', '/api/lobbies/quick-join', { username: 'bob' })).body.code, game.code);
+    const overflow = await server.request('POST', '/api/lobbies/quick-join', { username: 'carol' });
+    assert.strictEqual(overflow.body.created, true);
+    assert.strictEqual(game.lobby().participants.length, 2);
+});
+
+test('malformed socket payloads are rejected and event floods are rate limited', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    await startGame(server, game);
+
+    const rejected = once(game.sockets.bob, 'validation-error');
+    game.sockets.bob.emit('cast-vote', { vote: '__proto__' });
+    assert.deepStrictEqual(await rejected, {
+        event: 'cast-vote',
+        field: 'vote',
+        error: 'vote must be agree, disagree, abstain or a stance from -3 to 3'
+    });
+    assert.deepStrictEqual(game.state().votes, {});
+
+    const limited = once(game.sockets.alice, 'rate-limited');
+    for (let i = 0; i < 40; i++) {
+        game.sockets.alice.emit('request-sync');
+    }
+    assert.strictEqual((await limited).event, 'request-sync');
+});
+
+test('sockets without a valid session are rejected', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const socket = connectSocket(server.url, { auth: { token: 'forged.token' }, transports: ['websocket'], reconnection: false });
+    const error = await once(socket, 'connect_error');
+    socket.close();
+    assert.strictEqual(error.message, 'Invalid session');
+});
+
+test('public lobbies are listed and quick join fills them before opening a new one', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server, []);
+    const listed = await server.request('POST', `/api/lobby/${game.code}/listing`, { public: true, title: 'Friday debates' }, game.tokens.alice);
+    assert.strictEqual(listed.status, 200);
+
+    const list = await server.request('GET', '/api/lobbies');
+    assert.deepStrictEqual(list.body.lobbies.map(lobby => [lobby.code, lobby.title, lobby.players]), [[game.code, 'Friday debates', 1]]);
+
+    const joined = await server.request('POST', '/api/lobbies/quick-join', { username: 'bob' });
+    assert.strictEqual(joined.body.code, game.code);
+    assert.strictEqual(joined.body.created, false);
+
+    // No German lobby yet, so quick join opens one
+    const created = await server.request('POST', '/api/lobbies/quick-join', { username: 'carol', language: 'de' });
+    assert.strictEqual(created.body.created, true);
+    assert.deepStrictEqual(created.body.lobby.listing, { public: true, title: "carol's lobby", language: 'de' });
+    assert.strictEqual(created.body.lobby.host, 'carol');
+});
+
+test('only the host can list a lobby', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const game = await createGame(server);
+    const response = await server.request('POST', `/api/lobby/${game.code}/listing`, { public: true }, game.tokens.bob);
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(game.lobby().listing.public, false);
+});
+
+test('the lobby browser namespace pushes list changes', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const browser = connectSocket(`${server.url}/lobbies`, { transports: ['websocket'], reconnection: false });
+    t.after(() => browser.close());
+    assert.deepStrictEqual(await once(browser, 'lobbies-updated'), { lobbies: [] });
+
+    const game = await createGame(server);
+    await server.request('POST', `/api/lobby/${game.code}/listing`, { public: true }, game.tokens.alice);
+
+    const updated = once(browser, 'lobbies-updated');
+    server.clock.advance(1000);
+    const { lobbies } = await updated;
+    assert.deepStrictEqual(lobbies.map(lobby => [lobby.code, lobby.players, lobby.inProgress]), [[game.code, 2, false]]);
+});
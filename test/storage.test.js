@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage } = require('../lib/storage');
+const { createFakeClock, startTestServer, waitFor, FAST_SETTINGS } = require('./helpers');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debate-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'state.json');
+}
+
+test('the JSON file storage batches saves into one background write and flushes on demand', async (t) => {
+    const file = tempFile(t);
+    const storage = createJsonFileStorage(file, { writeDelay: 20 });
+    storage.load();
+
+    storage.saveLobby('AAA111', { lobby: { code: 'AAA111' } });
+    storage.saveLobby('BBB222', { lobby: { code: 'BBB222' } });
+    assert.ok(!fs.existsSync(file), 'saves should not write synchronously');
+    await waitFor(() => fs.existsSync(file));
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).lobbies), ['AAA111', 'BBB222']);
+
+    storage.deleteLobby('AAA111');
+    storage.saveSecret('s3cret');
+    storage.flush();
+    assert.deepStrictEqual(createJsonFileStorage(file).load(), {
+        secret: 's3cret',
+        lobbies: { BBB222: { lobby: { code: 'BBB222' } } },
+        tournaments: {}
+    });
+});
+
+test('a lobby saved mid-round is restored with its votes and its phase timer resumes', async (t) => {
+    const file = tempFile(t);
+    const first = await startTestServer({ storage: createJsonFileStorage(file) });
+
+    const created = await first.request('POST', '/api/lobby/create', { username: 'alice', settings: FAST_SETTINGS });
+    const { code } = created.body;
+    const joined = await first.request('POST', '/api/lobby/join', { code, username: 'bob' });
+    const alice = await first.connect(created.body.token);
+    await first.connect(joined.body.token);
+
+    first.engine.startGame(code);
+    first.clock.advance(2000);
+    alice.emit('cast-vote', { vote: 'agree' });
+    await waitFor(() => first.gameStates.get(code).votes.alice);
+    first.clock.advance(4000);
+    const { currentTopic } = first.gameStates.get(code);
+
+    // Deploys snapshot every lobby before the process exits
+    first.persistAll();
+    await first.close();
+
+    const second = await startTestServer({ storage: createJsonFileStorage(file), clock: createFakeClock(first.clock.now()) });
+    t.after(() => second.close());
+
+    const state = second.gameStates.get(code);
+    assert.deepStrictEqual(
+        [state.phase, state.currentTopic, state.votes, state.timer],
+        ['voting', currentTopic, { alice: 'agree' }, FAST_SETTINGS.votingTime - 4]
+    );
+    assert.ok(second.lobbies.get(code).participants.every(participant => !participant.connected));
+
+    // The voting timer carries on from where it stopped
+    second.clock.advance(1000);
+    assert.strictEqual(state.timer, FAST_SETTINGS.votingTime - 5);
+
+    // Players get back in with their old tokens and the round finishes as usual
+    await second.connect(created.body.token);
+    const bob = await second.connect(joined.body.token);
+    bob.emit('cast-vote', { vote: 'disagree' });
+    await waitFor(() => state.votes.bob);
+    second.clock.advance(1000);
+    assert.strictEqual(state.phase, 'vote-results');
+});
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTournamentManager, validateTournament } = require('../lib/tournaments');
+const { createFakeClock, startTestServer, once, FAST_SETTINGS } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function teams(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        name: `Team ${index + 1}`,
+        players: [`p${index + 1}a`, `p${index + 1}b`]
+    }));
+}
+
+// Advance a tournament, handing out lobby codes in order
+function advance(manager, tournament) {
+    let next = 0;
+    return manager.advance(tournament.id, (t, match) => `L${tournament.currentRound}-${++next}-${match.id}`);
+}
+
+// Give the first team of every playing match the win
+function finishRound(manager, tournament) {
+    tournament.rounds[tournament.currentRound - 1].matches
+        .filter(match => match.status === 'playing')
+        .forEach(match => {
+            const winner = tournament.teams.find(team => team.name === match.teams[0]);
+            manager.recordResult(match.lobbyCode, { [winner.players[0]]: 3 });
+        });
+}
+
+test('tournament requests are validated', () => {
+    assert.match(validateTournament({ name: 'League', teams: teams(1) }).error, /2 to 16 teams/);
+    assert.match(validateTournament({ name: 'League', format: 'swiss', teams: teams(2) }).error, /Unknown format "swiss"/);
+    assert.match(validateTournament({ name: 'League', teams: [teams(1)[0], teams(1)[0]] }).error, /listed twice/);
+    assert.match(validateTournament({ name: 'League', teams: [teams(2)[0], { name: 'Other', players: ['p1a'] }] }).error, /p1a is on more than one team/);
+    assert.strictEqual(validateTournament({ name: ' League ', teams: teams(2) }).name, 'League');
+});
+
+test('roster names follow the username rules and are normalized', () => {
+    const roster = players => validateTournament({ name: 'League', teams: [{ name: 'Owls', players }, { name: 'Foxes', players: ['dave'] }] });
+
+    assert.match(roster(['_alice']).error, /Team "Owls": Username can only use/);
+    assert.match(roster(['a']).error, /Team "Owls": Username must be between 2 and 20 characters/);
+    assert.match(roster([42]).error, /Team "Owls": player must be text/);
+    assert.match(roster(['alice', 'Alice']).error, /Alice is on more than one team/);
+    assert.deepStrictEqual(roster(['  Ａlice ', 'bob   smith']).teams[0].players, ['Alice', 'bob smith']);
+});
+
+test('a round-robin meets every pair of teams once, with one bye each for an odd count', () => {
+    const manager = createTournamentManager({ clock: createFakeClock() });
+    const { tournament } = manager.create({ name: 'League', teams: teams(5) }, {}, {});
+
+    assert.strictEqual(tournament.rounds.length, 5);
+    const pairings = tournament.rounds.flatMap(round => round.matches)
+        .filter(match => match.status === 'scheduled')
+        .map(match => [...match.teams].sort().join(' v '));
+    assert.strictEqual(pairings.length, 10);
+    assert.strictEqual(new Set(pairings).size, 10);
+
+    tournament.rounds.forEach(round => {
+        const playing = round.matches.flatMap(match => match.teams);
+        assert.strictEqual(new Set(playing).size, 5, 'every team appears once a round');
+        assert.strictEqual(round.matches.filter(match => match.status === 'bye').length, 1);
+    });
+});
+
+test('standings add up team scores and rank by match points', () => {
+    const manager = createTournamentManager({ clock: createFakeClock() });
+    const { tournament } = manager.create({ name: 'League', teams: teams(3) }, {}, {});
+    advance(manager, tournament);
+
+    // A game restarted in the same lobby replaces the earlier result
+    const match = tournament.rounds[0].matches.find(candidate => candidate.status === 'playing');
+    assert.deepStrictEqual(match.teams, ['Team 2', 'Team 3']);
+    manager.recordResult(match.lobbyCode, { p2a: 5, p2b: 0, p3a: 1, p3b: 1 });
+    // Players are matched to the roster however they spelled their name
+    manager.recordResult(match.lobbyCode, { P2A: 1, p2b: 0, p3a: 2, 'p3_b': 2, spectator: 9 });
+
+    assert.deepStrictEqual(match.scores, { 'Team 2': 1, 'Team 3': 4 });
+    assert.strictEqual(match.winner, 'Team 3');
+    assert.deepStrictEqual(manager.standings(tournament).map(row => [row.team, row.points, row.score]), [
+        ['Team 3', 2, 4],
+        ['Team 1', 2, 0],
+        ['Team 2', 0, 1]
+    ]);
+
+    // Once the next round starts, the last one's lobbies no longer count
+    advance(manager, tournament);
+    assert.strictEqual(manager.recordResult(match.lobbyCode, { p2a: 10 }), null);
+    assert.deepStrictEqual(match.scores, { 'Team 2': 1, 'Team 3': 4 });
+
+    finishRound(manager, tournament);
+    advance(manager, tournament);
+    finishRound(manager, tournament);
+    assert.strictEqual(tournament.status, 'finished');
+    assert.strictEqual(tournament.champion, manager.standings(tournament)[0].team);
+    assert.match(advance(manager, tournament).error, /over/);
+});
+
+test('a bracket seeds byes to the top teams and advances the winners', () => {
+    const manager = createTournamentManager({ clock: createFakeClock() });
+    const { tournament } = manager.create({ name: 'Cup', format: 'bracket', teams: teams(5) }, {}, {});
+
+    advance(manager, tournament);
+    const first = tournament.rounds[0].matches;
+    assert.deepStrictEqual(first.map(match => match.teams), [
+        ['Team 1'], ['Team 4', 'Team 5'], ['Team 2'], ['Team 3']
+    ]);
+    assert.deepStrictEqual(first.map(match => match.status), ['bye', 'playing', 'bye', 'bye']);
+
+    assert.match(advance(manager, tournament).error, /Round 1 still has matches in progress/);
+
+    // A drawn bracket match goes to the better seed
+    manager.recordResult(first[1].lobbyCode, {});
+    assert.strictEqual(first[1].winner, 'Team 4');
+
+    advance(manager, tournament);
+    assert.deepStrictEqual(tournament.rounds[1].matches.map(match => match.teams), [
+        ['Team 1', 'Team 4'], ['Team 2', 'Team 3']
+    ]);
+
+    finishRound(manager, tournament);
+    advance(manager, tournament);
+    assert.deepStrictEqual(tournament.rounds[2].matches.map(match => match.teams), [['Team 1', 'Team 2']]);
+
+    finishRound(manager, tournament);
+    assert.strictEqual(tournament.status, 'finished');
+    assert.strictEqual(tournament.champion, 'Team 1');
+});
+
+test('the admin API runs a tournament through match lobbies', async (t) => {
+    const server = await startTestServer({ env: { ADMIN_TOKEN } });
+    t.after(() => server.close());
+    const admin = (method, route, body) => server.request(method, route, body, ADMIN_TOKEN);
+
+    const body = {
+        name: 'League night',
+        teams: [{ name: 'Owls', players: ['alice', 'bob'] }, { name: 'Foxes', players: ['carol', 'dave'] }],
+        settings: { ...FAST_SETTINGS, maxRounds: 1 }
+    };
+    assert.strictEqual((await server.request('POST', '/api/admin/tournaments', body)).status, 401);
+    assert.strictEqual((await server.request('POST', '/api/admin/tournaments', body, 'wrong')).status, 401);
+
+    const created = await admin('POST', '/api/admin/tournaments', body);
+    assert.strictEqual(created.status, 200);
+    const { id } = created.body.tournament;
+    assert.strictEqual(created.body.tournament.settings, undefined);
+
+    const advanced = await admin('POST', `/api/admin/tournaments/${id}/advance`);
+    const [match] = advanced.body.tournament.rounds[0].matches;
+    assert.strictEqual(match.status, 'playing');
+    const lobby = server.lobbies.get(match.lobbyCode);
+    assert.strictEqual(lobby.host, 'alice');
+    assert.deepStrictEqual(lobby.participants, []);
+
+    // Only the rosters play; anyone else can watch
+    const outsider = await server.request('POST', '/api/lobby/join', { code: match.lobbyCode, username: 'erin' });
+    assert.strictEqual(outsider.status, 403);
+    const watcher = await server.request('POST', '/api/lobby/join', { code: match.lobbyCode, username: 'erin', spectator: true });
+    assert.strictEqual(watcher.status, 200);
+
+    // Roster names match however they are spelled
+    const tokens = {};
+    for (const username of ['alice', 'bob', 'Carol', 'dave']) {
+        const joined = await server.request('POST', '/api/lobby/join', { code: match.lobbyCode, username });
+        assert.strictEqual(joined.status, 200, username);
+        tokens[username] = joined.body.token;
+    }
+    assert.strictEqual(lobby.participants.find(p => p.username === 'alice').isHost, true);
+    assert.strictEqual((await admin('POST', `/api/admin/tournaments/${id}/advance`)).status, 409);
+
+    // The game's final scores decide the match
+    const alice = await server.connect(tokens.alice);
+    const updated = once(alice, 'tournament-updated');
+    server.engine.startGame(match.lobbyCode);
+    Object.assign(server.gameStates.get(match.lobbyCode).scores, { alice: 2, bob: 1, Carol: 4 });
+    // Nobody votes, so the only round is skipped: on to the scoreboard and the end of the game
+    server.clock.advance(2000);
+    server.engine.skipPhase(match.lobbyCode);
+    server.engine.skipPhase(match.lobbyCode);
+    server.engine.skipPhase(match.lobbyCode);
+
+    const standings = (await updated).standings;
+    assert.deepStrictEqual(standings.map(row => [row.team, row.points, row.score]), [
+        ['Foxes', 2, 4],
+        ['Owls', 0, 3]
+    ]);
+
+    const result = await server.request('GET', `/api/tournaments/${id}`);
+    assert.strictEqual(result.body.tournament.status, 'finished');
+    assert.strictEqual(result.body.tournament.champion, 'Foxes');
+});
+
+test('a match lobby whose named host has not joined goes to the first roster player who does', async (t) => {
+    const server = await startTestServer({ env: { ADMIN_TOKEN } });
+    t.after(() => server.close());
+    const admin = (method, route, body) => server.request(method, route, body, ADMIN_TOKEN);
+
+    const created = await admin('POST', '/api/admin/tournaments', {
+        name: 'Late host',
+        teams: [{ name: 'Owls', players: ['alice', 'bob'] }, { name: 'Foxes', players: ['carol', 'dave'] }],
+        settings: FAST_SETTINGS
+    });
+    const advanced = await admin('POST', `/api/admin/tournaments/${created.body.tournament.id}/advance`);
+    const code = advanced.body.tournament.rounds[0].matches[0].lobbyCode;
+    const lobby = server.lobbies.get(code);
+
+    const join = async (username, spectator) => {
+        const joined = await server.request('POST', '/api/lobby/join', { code, username, spectator });
+        return server.connect(joined.body.token);
+    };
+
+    // A spectator doesn't take over; the first player does
+    await join('erin', true);
+    assert.strictEqual(lobby.host, 'alice');
+    const carol = await join('carol');
+    assert.strictEqual(lobby.host, 'carol');
+    assert.deepStrictEqual(carol.received.find(({ event }) => event === 'host-changed').data,
+        { host: 'carol', previousHost: 'alice', reason: 'absent' });
+
+    // The named host arriving later is an ordinary player
+    await join('alice');
+    assert.strictEqual(lobby.host, 'carol');
+    assert.deepStrictEqual(lobby.participants.filter(p => p.isHost).map(p => p.username), ['carol']);
+});
+
+test('the admin API is off without ADMIN_TOKEN', async (t) => {
+    const server = await startTestServer();
+    t.after(() => server.close());
+
+    const response = await server.request('GET', '/api/admin/tournaments', undefined, 'anything');
+    assert.strictEqual(response.status, 404);
+    assert.match(response.body.error, /ADMIN_TOKEN/);
+});
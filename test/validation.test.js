@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REST_SCHEMAS, validate, validateSocketPayload, normalizeUsername, sameUsername } = require('../lib/validation');
+
+test('usernames are normalized and checked against length and characters', () => {
+    assert.deepStrictEqual(validate(REST_SCHEMAS.quickJoin, { username: '  Ａlice   Smith ' }).value, { username: 'Alice Smith' });
+    assert.match(validate(REST_SCHEMAS.quickJoin, { username: 'a' }).error, /between 2 and 20/);
+    assert.match(validate(REST_SCHEMAS.quickJoin, { username: 'x'.repeat(21) }).error, /between 2 and 20/);
+    assert.deepStrictEqual(validate(REST_SCHEMAS.quickJoin, { username: '<script>' }).field, 'username');
+    assert.ok(validate(REST_SCHEMAS.quickJoin, { username: 'Zoë O\'Brien-2' }).value);
+    assert.strictEqual(normalizeUsername('ﬁona'), 'fiona');
+});
+
+test('names differing only by case, accents, separators or look-alike letters are the same', () => {
+    assert.ok(sameUsername('Alice', 'alice'));
+    assert.ok(sameUsername('alice', 'Alicé'));
+    assert.ok(sameUsername('alice', 'al_ice'));
+    assert.ok(sameUsername('alice', 'аlice'));
+    assert.ok(!sameUsername('alice', 'alicia'));
+});
+
+test('payloads keep only their schema fields and report the first bad one', () => {
+    assert.deepStrictEqual(validateSocketPayload('cast-vote', { vote: 'agree', extra: true }), { value: { vote: 'agree' } });
+    assert.deepStrictEqual(validateSocketPayload('cast-vote', { vote: 2 }), { value: { vote: 2 } });
+    assert.strictEqual(validateSocketPayload('cast-vote', { vote: '__proto__' }).field, 'vote');
+    assert.strictEqual(validateSocketPayload('cast-vote', {}).error, 'vote is required');
+    assert.strictEqual(validateSocketPayload('set-opinion', { value: 500 }).error, 'value must be between -100 and 100');
+    assert.deepStrictEqual(validateSocketPayload('set-co-host', { target: null }), { value: { target: null } });
+    assert.deepStrictEqual(validateSocketPayload('raise-hand', 'anything'), { error: 'Expected a JSON object', field: null });
+    assert.strictEqual(validate(REST_SCHEMAS.topics, { custom: 5 }).error, 'custom must be string or array');
+});
+
+test('settings only take the keys and values lib/settings.js defines', () => {
+    const settings = { preset: 'quick', ballot: 'public', votingTime: 20 };
+    assert.deepStrictEqual(validateSocketPayload('update-settings', { settings }), { value: { settings } });
+    assert.deepStrictEqual(validateSocketPayload('update-settings', { settings: { constructor: 'x' } }),
+        { error: 'Unknown settings field "constructor"', field: 'settings' });
+    assert.strictEqual(validateSocketPayload('update-settings', JSON.parse('{"settings":{"__proto__":{}}}')).error,
+        'Unknown settings field "__proto__"');
+    assert.strictEqual(validate(REST_SCHEMAS.createLobby, { username: 'alice', settings: { preset: 'toString' } }).error,
+        'preset must be one of: quick, standard, marathon');
+    assert.strictEqual(validate(REST_SCHEMAS.createLobby, { username: 'alice', settings: { ballot: 'secret' } }).field, 'settings');
+    assert.strictEqual(validate(REST_SCHEMAS.tournament, { settings: { maxRounds: 1.5 } }).error, 'maxRounds must be a whole number');
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startTestServer, waitFor, createFakeClock, FAST_SETTINGS } = require('./helpers');
+const { RETRY_DELAYS, signPayload, createWebhookDispatcher } = require('../lib/webhooks');
+
+// A local endpoint that records every webhook request. respond(request) picks the status code.
+async function startReceiver(t, respond = () => 200) {
+    const requests = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const request = { headers: req.headers, body, payload: JSON.parse(body) };
+            requests.push(request);
+            res.statusCode = respond(request);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => receiver.listen(0, resolve));
+    t.after(() => new Promise(resolve => receiver.close(resolve)));
+    return { url: `http://localhost:${receiver.address().port}/hook`, requests };
+}
+
+// Poll the host's delivery log until the newest delivery reaches the given status
+async function waitForDelivery(server, code, token, status) {
+    for (let i = 0; i < 200; i++) {
+        const { body } = await server.request('GET', `/api/lobby/${code}/webhooks`, undefined, token);
+        if (body.deliveries[0] && body.deliveries[0].status === status) {
+            return { delivery: body.deliveries[0], webhooks: body.webhooks };
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Timed out waiting for a ${status} delivery`);
+}
+
+async function startWebhookServer(t) {
+    const server = await startTestServer({ env: { SESSION_SECRET: 'test-secret', WEBHOOKS_ALLOW_PRIVATE: 'true' } });
+    t.after(() => server.close());
+    return server;
+}
+
+test('webhook urls must be public http(s) addresses with known events', () => {
+    const dispatcher = createWebhookDispatcher({ clock: { now: () => 0 } });
+
+    assert.ok(dispatcher.validate({ url: 'ftp://example.com/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://localhost:3000/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://192.168.1.10/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://app.localhost/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://2130706433/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://[fd00::1]/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://[::ffff:127.0.0.1]/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://[::ffff:7f00:1]/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'http://[::ffff:a00:1]/hook' }).error);
+    assert.ok(dispatcher.validate({ url: 'https://example.com/hook', events: ['nope'] }).error);
+    assert.deepStrictEqual(
+        dispatcher.validate({ url: 'https://example.com/hook', events: ['game-ended', 'game-ended'] }),
+        { url: 'https://example.com/hook', events: ['game-ended'] }
+    );
+});
+
+test('a host that resolves to a private address gets no delivery', async (t) => {
+    const receiver = await startReceiver(t);
+    const port = new URL(receiver.url).port;
+    const lookup = (hostname, options, callback) => (options.all
+        ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+        : callback(null, '127.0.0.1', 4));
+    const dispatcher = createWebhookDispatcher({ clock: createFakeClock(), lookup });
+    t.after(() => dispatcher.close());
+
+    assert.ok(dispatcher.register('TEST01', { url: `http://hooks.example.com:${port}/hook` }).webhook);
+    dispatcher.dispatch('TEST01', 'game-started', {});
+
+    await waitFor(() => dispatcher.deliveries('TEST01')[0].status === 'retrying');
+    assert.strictEqual(dispatcher.deliveries('TEST01')[0].lastResult, 'hooks.example.com resolves to a private address');
+    assert.strictEqual(receiver.requests.length, 0);
+});
+
+test('redirects are not followed and count as a failed delivery', async (t) => {
+    const target = await startReceiver(t);
+    const redirecting = http.createServer((req, res) => {
+        res.writeHead(307, { Location: target.url });
+        res.end();
+    });
+    await new Promise(resolve => redirecting.listen(0, resolve));
+    t.after(() => new Promise(resolve => redirecting.close(resolve)));
+
+    const dispatcher = createWebhookDispatcher({ clock: createFakeClock(), allowPrivate: true });
+    t.after(() => dispatcher.close());
+    dispatcher.register('TEST01', { url: `http://localhost:${redirecting.address().port}/hook` });
+    dispatcher.dispatch('TEST01', 'game-started', {});
+
+    await waitFor(() => dispatcher.deliveries('TEST01')[0].status === 'retrying');
+    assert.strictEqual(dispatcher.deliveries('TEST01')[0].lastResult, 'HTTP 307');
+    assert.strictEqual(target.requests.length, 0);
+});
+
+test('lifecycle events are posted with a verifiable signature', async (t) => {
+    const server = await startWebhookServer(t);
+    const receiver = await startReceiver(t);
+
+    const created = await server.request('POST', '/api/lobby/create', {
+        username: 'alice',
+        settings: FAST_SETTINGS,
+        webhooks: [{ url: receiver.url }]
+    });
+    const { code, webhooks: [webhook] } = created.body;
+    await server.request('POST', '/api/lobby/join', { code, username: 'bob' });
+
+    server.engine.startGame(code);
+    server.clock.advance(2000);
+    await waitFor(() => receiver.requests.length === 3);
+
+    assert.deepStrictEqual(receiver.requests.map(request => request.payload.event), ['lobby-created', 'game-started', 'topic-selected']);
+
+    const { headers, body, payload } = receiver.requests[2];
+    assert.strictEqual(headers['x-webhook-event'], 'topic-selected');
+    assert.strictEqual(headers['x-webhook-delivery'], payload.id);
+    assert.strictEqual(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+    assert.strictEqual(payload.lobby, code);
+    assert.strictEqual(payload.data.topic, server.gameStates.get(code).currentTopic);
+});
+
+test('failed deliveries are retried with backoff and logged for the host', async (t) => {
+    const server = await startWebhookServer(t);
+    let failures = 2;
+    const receiver = await startReceiver(t, () => (failures-- > 0 ? 500 : 204));
+
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice' });
+    const { code, token } = created.body;
+    const registered = await server.request('POST', `/api/lobby/${code}/webhooks`, { url: receiver.url, events: ['game-started'] }, token);
+    assert.strictEqual(registered.status, 200);
+    await server.request('POST', '/api/lobby/join', { code, username: 'bob' });
+
+    server.engine.startGame(code);
+
+    const { delivery: first } = await waitForDelivery(server, code, token, 'retrying');
+    assert.strictEqual(first.lastResult, 'HTTP 500');
+    assert.strictEqual(first.nextAttemptAt, server.clock.now() + RETRY_DELAYS[0]);
+
+    server.clock.advance(RETRY_DELAYS[0]);
+    await waitForDelivery(server, code, token, 'retrying');
+    server.clock.advance(RETRY_DELAYS[1]);
+
+    const { delivery, webhooks } = await waitForDelivery(server, code, token, 'delivered');
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(delivery.webhookId, webhooks[0].id);
+    assert.strictEqual(webhooks[0].secret, undefined);
+
+    // Every attempt of one delivery carries the same delivery id
+    assert.strictEqual(new Set(receiver.requests.map(request => request.headers['x-webhook-delivery'])).size, 1);
+});
+
+test('a delivery is marked failed once every retry is used up', async (t) => {
+    const server = await startWebhookServer(t);
+    const receiver = await startReceiver(t, () => 503);
+
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice' });
+    const { code, token } = created.body;
+    await server.request('POST', `/api/lobby/${code}/webhooks`, { url: receiver.url, events: ['game-started'] }, token);
+    await server.request('POST', '/api/lobby/join', { code, username: 'bob' });
+    server.engine.startGame(code);
+
+    for (const delay of RETRY_DELAYS) {
+        await waitForDelivery(server, code, token, 'retrying');
+        server.clock.advance(delay);
+    }
+
+    const { delivery } = await waitForDelivery(server, code, token, 'failed');
+    assert.strictEqual(delivery.attempts, RETRY_DELAYS.length + 1);
+    assert.strictEqual(receiver.requests.length, RETRY_DELAYS.length + 1);
+});
+
+test('only the host can manage webhooks', async (t) => {
+    const server = await startWebhookServer(t);
+
+    const created = await server.request('POST', '/api/lobby/create', { username: 'alice' });
+    const joined = await server.request('POST', '/api/lobby/join', { code: created.body.code, username: 'bob' });
+
+    const registered = await server.request('POST', `/api/lobby/${created.body.code}/webhooks`, { url: 'https://example.com/hook' }, joined.body.token);
+    assert.strictEqual(registered.status, 403);
+
+    const listed = await server.request('GET', `/api/lobby/${created.body.code}/webhooks`, undefined, joined.body.token);
+    assert.strictEqual(listed.status, 403);
+});